@@ -1,3 +1,9 @@
+const { matchKeywords, DEFAULT_MODE } = require('../query/keyword-matcher');
+const { matchesQuery } = require('../query/boolean-query');
+const { blocklistService } = require('../services/blocklist.service');
+
+const DEFAULT_MAX_PAGES = 3;
+
 /**
  * Base Platform Adapter
  * 
@@ -12,15 +18,25 @@ class BasePlatformAdapter {
     if (this.constructor === BasePlatformAdapter) {
       throw new Error('BasePlatformAdapter is abstract');
     }
-    this.requestCount = 0;
-    this.lastResetTime = Date.now();
   }
 
   // Override these in subclasses
   get platform() { throw new Error('Not implemented'); }
   get displayName() { throw new Error('Not implemented'); }
+
+  /**
+   * Request spacing for this platform's host - pass it to createHttpClient
+   * (http/http-client), which also handles retries and 429s
+   */
   get rateLimitPerMinute() { return 30; }
 
+  /**
+   * Whether the adapter is usable (override when credentials are required)
+   */
+  isAvailable() {
+    return true;
+  }
+
   /**
    * Main search method - must be implemented by each platform
    * @param {SearchCriteria} criteria 
@@ -30,23 +46,55 @@ class BasePlatformAdapter {
     throw new Error('search() must be implemented');
   }
 
+  /**
+   * Whether fetchAuthorProfile() is implemented (used by author enrichment)
+   */
+  get supportsAuthorProfiles() { return false; }
+
+  /**
+   * Public profile of a post author - override where the platform has one
+   * 
+   * @returns {Promise<Object|null>} { karma, createdAt, ... }, or null if the user doesn't exist
+   */
+  async fetchAuthorProfile(username) {
+    return null;
+  }
+
+  /**
+   * Named text fields that keyword signals are matched against.
+   * Override to add platform-specific fields (tags, repo names, ...)
+   */
+  signalFields(post) {
+    return { title: post.title, body: post.body };
+  }
+
+  /**
+   * All signal fields as one string (used for boolean query filtering)
+   */
+  signalText(post) {
+    return Object.values(this.signalFields(post)).filter(Boolean).join(' ');
+  }
+
   /**
    * Detect keyword/intent/pain/competitor signals in a post
+   * 
+   * Matching is word-based (see query/keyword-matcher). Each keyword can
+   * set its own mode; criteria.matchMode sets the default (stem).
+   * `matches` carries field, offsets and a snippet per hit for highlighting.
    */
   detectSignals(post, criteria) {
-    const text = `${post.title} ${post.body}`.toLowerCase();
-    
-    const matchedKeywords = (criteria.keywords || [])
-      .filter(kw => text.includes(kw.toLowerCase()));
-    
-    const matchedIntentKeywords = (criteria.intentKeywords || [])
-      .filter(kw => text.includes(kw.toLowerCase()));
-    
-    const matchedPainKeywords = (criteria.painKeywords || [])
-      .filter(kw => text.includes(kw.toLowerCase()));
-    
-    const matchedCompetitors = (criteria.competitors || [])
-      .filter(comp => text.includes(comp.toLowerCase()));
+    const fields = this.signalFields(post);
+    const options = { defaultMode: criteria.matchMode || DEFAULT_MODE };
+
+    const keywords = matchKeywords(criteria.keywords, fields, { ...options, category: 'keyword' });
+    const intent = matchKeywords(criteria.intentKeywords, fields, { ...options, category: 'intent' });
+    const pain = matchKeywords(criteria.painKeywords, fields, { ...options, category: 'pain' });
+    const competitors = matchKeywords(criteria.competitors, fields, { ...options, category: 'competitor' });
+
+    const matchedKeywords = keywords.matched;
+    const matchedIntentKeywords = intent.matched;
+    const matchedPainKeywords = pain.matched;
+    const matchedCompetitors = competitors.matched;
 
     // Calculate relevance score (0-100)
     let score = 0;
@@ -69,28 +117,98 @@ class BasePlatformAdapter {
       matchedIntentKeywords,
       matchedPainKeywords,
       matchedCompetitors,
-      relevanceScore: Math.round(Math.min(score, 100))
+      relevanceScore: Math.round(Math.min(score, 100)),
+      matches: [...keywords.matches, ...intent.matches, ...pain.matches, ...competitors.matches]
     };
   }
 
   /**
-   * Simple rate limiting
+   * Per-search copy of criteria with a fresh `filteredOut` tally
+   * (adapters are shared between concurrent searches)
+   */
+  withExclusions(criteria) {
+    return { ...criteria, filteredOut: {} };
+  }
+
+  /**
+   * Whether a normalized post is excluded; counts it by reason when it is.
+   * Runs before detectSignals, so excluded posts are never scored.
    */
-  async checkRateLimit() {
-    const now = Date.now();
-    if (this.lastResetTime < now - 60000) {
-      this.requestCount = 0;
-      this.lastResetTime = now;
+  isExcluded(post, criteria) {
+    const reason = this.exclusionReason(post, criteria);
+    if (!reason) return false;
+
+    if (criteria.filteredOut) {
+      criteria.filteredOut[reason] = (criteria.filteredOut[reason] || 0) + 1;
     }
-    
-    if (this.requestCount >= this.rateLimitPerMinute) {
-      const waitTime = 60000 - (now - this.lastResetTime);
-      await new Promise(r => setTimeout(r, waitTime));
-      this.requestCount = 0;
-      this.lastResetTime = Date.now();
+    return true;
+  }
+
+  /**
+   * Why a post is excluded ('query', 'author', 'keyword', 'blocklist', or
+   * a platform-specific reason), or null to keep it.
+   * 
+   * Platforms compile what they can of a boolean query natively; checking
+   * the full query here makes it mean the same thing everywhere, and
+   * since adapters exclude while paginating, only matching posts count
+   * toward maxResults.
+   */
+  exclusionReason(post, criteria) {
+    if (criteria.queryAst && !matchesQuery(criteria.queryAst, this.signalText(post))) {
+      return 'query';
     }
-    
-    this.requestCount++;
+
+    const author = post.author?.username?.toLowerCase();
+    if (author && (criteria.excludeAuthors || []).some(a => String(a).toLowerCase() === author)) {
+      return 'author';
+    }
+
+    const fields = this.signalFields(post);
+    if (criteria.excludeKeywords?.length) {
+      const options = { defaultMode: criteria.matchMode || DEFAULT_MODE };
+      if (matchKeywords(criteria.excludeKeywords, fields, options).matched.length > 0) {
+        return 'keyword';
+      }
+    }
+
+    if (blocklistService.match(post, fields)) {
+      return 'blocklist';
+    }
+
+    return this.platformExclusionReason(post, criteria);
+  }
+
+  /**
+   * Platform-specific exclusions (override: excluded subreddits, story types, ...)
+   */
+  platformExclusionReason(post, criteria) {
+    return null;
+  }
+
+  /**
+   * Resolve criteria.timeRange to a unix timestamp (seconds), or null
+   * 
+   * timeRange: { preset: 'hour'|'day'|'week'|'month'|'year' } or { from: ISO date }
+   */
+  timeRangeStart(timeRange) {
+    if (!timeRange) return null;
+
+    const now = Math.floor(Date.now() / 1000);
+    const presets = {
+      hour: 3600,
+      day: 86400,
+      week: 604800,
+      month: 2592000,
+      year: 31536000
+    };
+
+    if (timeRange.preset) {
+      return now - (presets[timeRange.preset] || presets.week);
+    }
+    if (timeRange.from) {
+      return Math.floor(new Date(timeRange.from).getTime() / 1000);
+    }
+    return now - presets.week;
   }
 
   /**
@@ -109,16 +227,50 @@ class BasePlatformAdapter {
 
   /**
    * Helper to create success result
+   * 
+   * @param {string} nextCursor - Opaque cursor to resume from (null when exhausted)
    */
-  successResult(criteria, posts, totalFound) {
+  successResult(criteria, posts, totalFound, nextCursor = null) {
     return {
       success: true,
       platform: this.platform,
       posts,
       totalFound: totalFound ?? posts.length,
+      nextCursor,
+      filteredOut: criteria.filteredOut || {},
       searchedAt: new Date().toISOString()
     };
   }
+
+  /**
+   * Page cap per search - criteria.maxPages (default: 3)
+   */
+  getMaxPages(criteria) {
+    return Math.max(1, parseInt(criteria.maxPages) || DEFAULT_MAX_PAGES);
+  }
+
+  /**
+   * Decode this platform's resume cursor from criteria.cursors[platform]
+   * 
+   * A single-platform criteria.cursor is moved there by SearchService
+   */
+  getCursor(criteria) {
+    const raw = criteria.cursors?.[this.platform];
+    if (!raw) return null;
+
+    try {
+      return JSON.parse(Buffer.from(raw, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new Error(`Invalid cursor for ${this.platform}`);
+    }
+  }
+
+  /**
+   * Encode cursor state as an opaque string
+   */
+  encodeCursor(state) {
+    return Buffer.from(JSON.stringify(state)).toString('base64url');
+  }
 }
 
 module.exports = { BasePlatformAdapter };
\ No newline at end of file
@@ -0,0 +1,172 @@
+const { createHttpClient } = require('../http/http-client');
+const { BasePlatformAdapter } = require('./base.adapter');
+const { requiredTerms } = require('../query/boolean-query');
+const { keywordTerms } = require('../query/keyword-matcher');
+
+/**
+ * Dev.to Platform Adapter
+ * 
+ * Uses the public Forem articles API (no auth required).
+ * The API has no full-text search, so articles are fetched by tag
+ * (platformFilters.devto.tags, or tags derived from the keywords or
+ * the terms a boolean query requires)
+ * and matched against keywords locally.
+ * 
+ * API Docs: https://developers.forem.com/api/v1
+ */
+class DevToAdapter extends BasePlatformAdapter {
+  constructor() {
+    super();
+    this.client = createHttpClient({
+      requestsPerMinute: this.rateLimitPerMinute,
+      baseURL: 'https://dev.to/api',
+      timeout: 10000,
+      headers: {
+        'Accept': 'application/vnd.forem.api-v1+json',
+        ...(process.env.DEVTO_API_KEY ? { 'api-key': process.env.DEVTO_API_KEY } : {})
+      }
+    });
+  }
+
+  get platform() { return 'devto'; }
+  get displayName() { return 'Dev.to'; }
+  get rateLimitPerMinute() { return 60; }
+
+  /**
+   * Search Dev.to articles
+   */
+  async search(criteria) {
+    criteria = this.withExclusions(criteria);
+
+    try {
+      const filters = criteria.platformFilters?.devto || {};
+      const maxResults = criteria.maxResults || 25;
+      const tags = this.buildTags(criteria, filters);
+      if (tags.length === 0) {
+        return this.errorResult(criteria, new Error(
+          'Dev.to needs tags to search: set platformFilters.devto.tags, keywords, or a query with a required term'
+        ));
+      }
+      const perTag = Math.min(Math.max(Math.ceil(maxResults * 2 / tags.length), 10), 100);
+
+      console.log(`[Dev.to] Articles tagged: #${tags.join(', #')}`);
+
+      const seen = new Set();
+      const allPosts = [];
+
+      for (const tag of tags) {
+        try {
+          const response = await this.client.get('/articles', {
+            params: {
+              tag,
+              per_page: perTag,
+              top: filters.top || this.topDays(criteria.timeRange),
+              username: filters.username
+            }
+          });
+
+          for (const article of response.data) {
+            if (seen.has(article.id)) continue;
+            seen.add(article.id);
+            allPosts.push(article);
+          }
+
+        } catch (error) {
+          console.warn(`[Dev.to] Failed to fetch #${tag}: ${error.message}`);
+        }
+      }
+
+      const minReactions = filters.minReactions || 0;
+      const posts = allPosts
+        .map(article => this.normalizePost(article))
+        .filter(post => !this.isExcluded(post, criteria))
+        .map(post => {
+          post.signals = this.detectSignals(post, criteria);
+          return post;
+        })
+        .filter(post => post.metrics.reactions >= minReactions)
+        .filter(post => post.signals.relevanceScore > 0)
+        .sort((a, b) => (b.signals?.relevanceScore || 0) - (a.signals?.relevanceScore || 0))
+        .slice(0, maxResults);
+
+      return this.successResult(criteria, posts, allPosts.length);
+
+    } catch (error) {
+      console.error(`Dev.to search error: ${error.message}`);
+      return this.errorResult(criteria, error);
+    }
+  }
+
+  /**
+   * Tags to fetch - explicit filter tags, else the terms a boolean query
+   * requires, else keywords turned into tags
+   * (Dev.to tags are lowercase alphanumeric: "sales tool" → "salestool")
+   */
+  buildTags(criteria, filters) {
+    const required = criteria.queryAst ? requiredTerms(criteria.queryAst).map(t => t.value) : [];
+    const source = filters.tags?.length ? filters.tags
+      : required.length ? required
+      : keywordTerms(criteria.keywords);
+    const tags = source
+      .map(t => t.toLowerCase().replace(/[^a-z0-9]/g, ''))
+      .filter(Boolean);
+
+    return [...new Set(tags)].slice(0, 5);
+  }
+
+  /**
+   * Build search query (informational - the API filters by tag only)
+   */
+  buildQuery(criteria) {
+    return keywordTerms(criteria.keywords).join(' ');
+  }
+
+  /**
+   * Map criteria.timeRange to the `top` (days) parameter
+   */
+  topDays(timeRange) {
+    const fromTs = this.timeRangeStart(timeRange);
+    if (!fromTs) return undefined;
+    return Math.max(1, Math.ceil((Date.now() / 1000 - fromTs) / 86400));
+  }
+
+  /**
+   * Include tags when matching keywords
+   */
+  signalFields(post) {
+    return { ...super.signalFields(post), tags: (post.tags || []).join(', ') };
+  }
+
+  /**
+   * Normalize Dev.to article to standard format
+   */
+  normalizePost(article) {
+    const reactions = article.public_reactions_count ?? article.positive_reactions_count ?? 0;
+
+    return {
+      id: String(article.id),
+      platform: 'devto',
+      title: article.title,
+      body: article.description || '',
+      url: article.url,
+      author: {
+        username: article.user?.username,
+        profileUrl: `https://dev.to/${article.user?.username}`
+      },
+      metrics: {
+        score: reactions,
+        comments: article.comments_count || 0,
+        reactions,
+        readingTime: article.reading_time_minutes
+      },
+      createdAt: article.published_at || article.created_at,
+      // Articles republished from a blog keep the original as canonical
+      linkUrl: article.canonical_url && article.canonical_url !== article.url ? article.canonical_url : null,
+      tags: Array.isArray(article.tag_list)
+        ? article.tag_list
+        : (article.tag_list || '').split(',').map(t => t.trim()).filter(Boolean)
+    };
+  }
+}
+
+module.exports = { DevToAdapter };
@@ -0,0 +1,282 @@
+const { createHttpClient } = require('../http/http-client');
+const { BasePlatformAdapter } = require('./base.adapter');
+const { toBooleanString } = require('../query/boolean-query');
+const { keywordTerms } = require('../query/keyword-matcher');
+
+const DISCUSSIONS_QUERY = `
+query($q: String!, $first: Int!) {
+  search(query: $q, type: DISCUSSION, first: $first) {
+    discussionCount
+    nodes {
+      ... on Discussion {
+        id
+        number
+        title
+        body
+        url
+        createdAt
+        closed
+        upvoteCount
+        author { login url }
+        repository { nameWithOwner }
+        category { name }
+        answer { id }
+        comments { totalCount }
+        reactions { totalCount }
+        labels(first: 10) { nodes { name } }
+      }
+    }
+  }
+}`;
+
+/**
+ * GitHub Platform Adapter
+ * 
+ * Searches issues (REST /search/issues) and discussions (GraphQL search)
+ * - great for catching "is this project dead?" / "looking for an
+ * alternative" threads in competitors' own repos.
+ * 
+ * Issues work without auth (10 searches/minute). Discussions need a
+ * token: set GITHUB_TOKEN (also raises the limit to 30/minute).
+ * 
+ * API Docs: https://docs.github.com/en/rest/search/search
+ */
+class GitHubAdapter extends BasePlatformAdapter {
+  constructor() {
+    super();
+    this.token = process.env.GITHUB_TOKEN;
+    this.client = createHttpClient({
+      requestsPerMinute: this.rateLimitPerMinute,
+      baseURL: 'https://api.github.com',
+      timeout: 10000,
+      headers: {
+        'Accept': 'application/vnd.github+json',
+        'X-GitHub-Api-Version': '2022-11-28',
+        ...(this.token ? { 'Authorization': `Bearer ${this.token}` } : {})
+      }
+    });
+  }
+
+  get platform() { return 'github'; }
+  get displayName() { return 'GitHub'; }
+  get rateLimitPerMinute() { return this.token ? 30 : 10; }
+
+  /**
+   * Search GitHub issues and/or discussions
+   */
+  async search(criteria) {
+    criteria = this.withExclusions(criteria);
+
+    try {
+      const filters = criteria.platformFilters?.github || {};
+      const maxResults = criteria.maxResults || 25;
+      const types = this.resolveTypes(filters);
+
+      const searches = [];
+      if (types.includes('issue')) {
+        searches.push(this.searchIssues(criteria, filters, maxResults));
+      }
+      if (types.includes('discussion')) {
+        searches.push(this.searchDiscussions(criteria, filters, maxResults));
+      }
+
+      const results = await Promise.all(searches);
+      const allPosts = results.flatMap(r => r.posts);
+      const totalFound = results.reduce((sum, r) => sum + r.totalFound, 0);
+
+      const posts = allPosts
+        .sort((a, b) => (b.signals?.relevanceScore || 0) - (a.signals?.relevanceScore || 0))
+        .slice(0, maxResults);
+
+      return this.successResult(criteria, posts, totalFound);
+
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+      console.error(`GitHub search error: ${message}`);
+      return this.errorResult(criteria, new Error(message));
+    }
+  }
+
+  /**
+   * Which item types to search: filters.type = 'issue' | 'discussion' | 'all'
+   * (default: all with a token, issues only without - discussions need auth)
+   */
+  resolveTypes(filters) {
+    const type = filters.type || (this.token ? 'all' : 'issue');
+
+    if (type === 'discussion' || type === 'all') {
+      if (!this.token) {
+        console.warn('[GitHub] Discussion search needs GITHUB_TOKEN - searching issues only');
+        return ['issue'];
+      }
+    }
+
+    return type === 'all' ? ['issue', 'discussion'] : [type];
+  }
+
+  /**
+   * Search issues via REST
+   */
+  async searchIssues(criteria, filters, maxResults) {
+    const query = `${this.buildQuery(criteria, filters)} is:issue`;
+    console.log(`[GitHub] Issue search: "${query}"`);
+
+    const response = await this.client.get('/search/issues', {
+      params: {
+        q: query,
+        sort: filters.sortBy,
+        order: 'desc',
+        per_page: Math.min(maxResults, 100)
+      }
+    });
+
+    return {
+      posts: this.processItems(response.data.items, criteria, filters, item => this.normalizePost(item)),
+      totalFound: response.data.total_count
+    };
+  }
+
+  /**
+   * Search discussions via GraphQL (REST search doesn't cover them)
+   */
+  async searchDiscussions(criteria, filters, maxResults) {
+    const query = this.buildQuery(criteria, filters);
+    console.log(`[GitHub] Discussion search: "${query}"`);
+
+    const response = await this.client.post('/graphql', {
+      query: DISCUSSIONS_QUERY,
+      variables: { q: query, first: Math.min(maxResults, 100) }
+    });
+
+    if (response.data.errors?.length) {
+      throw new Error(response.data.errors[0].message);
+    }
+
+    const search = response.data.data.search;
+    return {
+      posts: this.processItems(search.nodes.filter(node => node?.id), criteria, filters, node => this.normalizeDiscussion(node)),
+      totalFound: search.discussionCount
+    };
+  }
+
+  processItems(items, criteria, filters, normalize) {
+    const minReactions = filters.minReactions || 0;
+
+    return items
+      .map(normalize)
+      .filter(post => !this.isExcluded(post, criteria))
+      .map(post => {
+        post.signals = this.detectSignals(post, criteria);
+        return post;
+      })
+      .filter(post => post.metrics.reactions >= minReactions)
+      .filter(post => post.signals.relevanceScore > 0);
+  }
+
+  /**
+   * Build search query with GitHub qualifiers
+   */
+  buildQuery(criteria, filters = {}) {
+    const parts = [];
+
+    if (criteria.queryAst) {
+      // GitHub search supports AND/OR/NOT, quotes and parentheses
+      parts.push(toBooleanString(criteria.queryAst));
+    } else if (keywordTerms(criteria.keywords).length) {
+      // Main keywords (OR for wider net)
+      parts.push(keywordTerms(criteria.keywords).map(kw => this.quote(kw)).join(' OR '));
+    }
+
+    for (const repo of filters.repos || []) parts.push(`repo:${repo}`);
+    for (const org of filters.orgs || []) parts.push(`org:${org}`);
+    for (const label of filters.labels || []) parts.push(`label:${this.quote(label)}`);
+
+    // is:open / is:closed works for both issues and discussions
+    if (filters.state === 'open' || filters.state === 'closed') {
+      parts.push(`is:${filters.state}`);
+    }
+
+    const fromTs = this.timeRangeStart(criteria.timeRange);
+    if (fromTs) {
+      parts.push(`created:>=${new Date(fromTs * 1000).toISOString().slice(0, 10)}`);
+    }
+
+    return parts.join(' ');
+  }
+
+  quote(term) {
+    return /\s/.test(term) ? `"${term}"` : term;
+  }
+
+  /**
+   * Include repo name and labels when matching keywords -
+   * a complaint in hubspot/some-sdk is a HubSpot mention
+   */
+  signalFields(post) {
+    return {
+      ...super.signalFields(post),
+      repo: post.repo || '',
+      labels: (post.labels || []).join(', ')
+    };
+  }
+
+  /**
+   * Normalize GitHub issue to standard format
+   */
+  normalizePost(item) {
+    return {
+      id: String(item.id),
+      platform: 'github',
+      title: item.title,
+      body: item.body || '',
+      url: item.html_url,
+      author: {
+        username: item.user?.login,
+        profileUrl: item.user?.html_url
+      },
+      metrics: {
+        score: item.reactions?.total_count || 0,
+        comments: item.comments || 0,
+        reactions: item.reactions?.total_count || 0,
+        thumbsUp: item.reactions?.['+1'] || 0
+      },
+      createdAt: item.created_at,
+      repo: item.repository_url?.split('/repos/')[1],
+      itemType: 'Issue',
+      state: item.state,
+      labels: (item.labels || []).map(l => l.name)
+    };
+  }
+
+  /**
+   * Normalize GitHub discussion (GraphQL node) to standard format
+   */
+  normalizeDiscussion(node) {
+    return {
+      id: node.id,
+      platform: 'github',
+      title: node.title,
+      body: node.body || '',
+      url: node.url,
+      author: {
+        username: node.author?.login || 'ghost',
+        profileUrl: node.author?.url
+      },
+      metrics: {
+        score: node.upvoteCount || 0,
+        comments: node.comments?.totalCount || 0,
+        reactions: node.reactions?.totalCount || 0,
+        thumbsUp: node.upvoteCount || 0
+      },
+      createdAt: node.createdAt,
+      repo: node.repository?.nameWithOwner,
+      itemType: 'Discussion',
+      state: node.closed ? 'closed' : 'open',
+      category: node.category?.name,
+      answered: !!node.answer,
+      labels: (node.labels?.nodes || []).map(l => l.name)
+    };
+  }
+}
+
+module.exports = { GitHubAdapter };
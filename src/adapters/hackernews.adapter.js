@@ -1,5 +1,7 @@
-const axios = require('axios');
+const { createHttpClient } = require('../http/http-client');
 const { BasePlatformAdapter } = require('./base.adapter');
+const { requiredTerms, positiveTerms, termsToString } = require('../query/boolean-query');
+const { keywordTerms } = require('../query/keyword-matcher');
 
 /**
  * Hacker News Platform Adapter
@@ -12,23 +14,30 @@ const { BasePlatformAdapter } = require('./base.adapter');
 class HackerNewsAdapter extends BasePlatformAdapter {
   constructor() {
     super();
-    this.client = axios.create({
+    this.client = createHttpClient({
+      requestsPerMinute: this.rateLimitPerMinute,
       baseURL: 'https://hn.algolia.com/api/v1',
       timeout: 10000
     });
+    // User profiles come from the official Firebase API
+    this.userClient = createHttpClient({
+      baseURL: 'https://hacker-news.firebaseio.com/v0',
+      timeout: 10000
+    });
   }
 
   get platform() { return 'hackernews'; }
   get displayName() { return 'Hacker News'; }
   get rateLimitPerMinute() { return 100; } // Algolia is generous
+  get supportsAuthorProfiles() { return true; }
 
   /**
    * Search Hacker News
    */
   async search(criteria) {
+    criteria = this.withExclusions(criteria);
+
     try {
-      await this.checkRateLimit();
-      
       const filters = criteria.platformFilters?.hackerNews || {};
       const maxResults = criteria.maxResults || 25;
       const query = this.buildQuery(criteria);
@@ -42,24 +51,28 @@ class HackerNewsAdapter extends BasePlatformAdapter {
 
       console.log(`[HN] Search: "${query}" (${filters.storyType || 'all'})`);
 
-      const response = await this.client.get(endpoint, {
-        params: {
-          query,
-          tags,
-          numericFilters,
-          hitsPerPage: Math.min(maxResults, 100)
-        }
-      });
+      const { posts, nbHits, nextCursor } = await this.paginate(endpoint, {
+        query,
+        tags,
+        numericFilters,
+        optionalWords: this.buildOptionalWords(criteria)
+      }, criteria, maxResults);
+
+      if (!filters.expandThreads) {
+        return this.successResult(criteria, posts, nbHits, nextCursor);
+      }
 
-      const posts = response.data.hits
-        .map(hit => {
-          const normalized = this.normalizePost(hit);
-          normalized.signals = this.detectSignals(normalized, criteria);
-          return normalized;
-        })
-        .filter(post => post.signals.relevanceScore > 0);
+      // Thread mode: add parent context to comment hits, pull comments under stories
+      await this.attachParentContext(posts.filter(p => p.parentId), filters);
+      const threadComments = await this.expandThreads(posts, criteria, filters);
 
-      return this.successResult(criteria, posts, response.data.nbHits);
+      const seen = new Set(posts.map(p => p.id));
+      const added = threadComments.filter(c => !seen.has(c.id));
+
+      return {
+        ...this.successResult(criteria, [...posts, ...added], nbHits + added.length, nextCursor),
+        commentsFound: added.length
+      };
 
     } catch (error) {
       console.error(`HN search error: ${error.message}`);
@@ -67,27 +80,209 @@ class HackerNewsAdapter extends BasePlatformAdapter {
     }
   }
 
+  /**
+   * Walk Algolia pages until we have maxResults matching posts, reach
+   * nbPages, or hit the maxPages cap.
+   * 
+   * hitsPerPage is fixed for the whole walk (and stored in the cursor),
+   * since Algolia page numbers only line up for a constant page size.
+   * When maxResults is reached mid-page, the cursor keeps the offset of
+   * the next hit on that page, so resuming skips nothing.
+   */
+  async paginate(endpoint, params, criteria, maxResults) {
+    const cursor = this.getCursor(criteria);
+    const hitsPerPage = cursor?.hitsPerPage || Math.min(maxResults, 100);
+    const maxPages = this.getMaxPages(criteria);
+
+    let page = cursor?.page || 0;
+    let offset = cursor?.offset || 0;
+    let nbPages = Infinity;
+    let nbHits = 0;
+    let pagesFetched = 0;
+    const posts = [];
+
+    while (page < nbPages && posts.length < maxResults && pagesFetched < maxPages) {
+      const response = await this.client.get(endpoint, {
+        params: { ...params, hitsPerPage, page }
+      });
+
+      nbPages = response.data.nbPages;
+      nbHits = response.data.nbHits;
+      pagesFetched++;
+
+      const hits = response.data.hits;
+      let index = offset;
+      for (; index < hits.length && posts.length < maxResults; index++) {
+        const post = this.normalizePost(hits[index]);
+        if (this.isExcluded(post, criteria)) continue;
+
+        post.signals = this.detectSignals(post, criteria);
+        if (post.signals.relevanceScore > 0) posts.push(post);
+      }
+
+      if (index < hits.length) {
+        offset = index;
+      } else {
+        page++;
+        offset = 0;
+      }
+    }
+
+    if (pagesFetched > 1) {
+      console.log(`[HN] ${pagesFetched} pages, ${posts.length} posts${page < nbPages ? ' (more available)' : ''}`);
+    }
+
+    const nextCursor = page < nbPages ? this.encodeCursor({ page, hitsPerPage, ...(offset ? { offset } : {}) }) : null;
+    return { posts, nbHits, nextCursor };
+  }
+
+  /**
+   * Expand matched stories into their comment trees via /items/:id
+   * 
+   * Budget: filters.maxThreads stories, filters.maxDepth reply levels and
+   * filters.maxComments comments in total. Comments are matched on their
+   * own text (the story title stays as context in `story`); keeping the
+   * best comment per author makes an "Ask HN: what do you use for X?"
+   * thread yield one lead per commenter.
+   */
+  async expandThreads(posts, criteria, filters) {
+    const maxThreads = filters.maxThreads || 5;
+    const maxDepth = filters.maxDepth || 3;
+    let budget = filters.maxComments || 100;
+
+    const stories = posts.filter(p => !p.parentId).slice(0, maxThreads);
+    console.log(`[HN] Expanding ${stories.length} threads (depth ${maxDepth}, max ${budget} comments)`);
+
+    const comments = [];
+
+    for (const story of stories) {
+      if (budget <= 0) break;
+
+      try {
+        const response = await this.client.get(`/items/${story.id}`);
+
+        const threadComments = this.flattenTree(response.data.children || [], maxDepth, budget)
+          .map(item => this.normalizeItem(item, story));
+
+        budget -= threadComments.length;
+        comments.push(...threadComments
+          .filter(comment => !this.isExcluded(comment, criteria))
+          .map(comment => {
+            comment.signals = this.detectSignals(comment, criteria);
+            return comment;
+          })
+          .filter(c => c.signals.relevanceScore > 0));
+
+      } catch (error) {
+        console.warn(`[HN] Failed to expand thread ${story.id}: ${error.message}`);
+      }
+    }
+
+    return this.bestPerAuthor(comments);
+  }
+
+  /**
+   * Depth-first walk of an /items tree, within depth and count limits
+   */
+  flattenTree(children, maxDepth, limit, depth = 1) {
+    const flat = [];
+
+    for (const child of children) {
+      if (flat.length >= limit) break;
+      if (child.type !== 'comment' || !child.author || !child.text) continue;
+
+      flat.push({ ...child, depth });
+
+      if (depth < maxDepth && child.children?.length) {
+        flat.push(...this.flattenTree(child.children, maxDepth, limit - flat.length, depth + 1));
+      }
+    }
+
+    return flat;
+  }
+
+  /**
+   * Keep only the highest-relevance comment for each author
+   */
+  bestPerAuthor(comments) {
+    const byAuthor = new Map();
+
+    for (const comment of comments) {
+      const current = byAuthor.get(comment.author.username);
+      if (!current || comment.signals.relevanceScore > current.signals.relevanceScore) {
+        byAuthor.set(comment.author.username, comment);
+      }
+    }
+
+    return [...byAuthor.values()];
+  }
+
+  /**
+   * Fetch the parent of each matched comment and attach it as context
+   */
+  async attachParentContext(comments, filters) {
+    const maxLookups = filters.maxComments || 100;
+
+    for (const comment of comments.slice(0, maxLookups)) {
+      // Top-level comment: the parent is the story, which we already know
+      if (comment.parentId === comment.story?.id) continue;
+
+      try {
+        const response = await this.client.get(`/items/${comment.parentId}`);
+
+        comment.parent = {
+          id: String(response.data.id),
+          author: response.data.author,
+          text: this.stripHtml(response.data.text || '')
+        };
+
+      } catch (error) {
+        console.warn(`[HN] Failed to fetch parent ${comment.parentId}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Drop story types listed in platformFilters.hackerNews.excludeStoryTypes
+   * ('story', 'comment', 'ask_hn', 'show_hn')
+   */
+  platformExclusionReason(post, criteria) {
+    const excluded = criteria.platformFilters?.hackerNews?.excludeStoryTypes || [];
+    const storyType = post.storyType?.toLowerCase().replace(/\s+/g, '_');
+
+    return storyType && excluded.includes(storyType) ? 'storyType' : null;
+  }
+
   /**
    * Build search query
    */
   buildQuery(criteria) {
-    const parts = [];
-    
-    if (criteria.keywords?.length) {
-      parts.push(...criteria.keywords);
-    }
-    
-    if (criteria.intentKeywords?.length) {
-      parts.push(...criteria.intentKeywords.slice(0, 2));
+    // Algolia ANDs words: send the terms every match must have,
+    // or all positive terms as optional words when there are none
+    if (criteria.queryAst) {
+      const required = requiredTerms(criteria.queryAst);
+      return required.length
+        ? termsToString(required)
+        : positiveTerms(criteria.queryAst).join(' ');
     }
+
+    const parts = [];
     
-    if (criteria.competitors?.length) {
-      parts.push(...criteria.competitors.slice(0, 2));
-    }
+    parts.push(...keywordTerms(criteria.keywords));
+    parts.push(...keywordTerms(criteria.intentKeywords).slice(0, 2));
+    parts.push(...keywordTerms(criteria.competitors).slice(0, 2));
     
     return parts.join(' ');
   }
 
+  /**
+   * Optional words turn an OR-only boolean query into "any of these"
+   */
+  buildOptionalWords(criteria) {
+    if (!criteria.queryAst || requiredTerms(criteria.queryAst).length) return undefined;
+    return positiveTerms(criteria.queryAst).join(',');
+  }
+
   /**
    * Build tags filter for story type
    */
@@ -113,42 +308,41 @@ class HackerNewsAdapter extends BasePlatformAdapter {
     }
     
     // Time range
-    if (timeRange) {
-      const now = Math.floor(Date.now() / 1000);
-      const presets = {
-        hour: 3600,
-        day: 86400,
-        week: 604800,
-        month: 2592000,
-        year: 31536000
-      };
-      
-      let fromTs;
-      if (timeRange.preset) {
-        fromTs = now - (presets[timeRange.preset] || presets.week);
-      } else if (timeRange.from) {
-        fromTs = Math.floor(new Date(timeRange.from).getTime() / 1000);
-      } else {
-        fromTs = now - presets.week;
-      }
-      
+    const fromTs = this.timeRangeStart(timeRange);
+    if (fromTs) {
       parts.push(`created_at_i>${fromTs}`);
     }
     
     return parts.join(',');
   }
 
+  /**
+   * Karma, about text and account creation from /user/{id}.json
+   */
+  async fetchAuthorProfile(username) {
+    const response = await this.userClient.get(`/user/${encodeURIComponent(username)}.json`);
+    const user = response.data;
+    if (!user) return null;
+
+    return {
+      karma: user.karma || 0,
+      about: this.stripHtml(user.about || ''),
+      createdAt: new Date(user.created * 1000).toISOString(),
+      submissions: user.submitted?.length || 0
+    };
+  }
+
   /**
    * Normalize HN post to standard format
    */
   normalizePost(hit) {
     const isComment = hit._tags?.includes('comment');
     
-    return {
+    const post = {
       id: hit.objectID,
       platform: 'hackernews',
-      title: hit.title || hit.story_title || 'Comment',
-      body: hit.story_text || hit.comment_text || '',
+      title: hit.title || (hit.story_title ? `Comment on: ${hit.story_title}` : 'Comment'),
+      body: this.stripHtml(hit.story_text || hit.comment_text),
       url: `https://news.ycombinator.com/item?id=${hit.objectID}`,
       author: {
         username: hit.author,
@@ -159,8 +353,81 @@ class HackerNewsAdapter extends BasePlatformAdapter {
         comments: hit.num_comments || 0
       },
       createdAt: hit.created_at,
-      storyType: this.getStoryType(hit._tags)
+      storyType: this.getStoryType(hit._tags),
+      linkUrl: isComment ? null : (hit.url || null)
     };
+
+    if (isComment) {
+      post.parentId = String(hit.parent_id);
+      post.threadUrl = `https://news.ycombinator.com/item?id=${hit.story_id}`;
+      post.depth = hit.parent_id === hit.story_id ? 1 : null;
+      post.story = {
+        id: String(hit.story_id),
+        title: hit.story_title,
+        url: hit.story_url || null
+      };
+    }
+
+    return post;
+  }
+
+  /**
+   * Normalize a comment from an /items/:id tree
+   * 
+   * @param {Object} item - Comment item with our `depth` added
+   * @param {Object} story - Normalized story the thread belongs to
+   */
+  normalizeItem(item, story) {
+    return {
+      id: String(item.id),
+      platform: 'hackernews',
+      title: story.title ? `Comment on: ${story.title}` : 'Comment',
+      body: this.stripHtml(item.text),
+      url: `https://news.ycombinator.com/item?id=${item.id}`,
+      author: {
+        username: item.author,
+        profileUrl: `https://news.ycombinator.com/user?id=${item.author}`
+      },
+      metrics: {
+        score: item.points || 0,
+        comments: item.children?.length || 0
+      },
+      createdAt: item.created_at,
+      storyType: 'Comment',
+      parentId: String(item.parent_id),
+      threadUrl: story.url,
+      depth: item.depth,
+      story: {
+        id: story.id,
+        title: story.title,
+        url: story.url,
+        storyType: story.storyType
+      }
+    };
+  }
+
+  /**
+   * Comments are matched on their own text - the story title would
+   * otherwise make every reply in a matching thread look relevant
+   */
+  signalFields(post) {
+    return post.parentId ? { body: post.body } : super.signalFields(post);
+  }
+
+  /**
+   * Convert HN comment HTML to plain text
+   */
+  stripHtml(html) {
+    return (html || '')
+      .replace(/<p>/g, '\n\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&#x27;/g, "'")
+      .replace(/&quot;/g, '"')
+      .replace(/&#x2F;/g, '/')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&')
+      .trim();
   }
 
   getStoryType(tags) {
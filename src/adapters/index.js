@@ -1,5 +1,9 @@
 const { RedditAdapter } = require('./reddit.adapter');
 const { HackerNewsAdapter } = require('./hackernews.adapter');
+const { StackOverflowAdapter } = require('./stackoverflow.adapter');
+const { GitHubAdapter } = require('./github.adapter');
+const { DevToAdapter } = require('./devto.adapter');
+const { ProductHuntAdapter } = require('./producthunt.adapter');
 
 /**
  * Platform Registry
@@ -15,12 +19,10 @@ const { HackerNewsAdapter } = require('./hackernews.adapter');
 const adapters = {
   reddit: new RedditAdapter(),
   hackernews: new HackerNewsAdapter(),
-  
-  // Future platforms - uncomment when implemented:
-  // stackoverflow: new StackOverflowAdapter(),
-  // github: new GitHubAdapter(),
-  // devto: new DevToAdapter(),
-  // producthunt: new ProductHuntAdapter(),
+  stackoverflow: new StackOverflowAdapter(),
+  github: new GitHubAdapter(),
+  devto: new DevToAdapter(),
+  producthunt: new ProductHuntAdapter(),
 };
 
 /**
@@ -44,6 +46,16 @@ function getPlatformNames() {
   return Object.keys(adapters);
 }
 
+/**
+ * Get names of platforms that are usable right now
+ * (e.g. Product Hunt is skipped without a token)
+ */
+function getAvailablePlatformNames() {
+  return Object.entries(adapters)
+    .filter(([, adapter]) => adapter.isAvailable())
+    .map(([name]) => name);
+}
+
 /**
  * Get platform info for API response
  */
@@ -51,7 +63,7 @@ function getPlatformInfo() {
   return Object.entries(adapters).map(([name, adapter]) => ({
     platform: name,
     displayName: adapter.displayName,
-    available: true
+    available: adapter.isAvailable()
   }));
 }
 
@@ -60,5 +72,6 @@ module.exports = {
   getAdapter,
   getAllAdapters,
   getPlatformNames,
+  getAvailablePlatformNames,
   getPlatformInfo
 };
\ No newline at end of file
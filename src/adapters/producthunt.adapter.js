@@ -0,0 +1,217 @@
+const { createHttpClient } = require('../http/http-client');
+const { BasePlatformAdapter } = require('./base.adapter');
+const { keywordTerms } = require('../query/keyword-matcher');
+
+const POSTS_QUERY = `
+query($first: Int!, $topic: String, $postedAfter: DateTime, $order: PostsOrder, $commentsFirst: Int!) {
+  posts(first: $first, topic: $topic, postedAfter: $postedAfter, order: $order) {
+    totalCount
+    edges {
+      node {
+        id
+        name
+        tagline
+        description
+        url
+        website
+        votesCount
+        commentsCount
+        createdAt
+        user { username url }
+        topics(first: 5) { edges { node { name slug } } }
+        comments(first: $commentsFirst, order: VOTES_COUNT) {
+          edges {
+            node { id body url createdAt votesCount user { username url } }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+/**
+ * Product Hunt Platform Adapter
+ * 
+ * Uses the Product Hunt GraphQL API v2 - requires a developer token
+ * (PRODUCTHUNT_TOKEN, from https://www.producthunt.com/v2/oauth/applications).
+ * 
+ * Covers launches and their discussion threads: each launch's top
+ * comments are matched separately and returned as posts with a
+ * `parentId` pointing at the launch. The API has no keyword search,
+ * so launches are pulled per topic and matched locally.
+ * 
+ * API Docs: https://api.producthunt.com/v2/docs
+ */
+class ProductHuntAdapter extends BasePlatformAdapter {
+  constructor() {
+    super();
+    this.token = process.env.PRODUCTHUNT_TOKEN;
+    this.client = createHttpClient({
+      requestsPerMinute: this.rateLimitPerMinute,
+      baseURL: 'https://api.producthunt.com/v2/api',
+      timeout: 15000,
+      headers: {
+        'Authorization': `Bearer ${this.token}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      }
+    });
+  }
+
+  get platform() { return 'producthunt'; }
+  get displayName() { return 'Product Hunt'; }
+  get rateLimitPerMinute() { return 30; }
+
+  isAvailable() {
+    return !!this.token;
+  }
+
+  /**
+   * Search Product Hunt launches and comment threads
+   */
+  async search(criteria) {
+    criteria = this.withExclusions(criteria);
+
+    try {
+      if (!this.token) {
+        throw new Error('Product Hunt requires PRODUCTHUNT_TOKEN');
+      }
+
+      const filters = criteria.platformFilters?.productHunt || {};
+      const maxResults = criteria.maxResults || 25;
+      const topics = filters.topics?.length ? filters.topics : [null];
+      const includeComments = filters.includeComments !== false;
+
+      console.log(`[PH] Launches${topics[0] ? ` in ${topics.join(', ')}` : ''}${includeComments ? ' + comments' : ''}`);
+
+      const seen = new Set();
+      const allPosts = [];
+      let totalFound = 0;
+
+      for (const topic of topics) {
+        const response = await this.client.post('/graphql', {
+          query: POSTS_QUERY,
+          variables: {
+            first: Math.min(Math.max(maxResults, 20), 50),
+            topic,
+            postedAfter: this.postedAfter(criteria.timeRange),
+            order: filters.sortBy === 'votes' ? 'VOTES' : 'NEWEST',
+            commentsFirst: includeComments ? 20 : 0
+          }
+        });
+
+        if (response.data.errors?.length) {
+          throw new Error(response.data.errors[0].message);
+        }
+
+        const connection = response.data.data.posts;
+        totalFound += connection.totalCount || 0;
+
+        for (const { node } of connection.edges) {
+          if (seen.has(node.id)) continue;
+          seen.add(node.id);
+
+          allPosts.push(this.normalizePost(node));
+
+          if (includeComments) {
+            for (const { node: comment } of node.comments?.edges || []) {
+              allPosts.push(this.normalizeComment(comment, node));
+            }
+          }
+        }
+      }
+
+      const minVotes = filters.minVotes || 0;
+      const posts = allPosts
+        .filter(post => post.metrics.score >= minVotes)
+        .filter(post => !this.isExcluded(post, criteria))
+        .map(post => {
+          post.signals = this.detectSignals(post, criteria);
+          return post;
+        })
+        .filter(post => post.signals.relevanceScore > 0)
+        .sort((a, b) => (b.signals?.relevanceScore || 0) - (a.signals?.relevanceScore || 0))
+        .slice(0, maxResults);
+
+      return this.successResult(criteria, posts, totalFound);
+
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.error_description || error.message;
+      console.error(`PH search error: ${message}`);
+      return this.errorResult(criteria, new Error(message));
+    }
+  }
+
+  /**
+   * Build search query (informational - matching happens locally)
+   */
+  buildQuery(criteria) {
+    return keywordTerms(criteria.keywords).join(' ');
+  }
+
+  postedAfter(timeRange) {
+    const fromTs = this.timeRangeStart(timeRange);
+    return fromTs ? new Date(fromTs * 1000).toISOString() : undefined;
+  }
+
+  /**
+   * Include topics when matching keywords
+   */
+  signalFields(post) {
+    return { ...super.signalFields(post), tags: (post.tags || []).join(', ') };
+  }
+
+  /**
+   * Normalize a Product Hunt launch to standard format
+   */
+  normalizePost(node) {
+    return {
+      id: node.id,
+      platform: 'producthunt',
+      title: `${node.name} - ${node.tagline}`,
+      body: node.description || '',
+      url: node.url,
+      author: {
+        username: node.user?.username,
+        profileUrl: node.user?.url
+      },
+      metrics: {
+        score: node.votesCount || 0,
+        comments: node.commentsCount || 0
+      },
+      createdAt: node.createdAt,
+      storyType: 'Launch',
+      website: node.website,
+      tags: (node.topics?.edges || []).map(e => e.node.name)
+    };
+  }
+
+  /**
+   * Normalize a launch comment (discussion thread reply) to standard format
+   */
+  normalizeComment(comment, launch) {
+    return {
+      id: comment.id,
+      platform: 'producthunt',
+      title: `Comment on ${launch.name}`,
+      body: comment.body || '',
+      url: comment.url || launch.url,
+      author: {
+        username: comment.user?.username,
+        profileUrl: comment.user?.url
+      },
+      metrics: {
+        score: comment.votesCount || 0,
+        comments: 0
+      },
+      createdAt: comment.createdAt,
+      storyType: 'Comment',
+      parentId: launch.id,
+      threadUrl: launch.url,
+      depth: 1,
+      tags: (launch.topics?.edges || []).map(e => e.node.name)
+    };
+  }
+}
+
+module.exports = { ProductHuntAdapter };
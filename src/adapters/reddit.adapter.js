@@ -1,5 +1,7 @@
-const axios = require('axios');
+const { createHttpClient } = require('../http/http-client');
 const { BasePlatformAdapter } = require('./base.adapter');
+const { toBooleanString } = require('../query/boolean-query');
+const { keywordTerms } = require('../query/keyword-matcher');
 
 /**
  * Reddit Platform Adapter
@@ -12,7 +14,8 @@ const { BasePlatformAdapter } = require('./base.adapter');
 class RedditAdapter extends BasePlatformAdapter {
   constructor() {
     super();
-    this.client = axios.create({
+    this.client = createHttpClient({
+      requestsPerMinute: this.rateLimitPerMinute,
       baseURL: 'https://www.reddit.com',
       timeout: 10000,
       headers: {
@@ -24,24 +27,37 @@ class RedditAdapter extends BasePlatformAdapter {
   get platform() { return 'reddit'; }
   get displayName() { return 'Reddit'; }
   get rateLimitPerMinute() { return 30; }
+  get supportsAuthorProfiles() { return true; }
 
   /**
    * Search Reddit for posts matching criteria
    */
   async search(criteria) {
+    criteria = this.withExclusions(criteria);
+
     try {
-      await this.checkRateLimit();
-      
       const filters = criteria.platformFilters?.reddit || {};
       const maxResults = criteria.maxResults || 25;
       
-      // If subreddits specified, search within them
-      if (filters.subreddits?.length > 0) {
-        return this.searchSubreddits(criteria, filters, maxResults);
+      // If subreddits specified, search within them, otherwise all of Reddit
+      const result = filters.subreddits?.length > 0
+        ? await this.searchSubreddits(criteria, filters, maxResults)
+        : await this.searchGlobal(criteria, filters, maxResults);
+
+      if (!filters.includeComments && !filters.expandThreads) {
+        return result;
       }
-      
-      // Otherwise, search all of Reddit
-      return this.searchGlobal(criteria, filters, maxResults);
+
+      // Comment mode: matching comments come back as posts with parentId/threadUrl/depth
+      const comments = [];
+      if (filters.includeComments) {
+        comments.push(...await this.searchComments(criteria, filters, maxResults));
+      }
+      if (filters.expandThreads) {
+        comments.push(...await this.expandThreads(result.posts, criteria, filters));
+      }
+
+      return this.mergeComments(criteria, result, comments);
       
     } catch (error) {
       console.error(`Reddit search error: ${error.message}`);
@@ -56,86 +72,269 @@ class RedditAdapter extends BasePlatformAdapter {
     const query = this.buildQuery(criteria);
     const timeFilter = filters.timeFilter || 'week';
     const sortBy = filters.sortBy || 'relevance';
+    const cursor = this.getCursor(criteria);
 
     console.log(`[Reddit] Global search: "${query}" (${timeFilter}, ${sortBy})`);
 
-    const response = await this.client.get('/search.json', {
-      params: {
-        q: query,
-        sort: sortBy,
-        t: timeFilter,
-        limit: Math.min(maxResults, 100),
-        type: 'link'
-      }
-    });
+    const page = await this.paginate('/search.json', {
+      q: query,
+      sort: sortBy,
+      t: timeFilter,
+      type: 'link'
+    }, criteria, filters, maxResults, cursor?.after);
 
-    const posts = this.processResponse(response.data, criteria, filters);
-    return this.successResult(criteria, posts, response.data.data.dist);
+    const nextCursor = page.after ? this.encodeCursor({ after: page.after }) : null;
+    return this.successResult(criteria, page.posts, page.fetched, nextCursor);
   }
 
   /**
    * Search within specific subreddits
+   * 
+   * Each subreddit paginates on its own; the cursor keeps one `after`
+   * per subreddit and drops the ones that are exhausted. maxResults is
+   * split between them up front (at least one each), so every post a
+   * subreddit fetched is returned and its `after` skips nothing.
    */
   async searchSubreddits(criteria, filters, maxResults) {
     const query = this.buildQuery(criteria);
     const timeFilter = filters.timeFilter || 'week';
     const sortBy = filters.sortBy || 'relevance';
-    const subreddits = filters.subreddits;
-    const perSubreddit = Math.ceil(maxResults / subreddits.length);
+    const cursor = this.getCursor(criteria);
+
+    // When resuming, only continue subreddits that still have more results
+    const subreddits = cursor?.afters
+      ? filters.subreddits.filter(sub => cursor.afters[sub])
+      : filters.subreddits;
+    const share = Math.floor(maxResults / Math.max(subreddits.length, 1));
+    const extra = maxResults % Math.max(subreddits.length, 1);
 
     console.log(`[Reddit] Subreddit search: "${query}" in r/${subreddits.join(', r/')}`);
 
     const allPosts = [];
+    const afters = {};
+    let fetched = 0;
 
-    for (const subreddit of subreddits) {
+    for (const [index, subreddit] of subreddits.entries()) {
+      const perSubreddit = Math.max(1, share + (index < extra ? 1 : 0));
       try {
-        await this.checkRateLimit();
+        const page = await this.paginate(`/r/${subreddit}/search.json`, {
+          q: query,
+          sort: sortBy,
+          t: timeFilter,
+          restrict_sr: true
+        }, criteria, filters, perSubreddit, cursor?.afters?.[subreddit]);
+
+        allPosts.push(...page.posts);
+        fetched += page.fetched;
+        if (page.after) afters[subreddit] = page.after;
         
-        const response = await this.client.get(`/r/${subreddit}/search.json`, {
+      } catch (error) {
+        console.warn(`[Reddit] Failed to search r/${subreddit}: ${error.message}`);
+      }
+    }
+
+    const sortedPosts = allPosts
+      .sort((a, b) => (b.signals?.relevanceScore || 0) - (a.signals?.relevanceScore || 0));
+
+    const nextCursor = Object.keys(afters).length > 0 ? this.encodeCursor({ afters }) : null;
+    return this.successResult(criteria, sortedPosts, fetched, nextCursor);
+  }
+
+  /**
+   * Follow Reddit's `after` token until we have maxResults matching posts,
+   * run out of results, or hit the maxPages cap.
+   * 
+   * Page size shrinks to what's still needed, so the returned `after`
+   * never skips posts we fetched but didn't return.
+   */
+  async paginate(path, params, criteria, filters, maxResults, after = null) {
+    const maxPages = this.getMaxPages(criteria);
+    const posts = [];
+    let fetched = 0;
+    let pages = 0;
+
+    do {
+      const response = await this.client.get(path, {
+        params: {
+          ...params,
+          limit: Math.min(maxResults - posts.length, 100),
+          after: after || undefined
+        }
+      });
+
+      const listing = response.data.data;
+      fetched += listing.dist ?? listing.children.length;
+      posts.push(...this.processResponse(response.data, criteria, filters));
+      after = listing.after;
+      pages++;
+
+    } while (after && posts.length < maxResults && pages < maxPages);
+
+    if (pages > 1) {
+      console.log(`[Reddit] ${path}: ${pages} pages, ${posts.length} posts${after ? ' (more available)' : ''}`);
+    }
+
+    return { posts, fetched, after };
+  }
+
+  /**
+   * Search comments (globally or within the filter subreddits)
+   */
+  async searchComments(criteria, filters, maxResults) {
+    const query = this.buildQuery(criteria);
+    const timeFilter = filters.timeFilter || 'week';
+    const sortBy = filters.sortBy || 'relevance';
+    const targets = filters.subreddits?.length > 0 ? filters.subreddits : [null];
+    const perTarget = Math.min(Math.ceil(maxResults / targets.length), 100);
+
+    console.log(`[Reddit] Comment search: "${query}"${targets[0] ? ` in r/${targets.join(', r/')}` : ''}`);
+
+    const comments = [];
+
+    for (const subreddit of targets) {
+      try {
+        const response = await this.client.get(subreddit ? `/r/${subreddit}/search.json` : '/search.json', {
           params: {
             q: query,
             sort: sortBy,
             t: timeFilter,
-            limit: perSubreddit,
-            restrict_sr: true
+            limit: perTarget,
+            type: 'comment',
+            restrict_sr: subreddit ? true : undefined
           }
         });
 
-        const posts = this.processResponse(response.data, criteria, filters);
-        allPosts.push(...posts);
-        
+        comments.push(...this.processComments(response.data.data.children, criteria, filters));
+
       } catch (error) {
-        console.warn(`[Reddit] Failed to search r/${subreddit}: ${error.message}`);
+        console.warn(`[Reddit] Comment search failed${subreddit ? ` in r/${subreddit}` : ''}: ${error.message}`);
       }
     }
 
-    // Sort by relevance and limit
-    const sortedPosts = allPosts
-      .sort((a, b) => (b.signals?.relevanceScore || 0) - (a.signals?.relevanceScore || 0))
-      .slice(0, maxResults);
+    return comments;
+  }
+
+  /**
+   * Fetch the comment tree of matched posts and keep matching replies
+   */
+  async expandThreads(posts, criteria, filters) {
+    const maxThreads = filters.maxThreads || 5;
+    const threads = posts.filter(p => !p.parentId).slice(0, maxThreads);
+
+    console.log(`[Reddit] Expanding ${threads.length} threads`);
+
+    const comments = [];
+
+    for (const post of threads) {
+      try {
+        const response = await this.client.get(`/comments/${post.id}.json`, {
+          params: {
+            limit: filters.maxCommentsPerThread || 100,
+            depth: filters.maxDepth || 5,
+            sort: 'top'
+          }
+        });
+
+        // Response is [postListing, commentListing]
+        const tree = response.data[1]?.data?.children || [];
+        comments.push(...this.processComments(this.flattenTree(tree), criteria, filters, post));
+
+      } catch (error) {
+        console.warn(`[Reddit] Failed to expand thread ${post.id}: ${error.message}`);
+      }
+    }
+
+    return comments;
+  }
+
+  /**
+   * Flatten a comment tree (skipping "load more" stubs)
+   */
+  flattenTree(children) {
+    const flat = [];
 
-    return this.successResult(criteria, sortedPosts, allPosts.length);
+    for (const child of children) {
+      if (child.kind !== 't1') continue;
+      flat.push(child);
+      if (child.data.replies?.data?.children) {
+        flat.push(...this.flattenTree(child.data.replies.data.children));
+      }
+    }
+
+    return flat;
+  }
+
+  /**
+   * Filter, normalize and score comment listings
+   */
+  processComments(children, criteria, filters, thread = null) {
+    const minScore = filters.minScore || 0;
+
+    return children
+      .filter(item => item.kind === 't1')
+      .filter(item => {
+        const comment = item.data;
+        if (comment.score < minScore) return false;
+        if (comment.stickied || comment.distinguished) return false;
+        if (!comment.author || comment.author === '[deleted]' || comment.author === 'AutoModerator') return false;
+        return true;
+      })
+      .map(item => this.normalizeComment(item.data, thread))
+      .filter(comment => !this.isExcluded(comment, criteria))
+      .map(comment => {
+        comment.signals = this.detectSignals(comment, criteria);
+        return comment;
+      })
+      .filter(comment => comment.signals.relevanceScore > 0);
+  }
+
+  /**
+   * Merge comments into a post result (deduped, sorted by relevance)
+   */
+  mergeComments(criteria, result, comments) {
+    const seen = new Set(result.posts.map(p => p.id));
+    const unique = comments.filter(c => {
+      if (seen.has(c.id)) return false;
+      seen.add(c.id);
+      return true;
+    });
+
+    const posts = [...result.posts, ...unique]
+      .sort((a, b) => (b.signals?.relevanceScore || 0) - (a.signals?.relevanceScore || 0));
+
+    return {
+      ...this.successResult(criteria, posts, result.totalFound + unique.length, result.nextCursor),
+      commentsFound: unique.length
+    };
   }
 
   /**
    * Build search query from criteria
    */
   buildQuery(criteria) {
+    // Reddit search speaks AND/OR/NOT, quotes and parentheses natively
+    if (criteria.queryAst) {
+      return toBooleanString(criteria.queryAst);
+    }
+
     const parts = [];
+    const keywords = keywordTerms(criteria.keywords);
+    const intentKeywords = keywordTerms(criteria.intentKeywords);
+    const competitors = keywordTerms(criteria.competitors);
     
     // Main keywords (OR for wider net)
-    if (criteria.keywords?.length) {
-      parts.push(criteria.keywords.join(' OR '));
+    if (keywords.length) {
+      parts.push(keywords.join(' OR '));
     }
     
     // Add a few intent keywords
-    if (criteria.intentKeywords?.length) {
-      parts.push(`(${criteria.intentKeywords.slice(0, 3).join(' OR ')})`);
+    if (intentKeywords.length) {
+      parts.push(`(${intentKeywords.slice(0, 3).join(' OR ')})`);
     }
     
     // Add competitor names
-    if (criteria.competitors?.length) {
-      parts.push(`(${criteria.competitors.join(' OR ')})`);
+    if (competitors.length) {
+      parts.push(`(${competitors.join(' OR ')})`);
     }
     
     return parts.join(' ') || '*';
@@ -158,15 +357,64 @@ class RedditAdapter extends BasePlatformAdapter {
         if (post.over_18) return false;
         return true;
       })
-      .map(item => {
-        const normalized = this.normalizePost(item.data);
-        normalized.signals = this.detectSignals(normalized, criteria);
-        return normalized;
+      .map(item => this.normalizePost(item.data))
+      .filter(post => !this.isExcluded(post, criteria))
+      .map(post => {
+        post.signals = this.detectSignals(post, criteria);
+        return post;
       })
       // Only return posts with some relevance
       .filter(post => post.signals.relevanceScore > 0);
   }
 
+  /**
+   * Drop posts and comments from platformFilters.reddit.excludeSubreddits
+   */
+  platformExclusionReason(post, criteria) {
+    const excluded = criteria.platformFilters?.reddit?.excludeSubreddits || [];
+    const subreddit = post.subreddit?.toLowerCase();
+
+    if (subreddit && excluded.some(sub => sub.replace(/^r\//i, '').toLowerCase() === subreddit)) {
+      return 'subreddit';
+    }
+    return null;
+  }
+
+  /**
+   * Comments are matched on their own text - the thread title would
+   * otherwise make every reply in a matching thread look relevant
+   */
+  signalFields(post) {
+    return post.parentId ? { body: post.body } : super.signalFields(post);
+  }
+
+  /**
+   * Karma and account age from /user/{name}/about.json
+   */
+  async fetchAuthorProfile(username) {
+    let response;
+    try {
+      response = await this.client.get(`/user/${encodeURIComponent(username)}/about.json`);
+    } catch (error) {
+      if (error.response?.status === 404) return null; // deleted or never existed
+      throw error;
+    }
+
+    const user = response.data?.data;
+    if (!user) return null;
+
+    // Suspended accounts only come back with a name and is_suspended
+    return {
+      karma: user.total_karma ?? ((user.link_karma || 0) + (user.comment_karma || 0)),
+      linkKarma: user.link_karma ?? null,
+      commentKarma: user.comment_karma ?? null,
+      createdAt: user.created_utc ? new Date(user.created_utc * 1000).toISOString() : null,
+      verified: !!user.verified,
+      hasVerifiedEmail: !!user.has_verified_email,
+      isSuspended: !!user.is_suspended
+    };
+  }
+
   /**
    * Normalize Reddit post to standard format
    */
@@ -188,7 +436,48 @@ class RedditAdapter extends BasePlatformAdapter {
       },
       createdAt: new Date(post.created_utc * 1000).toISOString(),
       subreddit: post.subreddit,
-      flair: post.link_flair_text
+      flair: post.link_flair_text,
+      // Link posts point elsewhere; crossposts name the post they copy
+      linkUrl: post.is_self ? null : (post.url_overridden_by_dest || post.url || null),
+      crosspostParent: post.crosspost_parent ? post.crosspost_parent.replace(/^t3_/, '') : null
+    };
+  }
+
+  /**
+   * Normalize Reddit comment to standard post format
+   * 
+   * @param {Object} comment - t1 data
+   * @param {Object} thread - Normalized parent post (when expanded from a thread)
+   */
+  normalizeComment(comment, thread = null) {
+    const linkId = (comment.link_id || '').replace(/^t3_/, '');
+    const linkTitle = thread?.title || comment.link_title;
+    const replies = comment.replies?.data?.children?.filter(c => c.kind === 't1').length || 0;
+
+    return {
+      id: comment.id,
+      platform: 'reddit',
+      title: linkTitle ? `Comment on: ${linkTitle}` : 'Comment',
+      body: comment.body || '',
+      url: `https://www.reddit.com${comment.permalink}`,
+      author: {
+        username: comment.author,
+        profileUrl: `https://www.reddit.com/user/${comment.author}`
+      },
+      metrics: {
+        score: comment.score,
+        comments: replies
+      },
+      createdAt: new Date(comment.created_utc * 1000).toISOString(),
+      subreddit: comment.subreddit,
+      storyType: 'Comment',
+      parentId: (comment.parent_id || '').replace(/^t[13]_/, ''),
+      threadId: linkId,
+      threadUrl: thread?.url || `https://www.reddit.com/comments/${linkId}`,
+      // Thread listings give a 0-based depth; search hits only tell us top-level vs reply
+      depth: comment.depth !== undefined
+        ? comment.depth + 1
+        : (comment.parent_id?.startsWith('t3_') ? 1 : null)
     };
   }
 }
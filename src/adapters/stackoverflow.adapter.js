@@ -0,0 +1,237 @@
+const { createHttpClient } = require('../http/http-client');
+const { BasePlatformAdapter } = require('./base.adapter');
+const { requiredTerms, termsToString } = require('../query/boolean-query');
+const { keywordTerms } = require('../query/keyword-matcher');
+
+/**
+ * Stack Overflow Platform Adapter
+ * 
+ * Uses the Stack Exchange API /search/advanced endpoint.
+ * Works without a key (300 requests/day per IP); set STACKEXCHANGE_KEY
+ * for 10,000/day. Any Stack Exchange site works via the `site` filter,
+ * e.g. "softwarerecs" for Software Recommendations.
+ * 
+ * The API can ask clients to back off (`backoff` seconds) and reports the
+ * remaining daily quota - both are respected here. An exhausted quota
+ * blocks searches until it resets at the next UTC midnight.
+ * 
+ * API Docs: https://api.stackexchange.com/docs/advanced-search
+ */
+class StackOverflowAdapter extends BasePlatformAdapter {
+  constructor() {
+    super();
+    this.client = createHttpClient({
+      requestsPerMinute: this.rateLimitPerMinute,
+      baseURL: 'https://api.stackexchange.com/2.3',
+      timeout: 10000
+    });
+    this.apiKey = process.env.STACKEXCHANGE_KEY;
+    this.backoffUntil = 0;
+    this.quota = { max: null, remaining: null, resetsAt: null };
+  }
+
+  get platform() { return 'stackoverflow'; }
+  get displayName() { return 'Stack Overflow'; }
+  get rateLimitPerMinute() { return 60; }
+
+  /**
+   * Search Stack Overflow (or another Stack Exchange site) for questions
+   */
+  async search(criteria) {
+    criteria = this.withExclusions(criteria);
+
+    try {
+      if (this.quota.remaining === 0) {
+        if (Date.now() < new Date(this.quota.resetsAt).getTime()) {
+          throw new Error(`Stack Exchange API daily quota exhausted until ${this.quota.resetsAt}`);
+        }
+        this.quota = { ...this.quota, remaining: null, resetsAt: null };
+      }
+
+      await this.waitForBackoff();
+
+      const filters = criteria.platformFilters?.stackoverflow || {};
+      const maxResults = criteria.maxResults || 25;
+      const site = filters.site || 'stackoverflow';
+      const query = this.buildQuery(criteria);
+
+      console.log(`[SO] Search: "${query}" on ${site}${filters.tags?.length ? ` [${filters.tags.join(', ')}]` : ''}`);
+
+      const response = await this.client.get('/search/advanced', {
+        params: this.buildParams(query, filters, criteria, site, maxResults)
+      });
+
+      this.trackQuota(response.data);
+
+      const minScore = filters.minScore || 0;
+      const posts = response.data.items
+        .filter(item => item.score >= minScore)
+        .filter(item => {
+          if (filters.answered === true) return item.is_answered;
+          if (filters.answered === false) return !item.is_answered;
+          return true;
+        })
+        .map(item => this.normalizePost(item, site))
+        .filter(post => !this.isExcluded(post, criteria))
+        .map(post => {
+          post.signals = this.detectSignals(post, criteria);
+          return post;
+        })
+        .filter(post => post.signals.relevanceScore > 0);
+
+      return {
+        ...this.successResult(criteria, posts, response.data.total ?? posts.length),
+        quota: { ...this.quota }
+      };
+
+    } catch (error) {
+      // The API returns backoff/quota info on errors too
+      if (error.response?.data) this.trackQuota(error.response.data);
+
+      const message = error.response?.data?.error_message || error.message;
+      console.error(`SO search error: ${message}`);
+      return this.errorResult(criteria, new Error(message));
+    }
+  }
+
+  /**
+   * Build search query
+   * 
+   * The `q` parameter has no OR operator, so only main keywords are used -
+   * intent/pain keywords are matched locally by detectSignals. For boolean
+   * queries only the required terms are sent; the rest is filtered locally.
+   */
+  buildQuery(criteria) {
+    if (criteria.queryAst) {
+      return termsToString(requiredTerms(criteria.queryAst));
+    }
+    return keywordTerms(criteria.keywords).join(' ');
+  }
+
+  /**
+   * Build /search/advanced query params
+   */
+  buildParams(query, filters, criteria, site, maxResults) {
+    const params = {
+      q: query || undefined,
+      site,
+      sort: filters.sortBy || 'relevance',
+      order: 'desc',
+      pagesize: Math.min(maxResults, 100),
+      filter: 'withbody'
+    };
+
+    if (filters.tags?.length) {
+      params.tagged = filters.tags.join(';');
+    }
+
+    if (filters.answered === false) {
+      params.answers = 0;
+    }
+
+    // `min` applies to the sort field, so it only means "min score" when sorting by votes
+    if (filters.minScore > 0 && params.sort === 'votes') {
+      params.min = filters.minScore;
+    }
+
+    const fromTs = this.timeRangeStart(criteria.timeRange);
+    if (fromTs) {
+      params.fromdate = fromTs;
+    }
+
+    if (this.apiKey) {
+      params.key = this.apiKey;
+    }
+
+    return params;
+  }
+
+  /**
+   * Record quota and backoff fields from an API response
+   */
+  trackQuota(data) {
+    if (data.quota_max !== undefined) this.quota.max = data.quota_max;
+    if (data.quota_remaining !== undefined) this.quota.remaining = data.quota_remaining;
+    this.quota.resetsAt = this.quota.remaining === 0 ? nextUtcMidnight().toISOString() : null;
+
+    if (data.backoff) {
+      this.backoffUntil = Date.now() + data.backoff * 1000;
+      console.warn(`[SO] API requested backoff of ${data.backoff}s`);
+    }
+  }
+
+  /**
+   * Wait out any backoff the API asked for
+   */
+  async waitForBackoff() {
+    const wait = this.backoffUntil - Date.now();
+    if (wait > 0) {
+      await new Promise(r => setTimeout(r, wait));
+    }
+  }
+
+  /**
+   * Include tags when matching keywords
+   */
+  signalFields(post) {
+    return { ...super.signalFields(post), tags: (post.tags || []).join(', ') };
+  }
+
+  /**
+   * Normalize Stack Exchange question to standard format
+   */
+  normalizePost(item, site = 'stackoverflow') {
+    return {
+      id: String(item.question_id),
+      platform: 'stackoverflow',
+      title: this.decodeEntities(item.title),
+      body: this.stripHtml(item.body || ''),
+      url: item.link,
+      author: {
+        username: item.owner?.display_name ? this.decodeEntities(item.owner.display_name) : 'unknown',
+        profileUrl: item.owner?.link || null,
+        reputation: item.owner?.reputation
+      },
+      metrics: {
+        score: item.score || 0,
+        comments: item.answer_count || 0,
+        answers: item.answer_count || 0,
+        views: item.view_count || 0
+      },
+      createdAt: new Date(item.creation_date * 1000).toISOString(),
+      site,
+      tags: item.tags || [],
+      isAnswered: !!item.is_answered,
+      hasAcceptedAnswer: !!item.accepted_answer_id
+    };
+  }
+
+  /**
+   * Convert question HTML body to plain text
+   */
+  stripHtml(html) {
+    return this.decodeEntities(
+      html
+        .replace(/<pre[\s\S]*?<\/pre>/g, ' [code] ')
+        .replace(/<[^>]+>/g, ' ')
+    ).replace(/\s+/g, ' ').trim();
+  }
+
+  decodeEntities(text = '') {
+    return text
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(code))
+      .replace(/&amp;/g, '&');
+  }
+}
+
+function nextUtcMidnight() {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset;
+}
+
+module.exports = { StackOverflowAdapter };
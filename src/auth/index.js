@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const { matchRoute } = require('../schemas');
+const { workspaceService, DEFAULT_WORKSPACE_ID } = require('../services/workspace.service');
+const { quotaService } = require('../services/quota.service');
+
+const QUOTA_LABELS = { searches: 'search', aiPosts: 'AI post' };
+const EXPOSED_HEADERS = [
+  'Location', 'Warning', 'Retry-After',
+  'X-Quota-Searches-Limit', 'X-Quota-Searches-Remaining',
+  'X-Quota-AI-Posts-Limit', 'X-Quota-AI-Posts-Remaining', 'X-Quota-Reset'
+];
+
+/**
+ * Authentication, access control and CORS
+ * 
+ * Each route's `access` in the route table says who may call it:
+ *   public    - anyone (API info, health, OpenAPI document, docs page)
+ *   key       - any valid key, including ADMIN_API_KEY
+ *   workspace - a workspace key (the default): work on that workspace's data
+ *   admin     - ADMIN_API_KEY or a workspace key with the admin role
+ *   root      - ADMIN_API_KEY only (server-wide settings, creating workspaces)
+ * 
+ * Keys are sent as X-API-Key or Authorization: Bearer. Routes marked
+ * `keyInQuery` (feeds, EventSource) also take ?apiKey=, since their
+ * clients can't set headers. Routes with a `quota` count against the
+ * key's daily quotas and answer 429 once one is used up.
+ * 
+ * Env: AUTH_REQUIRED (default: true) - false serves everything as the
+ *        default workspace with no keys or quotas (local development)
+ *      ADMIN_API_KEY - key for managing workspaces and server-wide settings
+ *      CORS_ORIGINS - comma list of origins allowed for every workspace
+ *        (default: none, or * when AUTH_REQUIRED=false)
+ */
+function isAuthRequired() {
+  return process.env.AUTH_REQUIRED !== 'false';
+}
+
+function envOrigins() {
+  const configured = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+  return configured.length > 0 || isAuthRequired() ? configured : ['*'];
+}
+
+function originMatches(origins, origin) {
+  return origins.some(allowed => allowed === '*' || allowed.toLowerCase() === origin.toLowerCase());
+}
+
+function isSameOrigin(req, origin) {
+  return origin === `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * CORS headers for browser clients. Preflights can't carry an API key,
+ * so they pass for any origin some workspace allows; the request itself
+ * is then checked against the key's own workspace.
+ */
+function createCorsMiddleware() {
+  return (req, res, next) => {
+    const origin = req.get('Origin');
+    const allowed = !!origin && (isSameOrigin(req, origin) || originMatches(allOrigins(), origin));
+
+    if (allowed) {
+      const wildcard = !isAuthRequired() && envOrigins().includes('*');
+      res.header('Access-Control-Allow-Origin', wildcard ? '*' : origin);
+      res.header('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, Authorization');
+      res.header('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+      res.header('Access-Control-Expose-Headers', EXPOSED_HEADERS.join(', '));
+      if (!wildcard) res.vary('Origin');
+    }
+
+    if (req.method === 'OPTIONS') return res.sendStatus(origin && !allowed ? 403 : 200);
+    next();
+  };
+}
+
+function allOrigins() {
+  return [...envOrigins(), ...workspaceService.corsOrigins()];
+}
+
+/**
+ * Identify the caller, check the route's access level and quotas, and
+ * set req.auth = { root, role, key, workspace }
+ */
+function createAuthMiddleware() {
+  return (req, res, next) => {
+    const route = matchRoute(req.method, req.path);
+    if (!route) return next();
+
+    if (!isAuthRequired()) {
+      req.auth = { root: true, role: 'admin', key: null, workspace: workspaceService.get(DEFAULT_WORKSPACE_ID) };
+      return next();
+    }
+    if (route.access === 'public') return next();
+
+    const secret = readKey(req, route);
+    if (!secret) {
+      res.set('WWW-Authenticate', 'Bearer realm="social-listening"');
+      return deny(res, 401, route.keyInQuery
+        ? 'API key required (X-API-Key header, Authorization: Bearer <key> or ?apiKey=)'
+        : 'API key required (X-API-Key header or Authorization: Bearer <key>)');
+    }
+
+    const auth = identify(secret);
+    if (!auth) return deny(res, 401, 'Invalid API key');
+    if (auth.key?.revokedAt) return deny(res, 401, 'API key has been revoked');
+    if (auth.key) res.set(quotaService.headers(quotaService.status(auth.key)));
+
+    const origin = req.get('Origin');
+    if (origin && !isSameOrigin(req, origin) && !originMatches([...envOrigins(), ...(auth.workspace?.corsOrigins || [])], origin)) {
+      return deny(res, 403, `Origin ${origin} is not allowed for this workspace`);
+    }
+
+    const accessError = checkAccess(route.access || 'workspace', auth);
+    if (accessError) return deny(res, 403, accessError);
+
+    if (route.quota && auth.key && !withinQuota(res, route.quota, auth.key)) return;
+
+    req.auth = auth;
+    next();
+  };
+}
+
+/**
+ * Answer 429 when a quota the route uses is spent. Otherwise count the
+ * search now, so parallel requests can't overrun the quota, and give it
+ * back if the request fails.
+ * 
+ * @returns {boolean} Whether the request may go on
+ */
+function withinQuota(res, quotas, key) {
+  const status = quotaService.status(key);
+  let exhausted = quotas.find(name => status[name].remaining <= 0);
+  if (!exhausted && quotas.includes('searches') && !quotaService.consumeSearch(key.id)) exhausted = 'searches';
+
+  if (exhausted) {
+    const workspaceSpent = status.workspace[exhausted].remaining <= 0;
+    const { limit } = workspaceSpent ? status.workspace[exhausted] : status[exhausted];
+
+    res.set('Retry-After', quotaService.secondsUntilReset());
+    res.status(429).json({
+      success: false,
+      error: `${workspaceSpent ? 'Workspace daily' : 'Daily'} ${QUOTA_LABELS[exhausted]} quota of ${limit} used up - resets at ${status.resetsAt}`,
+      quota: status
+    });
+    return false;
+  }
+
+  if (quotas.includes('searches')) {
+    res.set(quotaService.headers(quotaService.status(key)));
+    res.on('finish', () => {
+      if (res.statusCode >= 400) quotaService.refundSearch(key.id);
+    });
+  }
+  return true;
+}
+
+function readKey(req, route) {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+
+  const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  if (bearer) return bearer[1];
+
+  return route.keyInQuery && typeof req.query.apiKey === 'string' ? req.query.apiKey : null;
+}
+
+/**
+ * Who a key belongs to, or null when it isn't one of ours
+ */
+function identify(secret) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (adminKey && safeEqual(secret, adminKey)) {
+    return { root: true, role: 'admin', key: null, workspace: null };
+  }
+
+  const key = workspaceService.verifyKey(secret);
+  if (!key) return null;
+
+  return { root: false, role: key.role, key: workspaceService.toPublicKey(key), workspace: workspaceService.get(key.workspaceId) };
+}
+
+/**
+ * Why the caller may not use a route at this access level, or null
+ */
+function checkAccess(access, auth) {
+  switch (access) {
+    case 'key':
+      return null;
+    case 'root':
+      return auth.root ? null : 'This endpoint requires ADMIN_API_KEY';
+    case 'admin':
+      return auth.root || auth.role === 'admin' ? null : 'This endpoint requires an admin key';
+    default:
+      return auth.workspace ? null : 'ADMIN_API_KEY only manages workspaces - use a workspace API key here';
+  }
+}
+
+/**
+ * May the caller manage this workspace (its settings and keys)?
+ */
+function canManageWorkspace(auth, workspaceId) {
+  return auth.root || (auth.role === 'admin' && auth.workspace?.id === workspaceId);
+}
+
+/**
+ * { workspaceId, apiKeyId } that work done for this request belongs to
+ */
+function scopeOf(req) {
+  return { workspaceId: req.auth.workspace.id, apiKeyId: req.auth.key?.id || null };
+}
+
+function deny(res, status, error) {
+  return res.status(status).json({ success: false, error });
+}
+
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+module.exports = {
+  isAuthRequired,
+  createCorsMiddleware,
+  createAuthMiddleware,
+  canManageWorkspace,
+  scopeOf
+};
@@ -0,0 +1,116 @@
+/**
+ * Result export formats
+ * 
+ * Posts as JSON (the API default), CSV with signals and intent analysis
+ * flattened into columns, or NDJSON (one post per line). The format comes
+ * from `?format=` or, failing that, the Accept header.
+ */
+
+const MIME_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson',
+  atom: 'application/atom+xml',
+  rss: 'application/rss+xml'
+};
+
+const EXPORT_FORMATS = ['json', 'csv', 'ndjson'];
+
+const CSV_COLUMNS = [
+  ['platform', p => p.platform],
+  ['id', p => p.id],
+  ['title', p => p.title],
+  ['url', p => p.url],
+  ['author', p => p.author?.username],
+  ['community', p => p.subreddit || p.site || p.repo || p.storyType],
+  ['createdAt', p => p.createdAt],
+  ['points', p => p.metrics?.score],
+  ['comments', p => p.metrics?.comments],
+  ['alsoSeenOn', p => p.alsoSeenOn?.map(duplicate => duplicate.url)],
+  ['body', p => p.body],
+  ['relevanceScore', p => p.signals?.relevanceScore],
+  ['matchedKeywords', p => p.signals?.matchedKeywords],
+  ['matchedIntentKeywords', p => p.signals?.matchedIntentKeywords],
+  ['matchedPainKeywords', p => p.signals?.matchedPainKeywords],
+  ['matchedCompetitors', p => p.signals?.matchedCompetitors],
+  ['intentScore', p => p.intentAnalysis?.score],
+  ['intentLevel', p => p.intentAnalysis?.level],
+  ['confidence', p => p.intentAnalysis?.confidence],
+  ['urgency', p => p.intentAnalysis?.urgency],
+  ['recommendedAction', p => p.intentAnalysis?.recommendedAction],
+  ['buyingSignals', p => p.intentAnalysis?.buyingSignals],
+  ['painPoints', p => p.intentAnalysis?.painPoints],
+  ['summary', p => p.intentAnalysis?.summary],
+  ['provider', p => p.intentAnalysis?.provider],
+  ['model', p => p.intentAnalysis?.model],
+  ['scoredAt', p => p.intentAnalysis?.scoredAt],
+  ['leadId', p => p.lead?.id],
+  ['leadStatus', p => p.lead?.status]
+];
+
+/**
+ * Pick a format from ?format= or the Accept header. An Accept header
+ * that matches none of them gets the default rather than a 406 - only an
+ * explicit unsupported ?format= is refused.
+ * 
+ * @param {string[]} formats - Supported formats, the first is the default
+ * @returns {string|null} Format name, or null for an unsupported ?format=
+ */
+function negotiateFormat(req, formats = EXPORT_FORMATS) {
+  const requested = req.query.format?.toLowerCase();
+  if (requested) return formats.includes(requested) ? requested : null;
+
+  const mime = req.accepts(formats.map(format => MIME_TYPES[format]));
+  return mime ? formats.find(format => MIME_TYPES[format] === mime) : formats[0];
+}
+
+/**
+ * One flat row per post, in CSV column order
+ */
+function flattenPost(post) {
+  return Object.fromEntries(CSV_COLUMNS.map(([name, get]) => {
+    const value = get(post);
+    return [name, Array.isArray(value) ? value.join('; ') : value];
+  }));
+}
+
+function toCsv(posts) {
+  const header = CSV_COLUMNS.map(([name]) => name).join(',');
+  const rows = posts.map(post => Object.values(flattenPost(post)).map(csvCell).join(','));
+  return [header, ...rows].join('\r\n') + '\r\n';
+}
+
+function toNdjson(posts) {
+  return posts.map(post => JSON.stringify(post)).join('\n') + (posts.length ? '\n' : '');
+}
+
+/**
+ * Send posts as CSV or NDJSON (JSON responses stay with the route)
+ * 
+ * @param {string} filename - Download name without extension
+ */
+function sendPosts(res, format, posts, filename = 'posts') {
+  const body = format === 'csv' ? toCsv(posts) : toNdjson(posts);
+
+  res.type(MIME_TYPES[format]);
+  if (format === 'csv') {
+    res.attachment(`${filename}.csv`);
+  }
+  res.send(body);
+}
+
+/**
+ * Quote a CSV cell when needed. Cells that a spreadsheet would run as a
+ * formula (=, +, -, @, or a leading tab / carriage return) get a leading
+ * apostrophe.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = { EXPORT_FORMATS, MIME_TYPES, negotiateFormat, flattenPost, toCsv, toNdjson, sendPosts };
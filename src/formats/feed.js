@@ -0,0 +1,157 @@
+/**
+ * Atom / RSS feeds
+ * 
+ * Renders scored posts as an Atom 1.0 or RSS 2.0 feed so any feed reader
+ * (or a marketing tool that only ingests feeds) can subscribe to new
+ * high-intent posts.
+ */
+
+const FEED_FORMATS = ['atom', 'rss'];
+const FEED_LEVELS = ['HIGH', 'MEDIUM', 'LOW', 'NONE'];
+const MAX_ITEMS = 100;
+
+/**
+ * Parse ?level= (comma list) and ?minScore= into a post filter
+ * 
+ * @returns {{levels: string[], minScore: number|null, error: string|null}}
+ */
+function parseFeedFilter(query, defaultLevels = ['HIGH']) {
+  const levels = query.level
+    ? String(query.level).split(',').map(l => l.trim().toUpperCase()).filter(Boolean)
+    : defaultLevels;
+
+  const invalid = levels.find(level => !FEED_LEVELS.includes(level));
+  if (invalid) {
+    return { levels, minScore: null, error: `Invalid level: ${invalid}. Use: ${FEED_LEVELS.join(', ')}` };
+  }
+
+  const minScore = query.minScore !== undefined ? parseInt(query.minScore) : null;
+  if (query.minScore !== undefined && !Number.isFinite(minScore)) {
+    return { levels, minScore: null, error: 'minScore must be a number' };
+  }
+
+  return { levels, minScore, error: null };
+}
+
+/**
+ * Does a scored post pass the feed filter? (minScore alone widens past levels)
+ */
+function matchesFeedFilter(post, { levels, minScore }) {
+  const analysis = post.intentAnalysis;
+  if (!analysis || analysis.score === null || analysis.score === undefined) return false;
+  if (minScore !== null) return analysis.score >= minScore;
+  return levels.includes(analysis.level);
+}
+
+/**
+ * Render a feed
+ * 
+ * @param {Object} feed
+ * @param {string} feed.id - Stable feed id (used as the Atom id)
+ * @param {string} feed.title
+ * @param {string} feed.selfUrl - URL of the feed itself
+ * @param {Array} feed.posts - Posts, newest first; each may have `foundAt`
+ * @param {string} format - 'atom' | 'rss'
+ */
+function renderFeed({ id, title, selfUrl, posts }, format = 'atom') {
+  const items = posts.slice(0, MAX_ITEMS).map(toFeedItem);
+  const updated = items[0]?.updated || new Date().toISOString();
+
+  return format === 'rss'
+    ? renderRss({ title, selfUrl, updated, items })
+    : renderAtom({ id, title, selfUrl, updated, items });
+}
+
+function toFeedItem(post) {
+  const analysis = post.intentAnalysis || {};
+  const where = post.subreddit ? `r/${post.subreddit}` : (post.site || post.repo || post.platform);
+
+  return {
+    id: `${post.platform}:${post.id}`,
+    title: `[${analysis.level} ${analysis.score}] ${post.title}`,
+    link: post.url,
+    author: post.author?.username || 'unknown',
+    published: post.createdAt || post.foundAt,
+    updated: post.foundAt || analysis.scoredAt || post.createdAt,
+    categories: [post.platform, analysis.level, analysis.recommendedAction].filter(Boolean),
+    summary: analysis.summary || '',
+    content: [
+      `${where} · intent ${analysis.score} (${analysis.level}) · ${analysis.recommendedAction || ''}`,
+      analysis.summary,
+      analysis.buyingSignals?.length ? `Buying signals: ${analysis.buyingSignals.join(', ')}` : null,
+      analysis.painPoints?.length ? `Pain points: ${analysis.painPoints.join(', ')}` : null,
+      (post.body || '').slice(0, 1000)
+    ].filter(Boolean).join('\n\n')
+  };
+}
+
+function renderAtom({ id, title, selfUrl, updated, items }) {
+  const entries = items.map(item => `  <entry>
+    <id>urn:social-listening:${escapeXml(item.id)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${escapeXml(item.link)}"/>
+    <author><name>${escapeXml(item.author)}</name></author>
+    <published>${isoDate(item.published)}</published>
+    <updated>${isoDate(item.updated)}</updated>
+${item.categories.map(term => `    <category term="${escapeXml(term)}"/>`).join('\n')}
+    <summary>${escapeXml(item.summary)}</summary>
+    <content type="text">${escapeXml(item.content)}</content>
+  </entry>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>urn:social-listening:feed:${escapeXml(id)}</id>
+  <title>${escapeXml(title)}</title>
+  <link rel="self" href="${escapeXml(selfUrl)}"/>
+  <updated>${isoDate(updated)}</updated>
+  <generator>Social Listening Lead Generation API</generator>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+function renderRss({ title, selfUrl, updated, items }) {
+  const entries = items.map(item => `    <item>
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.link)}</link>
+      <dc:creator>${escapeXml(item.author)}</dc:creator>
+      <pubDate>${rfc822Date(item.updated)}</pubDate>
+${item.categories.map(term => `      <category>${escapeXml(term)}</category>`).join('\n')}
+      <description>${escapeXml(item.content)}</description>
+    </item>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(selfUrl)}</link>
+    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(selfUrl)}"/>
+    <description>${escapeXml(title)}</description>
+    <lastBuildDate>${rfc822Date(updated)}</lastBuildDate>
+${entries.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+function escapeXml(text = '') {
+  return String(text ?? '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function isoDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+function rfc822Date(value) {
+  return new Date(isoDate(value)).toUTCString();
+}
+
+module.exports = { FEED_FORMATS, parseFeedFilter, matchesFeedFilter, renderFeed };
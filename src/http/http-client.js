@@ -0,0 +1,252 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const axios = require('axios');
+
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+const RETRY_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Per-host request limiter
+ * 
+ * Caps concurrent requests to a host and spaces request starts
+ * (requestsPerMinute) so a burst doesn't trip the upstream limit.
+ * A host can be paused - on 429 / Retry-After, or when its rate-limit
+ * headers say the window is used up - and every queued request waits.
+ */
+class HostLimiter {
+  constructor({ maxConcurrent = 4, requestsPerMinute = null } = {}) {
+    this.maxConcurrent = maxConcurrent;
+    this.intervalMs = requestsPerMinute ? 60000 / requestsPerMinute : 0;
+    this.active = 0;
+    this.queue = [];
+    this.nextStartAt = 0;
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Wait for a free slot, then for any pause and the spacing interval.
+   * Rejects with a CanceledError as soon as signal aborts, giving up the
+   * place in the queue or the slot it already holds.
+   */
+  async acquire(signal = null) {
+    if (signal?.aborted) throw canceled();
+
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+    } else {
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          this.queue.splice(this.queue.indexOf(grant), 1);
+          reject(canceled());
+        };
+        const grant = () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        };
+        this.queue.push(grant);
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
+    }
+
+    const now = Date.now();
+    const startAt = Math.max(now, this.pausedUntil, this.nextStartAt);
+    this.nextStartAt = startAt + this.intervalMs;
+
+    if (startAt > now) {
+      await sleep(startAt - now, signal);
+    }
+    if (signal?.aborted) {
+      this.release();
+      throw canceled();
+    }
+  }
+
+  /**
+   * Free a slot (handing it straight to the next waiter, if any)
+   */
+  release() {
+    const next = this.queue.shift();
+    if (next) next();
+    else this.active--;
+  }
+
+  pauseUntil(timestamp) {
+    this.pausedUntil = Math.max(this.pausedUntil, timestamp);
+  }
+}
+
+// One limiter per host, shared by every client that talks to it
+const limiters = new Map();
+
+// AbortSignal of the work that started a request (see withSignal)
+const abortContext = new AsyncLocalStorage();
+
+/**
+ * Get (or create) the limiter for a host. Options only apply on creation.
+ */
+function getLimiter(host, options = {}) {
+  if (!limiters.has(host)) {
+    limiters.set(host, new HostLimiter(options));
+  }
+  return limiters.get(host);
+}
+
+/**
+ * Run fn with every request it starts - through any client from this
+ * module, however deep - tied to signal. Aborting cancels requests in
+ * flight, waiting in the limiter queue or for a paused/spaced host, and
+ * waiting to retry.
+ */
+function withSignal(signal, fn) {
+  return signal ? abortContext.run(signal, fn) : fn();
+}
+
+/**
+ * Create an axios instance with retries and per-host limiting
+ * 
+ * Retries 429, 5xx, timeouts and connection errors with exponential
+ * backoff and full jitter. Retry-After (seconds or HTTP date) replaces
+ * the computed delay; x-ratelimit-remaining / x-ratelimit-reset (Reddit,
+ * GitHub) pause the host before the limit is hit.
+ * 
+ * @param {Object} options - axios config plus:
+ * @param {number} options.retries - Max retries (default: HTTP_MAX_RETRIES or 3)
+ * @param {number} options.retryBaseMs - First backoff step (default: 500)
+ * @param {number} options.retryMaxMs - Backoff cap (default: 30000)
+ * @param {number} options.maxRetryAfterMs - Give up when asked to wait longer (default: 60000)
+ * @param {number} options.maxConcurrent - Concurrent requests per host (default: 4)
+ * @param {number} options.requestsPerMinute - Spacing between request starts per host
+ */
+function createHttpClient(options = {}) {
+  const {
+    retries = parseInt(process.env.HTTP_MAX_RETRIES) || 3,
+    retryBaseMs = 500,
+    retryMaxMs = 30000,
+    maxRetryAfterMs = 60000,
+    maxConcurrent,
+    requestsPerMinute,
+    ...axiosConfig
+  } = options;
+
+  const client = axios.create(axiosConfig);
+  const limiterFor = config => getLimiter(hostOf(config), { maxConcurrent, requestsPerMinute });
+
+  client.interceptors.request.use(async (config) => {
+    if (!config.signal) config.signal = abortContext.getStore();
+
+    const limiter = limiterFor(config);
+    try {
+      await limiter.acquire(config.signal);
+    } catch (error) {
+      error.config = config;
+      throw error;
+    }
+
+    config.limiter = limiter;
+    return config;
+  });
+
+  client.interceptors.response.use(
+    (response) => {
+      releaseSlot(response.config);
+      trackRateLimit(limiterFor(response.config), response.headers);
+      return response;
+    },
+    async (error) => {
+      const config = error.config;
+      if (!config) throw error;
+
+      releaseSlot(config);
+      const limiter = limiterFor(config);
+      if (error.response) trackRateLimit(limiter, error.response.headers);
+
+      const attempt = config.retryAttempt || 0;
+      if (attempt >= retries || !isRetryable(error)) throw error;
+
+      const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+      if (retryAfter !== null && retryAfter > maxRetryAfterMs) throw error;
+
+      const delay = retryAfter ?? Math.random() * Math.min(retryMaxMs, retryBaseMs * 2 ** attempt);
+      if (retryAfter !== null) limiter.pauseUntil(Date.now() + retryAfter);
+
+      const reason = error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+      console.warn(`[HTTP] ${reason} from ${hostOf(config)} - retry ${attempt + 1}/${retries} in ${(delay / 1000).toFixed(1)}s`);
+
+      config.retryAttempt = attempt + 1;
+      await sleep(delay, config.signal);
+      return client.request(config);
+    }
+  );
+
+  return client;
+}
+
+function releaseSlot(config) {
+  if (config?.limiter) {
+    config.limiter.release();
+    config.limiter = null;
+  }
+}
+
+function canceled() {
+  return new axios.CanceledError('Request aborted', 'ERR_CANCELED');
+}
+
+function isRetryable(error) {
+  if (axios.isCancel(error)) return false;
+  if (error.response) return RETRY_STATUSES.includes(error.response.status);
+  return RETRY_CODES.includes(error.code);
+}
+
+/**
+ * Pause the host when the rate-limit window is used up.
+ * Reset is seconds-until-reset (Reddit) or an epoch timestamp (GitHub).
+ */
+function trackRateLimit(limiter, headers = {}) {
+  const remaining = parseFloat(headers['x-ratelimit-remaining']);
+  const reset = parseFloat(headers['x-ratelimit-reset']);
+  if (!Number.isFinite(remaining) || !Number.isFinite(reset) || remaining >= 1) return;
+
+  const resetAt = reset > 1e9 ? reset * 1000 : Date.now() + reset * 1000;
+  limiter.pauseUntil(resetAt);
+  console.warn(`[HTTP] Rate limit exhausted - pausing for ${Math.ceil((resetAt - Date.now()) / 1000)}s`);
+}
+
+/**
+ * Retry-After as milliseconds (seconds or HTTP date), or null
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function hostOf(config) {
+  try {
+    return new URL(config.url, config.baseURL).host;
+  } catch (error) {
+    return config.baseURL || 'unknown';
+  }
+}
+
+/**
+ * Resolve after ms, or as soon as signal aborts
+ */
+function sleep(ms, signal = null) {
+  return new Promise(resolve => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+module.exports = { createHttpClient, withSignal, getLimiter, HostLimiter, parseRetryAfter };
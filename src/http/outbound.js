@@ -0,0 +1,119 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Outbound requests to caller-supplied URLs
+ * 
+ * URLs that API callers hand us (job callbacks) must not reach the
+ * server's own network: every address a host resolves to is checked
+ * when the connection is made, so a DNS answer that changes after
+ * validation can't slip through either. Redirects aren't followed.
+ * 
+ * Env: JOB_CALLBACK_ALLOWED_HOSTS - comma list of hosts that may resolve
+ *        to private addresses (internal services you trust)
+ */
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+  return !family || BLOCKED.check(address, family);
+}
+
+function allowedHosts() {
+  return (process.env.JOB_CALLBACK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(h => h.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * dns.lookup that fails for hosts resolving to a private address
+ */
+function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const trusted = allowedHosts().includes(hostname.toLowerCase());
+    const blocked = addresses.find(a => isPrivateAddress(a.address));
+    if (blocked && !trusted) {
+      const denied = new Error(`${hostname} resolves to a private address (${blocked.address})`);
+      denied.code = 'EPRIVATEADDRESS';
+      return callback(denied);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Why a URL can't be used as an outbound target, or null
+ */
+async function checkPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'must be an http(s) URL';
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return 'must be an http(s) URL';
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  try {
+    await new Promise((resolve, reject) => {
+      publicLookup(hostname, { all: true }, error => (error ? reject(error) : resolve()));
+    });
+    return null;
+  } catch (error) {
+    return error.code === 'EPRIVATEADDRESS' ? 'must not point to a private or internal address' : `host ${hostname} could not be resolved`;
+  }
+}
+
+/**
+ * axios instance for caller-supplied URLs: public addresses only, no
+ * redirects and no retries (a callback isn't safe to repeat blindly)
+ */
+function createPublicHttpClient({ timeout = 10000 } = {}) {
+  return axios.create({
+    timeout,
+    maxRedirects: 0,
+    httpAgent: new http.Agent({ lookup: publicLookup }),
+    httpsAgent: new https.Agent({ lookup: publicLookup })
+  });
+}
+
+/**
+ * X-Timestamp / X-Signature-256 headers: HMAC-SHA256 of "<timestamp>.<body>"
+ */
+function signatureHeaders(secret, body) {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  return { 'X-Timestamp': timestamp, 'X-Signature-256': `sha256=${signature}` };
+}
+
+module.exports = { isPrivateAddress, publicLookup, checkPublicUrl, createPublicHttpClient, signatureHeaders };
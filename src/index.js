@@ -1,23 +1,41 @@
 require('dotenv').config();
 const express = require('express');
 const { SearchService } = require('./search.service');
+const { MonitorService } = require('./services/monitor.service');
+const { JobService } = require('./services/job.service');
+const { crmSyncService } = require('./services/crm.service');
+const { notificationService } = require('./services/notification.service');
+const { blocklistService } = require('./services/blocklist.service');
+const { scoreCacheService } = require('./services/score-cache.service');
+const { usageService } = require('./services/usage.service');
+const { authorService } = require('./services/author.service');
+const { workspaceService } = require('./services/workspace.service');
+const { quotaService } = require('./services/quota.service');
 const { getPlatformNames } = require('./adapters');
+const { getProviderInfo } = require('./providers');
+const { EXPORT_FORMATS, negotiateFormat, sendPosts } = require('./formats/export');
+const { createMonitorRoutes } = require('./routes/monitors.routes');
+const { createLeadRoutes } = require('./routes/leads.routes');
+const { createNotificationRoutes } = require('./routes/notifications.routes');
+const { createBlocklistRoutes } = require('./routes/blocklist.routes');
+const { createUsageRoutes } = require('./routes/usage.routes');
+const { createSearchStreamRoutes } = require('./routes/search-stream.routes');
+const { createJobRoutes } = require('./routes/jobs.routes');
+const { createWorkspaceRoutes } = require('./routes/workspaces.routes');
+const { isAuthRequired, createCorsMiddleware, createAuthMiddleware, scopeOf } = require('./auth');
+const { API_VERSION, validateRoute, endpointList, buildOpenApiDocument, renderDocsPage } = require('./schemas');
 
 const app = express();
 const searchService = new SearchService();
+const monitorService = new MonitorService(searchService);
+const jobService = new JobService(searchService);
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(express.json());
 
-// CORS for development
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  if (req.method === 'OPTIONS') return res.sendStatus(200);
-  next();
-});
+// CORS: origins allowed by CORS_ORIGINS or any workspace
+app.use(createCorsMiddleware());
 
 // Request logging
 app.use((req, res, next) => {
@@ -27,6 +45,9 @@ app.use((req, res, next) => {
   next();
 });
 
+// API keys, access levels and daily quotas (see src/auth)
+app.use(createAuthMiddleware());
+
 // ============================================
 // API ROUTES
 // ============================================
@@ -35,29 +56,27 @@ app.use((req, res, next) => {
  * GET /
  * API info
  */
-app.get('/', (req, res) => {
+app.get('/', validateRoute('GET /'), (req, res) => {
   res.json({
     name: 'Social Listening Lead Generation API',
-    version: '1.1.0',
+    version: API_VERSION,
     features: {
-      platforms: ['reddit', 'hackernews'],
-      aiScoring: searchService.isAIEnabled() ? 'enabled' : 'disabled (set OPENAI_API_KEY)'
+      platforms: getPlatformNames(),
+      aiScoring: searchService.isAIEnabled()
+        ? `enabled (${searchService.getAIProvider().provider})`
+        : 'disabled (set OPENAI_API_KEY, ANTHROPIC_API_KEY or AI_PROVIDER)',
+      crmSync: crmSyncService.isEnabled() ? 'enabled (Frappe)' : 'disabled (set FRAPPE_URL)',
+      auth: isAuthRequired() ? 'API key required (X-API-Key)' : 'disabled (AUTH_REQUIRED=false)'
     },
-    endpoints: {
-      'GET /api/health': 'Health check',
-      'GET /api/platforms': 'List available platforms',
-      'POST /api/search': 'Search across platforms',
-      'POST /api/search/ranked': 'Search and get ranked results',
-      'POST /api/search/ai': '🤖 Search with AI intent scoring',
-      'POST /api/search/:platform': 'Search specific platform'
-    }
+    endpoints: endpointList(),
+    docs: '/api/docs'
   });
 });
 
 /**
  * GET /api/health
  */
-app.get('/api/health', (req, res) => {
+app.get('/api/health', validateRoute('GET /api/health'), (req, res) => {
   res.json({ 
     status: 'healthy', 
     timestamp: new Date().toISOString(),
@@ -69,30 +88,70 @@ app.get('/api/health', (req, res) => {
  * GET /api/platforms
  * List all available platforms
  */
-app.get('/api/platforms', (req, res) => {
+app.get('/api/platforms', validateRoute('GET /api/platforms'), (req, res) => {
   res.json({
     success: true,
     platforms: searchService.getPlatforms(),
     aiScoring: {
       enabled: searchService.isAIEnabled(),
-      model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+      provider: searchService.getAIProvider().provider,
+      model: searchService.getAIProvider().model,
+      providers: getProviderInfo(),
+      cache: scoreCacheService.getInfo(),
+      budget: usageService.getBudget()
     }
   });
 });
 
+/**
+ * GET /api/me
+ * 
+ * The calling key, its workspace and today's quota
+ */
+app.get('/api/me', validateRoute('GET /api/me'), (req, res) => {
+  const { root, role, key, workspace } = req.auth;
+  res.json({
+    success: true,
+    root,
+    role,
+    key,
+    workspace: workspace && workspaceService.toPublic(workspace),
+    quota: key ? quotaService.status(key) : null
+  });
+});
+
+/**
+ * GET /api/openapi.json
+ * 
+ * OpenAPI 3.1 document, generated from the request schemas
+ */
+app.get('/api/openapi.json', validateRoute('GET /api/openapi.json'), (req, res) => {
+  res.json(buildOpenApiDocument(`${req.protocol}://${req.get('host')}`));
+});
+
+/**
+ * GET /api/docs
+ * 
+ * Interactive docs for the OpenAPI document
+ */
+app.get('/api/docs', validateRoute('GET /api/docs'), (req, res) => {
+  res.type('html').send(renderDocsPage('/api/openapi.json'));
+});
+
 /**
  * POST /api/search
  * 
  * Search across multiple platforms (no AI scoring)
  */
-app.post('/api/search', async (req, res) => {
+app.post('/api/search', validateRoute('POST /api/search'), async (req, res) => {
   try {
     const { criteria, platforms } = req.body;
     
-    if (!criteria?.keywords?.length) {
+    const criteriaError = searchService.validateCriteria(criteria);
+    if (criteriaError) {
       return res.status(400).json({
         success: false,
-        error: 'criteria.keywords is required and must not be empty'
+        error: criteriaError
       });
     }
 
@@ -108,20 +167,33 @@ app.post('/api/search', async (req, res) => {
 /**
  * POST /api/search/ranked
  * 
- * Search and return merged, relevance-ranked results (no AI)
+ * Search and return merged, relevance-ranked results (no AI).
+ * ?format=csv|ndjson (or Accept) returns just the posts in that format.
  */
-app.post('/api/search/ranked', async (req, res) => {
+app.post('/api/search/ranked', validateRoute('POST /api/search/ranked'), async (req, res) => {
   try {
-    const { criteria, platforms } = req.body;
+    const { criteria, platforms, skipKnownLeads } = req.body;
     
-    if (!criteria?.keywords?.length) {
+    const format = negotiateFormat(req);
+    if (!format) {
+      return res.status(406).json({ success: false, error: 'Unsupported format', formats: EXPORT_FORMATS });
+    }
+
+    const criteriaError = searchService.validateCriteria(criteria);
+    if (criteriaError) {
       return res.status(400).json({
         success: false,
-        error: 'criteria.keywords is required'
+        error: criteriaError
       });
     }
 
-    const result = await searchService.searchRanked(criteria, platforms);
+    const result = await searchService.searchRanked(criteria, platforms, {
+      skipKnownLeads,
+      leadService: workspaceService.leadsFor(req.auth.workspace.id)
+    });
+    if (format !== 'json') {
+      return sendPosts(res, format, result.posts, 'search-ranked');
+    }
     res.json({ success: true, data: result });
     
   } catch (error) {
@@ -153,31 +225,60 @@ app.post('/api/search/ranked', async (req, res) => {
  *       "competitors": ["HubSpot", "Salesforce"]
  *     },
  *     "minRelevanceScore": 30,
- *     "maxToScore": 20
+ *     "maxToScore": 20,
+ *     "skipKnownLeads": false,
+ *     "autoPushToCrm": false,
+ *     "provider": "openai",           // or "anthropic", "heuristic" (default: AI_PROVIDER)
+ *     "forceRescore": false,          // ignore cached scores
+ *     "batchMode": "single"           // or "packed" - several posts per prompt
  *   }
  * }
+ * 
+ * ?format=csv|ndjson (or Accept: text/csv, application/x-ndjson) returns
+ * just the ranked posts in that format.
  */
-app.post('/api/search/ai', async (req, res) => {
+app.post('/api/search/ai', validateRoute('POST /api/search/ai'), async (req, res) => {
   try {
     const { criteria, platforms, aiOptions = {} } = req.body;
     
-    if (!criteria?.keywords?.length) {
+    const format = negotiateFormat(req);
+    if (!format) {
+      return res.status(406).json({ success: false, error: 'Unsupported format', formats: EXPORT_FORMATS });
+    }
+
+    const criteriaError = searchService.validateCriteria(criteria);
+    if (criteriaError) {
+      return res.status(400).json({
+        success: false,
+        error: criteriaError
+      });
+    }
+
+    const aiOptionsError = searchService.validateAIOptions(aiOptions);
+    if (aiOptionsError) {
       return res.status(400).json({
         success: false,
-        error: 'criteria.keywords is required'
+        error: aiOptionsError
       });
     }
 
     // Check if AI is enabled
-    if (!searchService.isAIEnabled()) {
+    if (!searchService.isAIEnabled(aiOptions.provider)) {
       return res.status(400).json({
         success: false,
-        error: 'AI scoring is not enabled. Set OPENAI_API_KEY environment variable.',
-        hint: 'Add OPENAI_API_KEY=sk-your-key to your .env file'
+        error: aiOptions.provider
+          ? `AI provider "${aiOptions.provider}" is not configured.`
+          : 'AI scoring is not enabled. Set OPENAI_API_KEY, ANTHROPIC_API_KEY or AI_PROVIDER.',
+        hint: 'Add OPENAI_API_KEY=sk-your-key to your .env file, point OPENAI_BASE_URL at a local server, or use "aiOptions": { "provider": "heuristic" }'
       });
     }
 
-    const result = await searchService.searchWithAI(criteria, platforms, aiOptions);
+    // Leads, product context and usage come from the caller's key, never the request body
+    const result = await searchService.searchWithAI(criteria, platforms, workspaceService.searchOptions(scopeOf(req), aiOptions));
+
+    if (format !== 'json') {
+      return sendPosts(res, format, result.posts, 'search-ai');
+    }
     
     res.json({ 
       success: true, 
@@ -191,12 +292,15 @@ app.post('/api/search/ai', async (req, res) => {
   }
 });
 
+// AI search as Server-Sent Events (before /api/search/:platform)
+app.use('/api/search/ai/stream', createSearchStreamRoutes(searchService, workspaceService));
+
 /**
  * POST /api/search/:platform
  * 
  * Search a specific platform
  */
-app.post('/api/search/:platform', async (req, res) => {
+app.post('/api/search/:platform', validateRoute('POST /api/search/:platform'), async (req, res) => {
   try {
     const { platform } = req.params;
     const criteria = req.body;
@@ -211,10 +315,11 @@ app.post('/api/search/:platform', async (req, res) => {
       });
     }
     
-    if (!criteria?.keywords?.length) {
+    const criteriaError = searchService.validateCriteria(criteria);
+    if (criteriaError) {
       return res.status(400).json({
         success: false,
-        error: 'keywords is required'
+        error: criteriaError
       });
     }
 
@@ -227,15 +332,46 @@ app.post('/api/search/:platform', async (req, res) => {
   }
 });
 
+// Background AI searches
+app.use('/api/jobs', createJobRoutes(jobService));
+
+// Saved monitors
+app.use('/api/monitors', createMonitorRoutes(monitorService));
+
+// Lead store
+app.use('/api/leads', createLeadRoutes(workspaceService, crmSyncService, authorService));
+
+// Webhook / Slack notifications
+app.use('/api/notifications', createNotificationRoutes(notificationService));
+
+// Global exclusions
+app.use('/api/blocklist', createBlocklistRoutes(blocklistService));
+
+// AI token usage and cost
+app.use('/api/usage', createUsageRoutes(usageService));
+
+// Workspaces and API keys
+app.use('/api/workspaces', createWorkspaceRoutes(workspaceService, monitorService));
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({ success: false, error: 'Endpoint not found' });
 });
 
-// Start server
-app.listen(PORT, () => {
-  const aiStatus = searchService.isAIEnabled() 
-    ? '✅ AI Scoring ENABLED (GPT-4o-mini)' 
+// Malformed JSON bodies get the same shape as validation errors
+app.use((err, req, res, next) => {
+  if (err.type !== 'entity.parse.failed') return next(err);
+  res.status(400).json({
+    success: false,
+    error: `Body is not valid JSON: ${err.message}`,
+    errors: [{ path: '(body)', message: `Body is not valid JSON: ${err.message}`, code: 'json' }]
+  });
+});
+
+function onListening() {
+  const aiProvider = searchService.getAIProvider();
+  const aiStatus = aiProvider.available
+    ? `✅ AI Scoring ENABLED (${aiProvider.displayName}: ${aiProvider.model})`
     : '⚠️  AI Scoring DISABLED (set OPENAI_API_KEY)';
     
   console.log(`
@@ -251,9 +387,32 @@ app.listen(PORT, () => {
 ║    POST /api/search           - Multi-platform search     ║
 ║    POST /api/search/ranked    - Ranked results            ║
 ║    POST /api/search/ai        - 🤖 AI intent scoring      ║
+║    *    /api/search/ai/stream - 🤖 AI search as SSE       ║
 ║    POST /api/search/:platform - Single platform           ║
+║    *    /api/jobs             - Background AI searches    ║
+║    *    /api/monitors         - Scheduled monitors        ║
+║    *    /api/leads            - Lead store                ║
+║    *    /api/notifications    - Webhooks & Slack          ║
+║    *    /api/blocklist        - Global exclusions         ║
+║    GET  /api/usage            - AI tokens & cost          ║
+║    *    /api/workspaces       - Workspaces & API keys     ║
+║    GET  /api/docs             - Interactive API docs      ║
 ╚═══════════════════════════════════════════════════════════╝
   `);
-});
+
+  if (!isAuthRequired()) {
+    console.warn('🔓 AUTH_REQUIRED=false - the API is open to anyone who can reach it');
+  } else if (!process.env.ADMIN_API_KEY) {
+    console.warn('🔑 ADMIN_API_KEY is not set - workspaces and keys can\'t be managed over the API');
+  }
+
+  monitorService.start();
+  jobService.start();
+}
+
+// Start server (not when required - the tests mount the app themselves)
+if (require.main === module) {
+  app.listen(PORT, onListening);
+}
 
 module.exports = app;
\ No newline at end of file
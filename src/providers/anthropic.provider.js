@@ -0,0 +1,65 @@
+const { createHttpClient } = require('../http/http-client');
+const { BaseLLMProvider } = require('./base.provider');
+
+/**
+ * Anthropic Messages Provider
+ * 
+ * Uses the /v1/messages API. The assistant turn is prefilled with "{"
+ * so the reply is the JSON object and nothing else.
+ * 
+ * Env: ANTHROPIC_API_KEY, ANTHROPIC_MODEL, ANTHROPIC_BASE_URL
+ */
+class AnthropicProvider extends BaseLLMProvider {
+  constructor() {
+    super();
+    this.apiKey = process.env.ANTHROPIC_API_KEY;
+    this.modelName = process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest';
+
+    this.client = createHttpClient({
+      maxConcurrent: parseInt(process.env.AI_MAX_CONCURRENCY) || 3,
+      baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+      timeout: 30000,
+      headers: {
+        'Content-Type': 'application/json',
+        'anthropic-version': '2023-06-01',
+        ...(this.apiKey ? { 'x-api-key': this.apiKey } : {})
+      }
+    });
+  }
+
+  get name() { return 'anthropic'; }
+  get displayName() { return 'Anthropic'; }
+  get model() { return this.modelName; }
+
+  isAvailable() {
+    return !!this.apiKey;
+  }
+
+  async analyze({ system, prompt, maxTokens = 500, temperature = 0.3 }) {
+    const response = await this.client.post('/v1/messages', {
+      model: this.model,
+      system,
+      messages: [
+        { role: 'user', content: prompt },
+        { role: 'assistant', content: '{' }
+      ],
+      temperature,
+      max_tokens: maxTokens
+    });
+
+    const text = (response.data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      result: this.parseJson(`{${text}`),
+      usage: {
+        promptTokens: response.data.usage?.input_tokens || 0,
+        completionTokens: response.data.usage?.output_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = { AnthropicProvider };
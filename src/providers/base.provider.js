@@ -0,0 +1,91 @@
+/**
+ * Base LLM Provider
+ * 
+ * All intent-scoring providers extend this class. To add a new provider:
+ * 1. Create a new file (e.g., gemini.provider.js)
+ * 2. Extend BaseLLMProvider
+ * 3. Implement: analyze() (and isAvailable() when credentials are required)
+ * 4. Register in providers/index.js
+ */
+class BaseLLMProvider {
+  constructor() {
+    if (this.constructor === BaseLLMProvider) {
+      throw new Error('BaseLLMProvider is abstract');
+    }
+  }
+
+  // Override these in subclasses
+  get name() { throw new Error('Not implemented'); }
+  get displayName() { throw new Error('Not implemented'); }
+  get model() { throw new Error('Not implemented'); }
+
+  /**
+   * Whether the provider is configured and usable
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Analyze one post - must be implemented by each provider
+   * 
+   * @param {Object} request
+   * @param {Object} request.post - Normalized post (with signals)
+   * @param {Object} request.productContext - Product context from aiOptions
+   * @param {string} request.system - System prompt
+   * @param {string} request.prompt - User prompt for this post
+   * @param {number} request.maxTokens
+   * @param {number} request.temperature
+   * @returns {Promise<{result: Object, usage: Object}>} Raw analysis object (normalized
+   *   by the intent service) and token usage: { promptTokens, completionTokens }
+   */
+  async analyze(request) {
+    throw new Error('analyze() must be implemented');
+  }
+
+  /**
+   * Analyze several posts in one request (packed batch mode)
+   * 
+   * The prompt already contains every post; LLM providers just send it.
+   * 
+   * @param {Object} request - Like analyze(), plus `items: [{ ref, post }]`
+   * @returns {Promise<{result: Object, usage: Object}>} result is { results: [{ id: ref, ...analysis }] }
+   */
+  async analyzeMany(request) {
+    return this.analyze(request);
+  }
+
+  /**
+   * Parse a JSON object out of model output.
+   * Tolerates code fences and chatter around the object, which
+   * self-hosted models without a JSON mode tend to add.
+   */
+  parseJson(text) {
+    const cleaned = String(text || '').replace(/```(?:json)?/g, '').trim();
+
+    try {
+      return JSON.parse(cleaned);
+    } catch (error) {
+      const start = cleaned.indexOf('{');
+      const end = cleaned.lastIndexOf('}');
+      if (start === -1 || end <= start) {
+        throw new Error(`${this.displayName} returned no JSON object`);
+      }
+      return JSON.parse(cleaned.slice(start, end + 1));
+    }
+  }
+
+  /**
+   * Provider info for API responses
+   */
+  info() {
+    return {
+      provider: this.name,
+      displayName: this.displayName,
+      model: this.model,
+      available: this.isAvailable()
+    };
+  }
+}
+
+module.exports = { BaseLLMProvider };
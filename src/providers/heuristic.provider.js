@@ -0,0 +1,79 @@
+const { BaseLLMProvider } = require('./base.provider');
+
+const URGENT = /\b(asap|urgent(ly)?|immediately|right now|this week|today|deadline)\b/i;
+const SOON = /\b(this (month|quarter|sprint)|next (week|month)|before (launch|we launch)|soon)\b/i;
+const BUDGET = /\b(budget|pricing|price|cost|afford(able)?|per (seat|user|month))\b/i;
+
+/**
+ * Local Heuristic Provider
+ * 
+ * Deterministic, offline scoring from the keyword signals the adapters
+ * already detected plus a few urgency/budget patterns. No network calls,
+ * no cost - useful for development, air-gapped installs, and as a
+ * baseline to compare LLM scores against.
+ */
+class HeuristicProvider extends BaseLLMProvider {
+  get name() { return 'heuristic'; }
+  get displayName() { return 'Local heuristic'; }
+  get model() { return 'heuristic-v1'; }
+
+  async analyze({ post, productContext = {} }) {
+    return { result: this.score(post, productContext), usage: { promptTokens: 0, completionTokens: 0 } };
+  }
+
+  /**
+   * No prompt to pack - score each post locally
+   */
+  async analyzeMany({ items, productContext }) {
+    const results = items.map(({ ref, post }) => ({ id: ref, ...this.score(post, productContext) }));
+    return { result: { results }, usage: { promptTokens: 0, completionTokens: 0 } };
+  }
+
+  score(post, productContext) {
+    const signals = post.signals || {};
+    const text = `${post.title || ''}\n${post.body || ''}`;
+
+    const intent = signals.matchedIntentKeywords || [];
+    const pain = signals.matchedPainKeywords || [];
+    const competitors = signals.matchedCompetitors || [];
+    const urgency = URGENT.test(text) ? 'IMMEDIATE' : SOON.test(text) ? 'SHORT_TERM' : intent.length ? 'EXPLORING' : 'NONE';
+    const mentionsBudget = BUDGET.test(text);
+
+    let score = (signals.relevanceScore || 0) * 0.4;
+    score += Math.min(intent.length * 15, 30);
+    score += Math.min(pain.length * 5, 10);
+    score += competitors.length ? 10 : 0;
+    score += mentionsBudget ? 5 : 0;
+    score += urgency === 'IMMEDIATE' ? 10 : urgency === 'SHORT_TERM' ? 5 : 0;
+    score += /\?/.test(post.title || '') ? 5 : 0;
+    score = Math.round(Math.min(score, 100));
+
+    const buyingSignals = [...intent];
+    if (mentionsBudget) buyingSignals.push('mentions budget/pricing');
+    if (competitors.length) buyingSignals.push(`mentions ${competitors.join(', ')}`);
+
+    return {
+      score,
+      confidence: 0.4,
+      buyingSignals,
+      painPoints: pain,
+      urgency,
+      recommendedAction: score >= 80 ? 'CONTACT_NOW' : score >= 50 ? 'NURTURE' : score >= 20 ? 'MONITOR' : 'SKIP',
+      summary: this.summarize(post, score, intent, competitors, productContext)
+    };
+  }
+
+  summarize(post, score, intent, competitors, productContext) {
+    if (score < 20) return 'No clear buying intent detected by keyword heuristics';
+
+    const details = [];
+    if (intent.length) details.push(`shows intent ("${intent[0]}")`);
+    if (competitors.length) details.push(`mentions ${competitors[0]}`);
+
+    const who = `${post.author?.username || 'Author'} on ${post.platform}`;
+    const summary = details.length ? `${who} ${details.join(' and ')}` : `${who} matches your keywords`;
+    return productContext.productName ? `${summary} - possible fit for ${productContext.productName}` : summary;
+  }
+}
+
+module.exports = { HeuristicProvider };
@@ -0,0 +1,55 @@
+const { OpenAICompatibleProvider } = require('./openai.provider');
+const { AnthropicProvider } = require('./anthropic.provider');
+const { HeuristicProvider } = require('./heuristic.provider');
+
+/**
+ * LLM Provider Registry
+ * 
+ * The default provider is AI_PROVIDER, else the first configured of
+ * openai / anthropic. Requests can pick another via aiOptions.provider.
+ */
+
+const providers = {
+  openai: new OpenAICompatibleProvider(),
+  anthropic: new AnthropicProvider(),
+  heuristic: new HeuristicProvider(),
+};
+
+/**
+ * Get a provider by name
+ */
+function getProvider(name) {
+  return providers[name];
+}
+
+/**
+ * Get all provider names
+ */
+function getProviderNames() {
+  return Object.keys(providers);
+}
+
+/**
+ * Name of the default provider, or null when none is configured
+ */
+function getDefaultProviderName() {
+  if (process.env.AI_PROVIDER) return process.env.AI_PROVIDER;
+  if (providers.openai.isAvailable()) return 'openai';
+  if (providers.anthropic.isAvailable()) return 'anthropic';
+  return null;
+}
+
+/**
+ * Get provider info for API response
+ */
+function getProviderInfo() {
+  return Object.values(providers).map(provider => provider.info());
+}
+
+module.exports = {
+  providers,
+  getProvider,
+  getProviderNames,
+  getDefaultProviderName,
+  getProviderInfo
+};
@@ -0,0 +1,83 @@
+const { createHttpClient } = require('../http/http-client');
+const { BaseLLMProvider } = require('./base.provider');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * OpenAI-Compatible Provider
+ * 
+ * Talks to any /chat/completions server: OpenAI itself, or a self-hosted
+ * Ollama / vLLM / llama.cpp endpoint via OPENAI_BASE_URL.
+ * 
+ * Env: OPENAI_API_KEY, OPENAI_BASE_URL, OPENAI_MODEL,
+ *      OPENAI_HEADERS (JSON object of extra headers),
+ *      OPENAI_JSON_MODE=false for servers that reject `response_format`
+ */
+class OpenAICompatibleProvider extends BaseLLMProvider {
+  constructor() {
+    super();
+    this.apiKey = process.env.OPENAI_API_KEY;
+    this.baseURL = process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL;
+    this.modelName = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    this.jsonMode = process.env.OPENAI_JSON_MODE !== 'false';
+
+    this.client = createHttpClient({
+      maxConcurrent: parseInt(process.env.AI_MAX_CONCURRENCY) || 3,
+      baseURL: this.baseURL,
+      timeout: 30000,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+        ...this.parseHeaders(process.env.OPENAI_HEADERS)
+      }
+    });
+  }
+
+  get name() { return 'openai'; }
+  get displayName() { return this.baseURL === DEFAULT_BASE_URL ? 'OpenAI' : 'OpenAI-compatible'; }
+  get model() { return this.modelName; }
+
+  /**
+   * OpenAI needs a key; self-hosted servers usually don't
+   */
+  isAvailable() {
+    return !!this.apiKey || this.baseURL !== DEFAULT_BASE_URL;
+  }
+
+  async analyze({ system, prompt, maxTokens = 500, temperature = 0.3 }) {
+    const response = await this.client.post('/chat/completions', {
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      temperature,
+      max_tokens: maxTokens,
+      ...(this.jsonMode ? { response_format: { type: 'json_object' } } : {})
+    });
+
+    return {
+      result: this.parseJson(response.data.choices[0].message.content),
+      usage: {
+        promptTokens: response.data.usage?.prompt_tokens || 0,
+        completionTokens: response.data.usage?.completion_tokens || 0
+      }
+    };
+  }
+
+  /**
+   * Parse OPENAI_HEADERS, e.g. '{"X-Org": "acme"}'
+   */
+  parseHeaders(raw) {
+    if (!raw) return {};
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      console.warn(`[AI] Ignoring OPENAI_HEADERS - not valid JSON: ${error.message}`);
+      return {};
+    }
+  }
+}
+
+module.exports = { OpenAICompatibleProvider };
@@ -0,0 +1,276 @@
+/**
+ * Boolean Query Language
+ * 
+ * Parses `criteria.query` strings such as:
+ * 
+ *   CRM AND (alternative OR "switching from") NOT job
+ * 
+ * Syntax:
+ * - AND / OR / NOT (case-insensitive); adjacent terms are ANDed
+ * - "quoted phrases"
+ * - ( grouping )
+ * - -term as shorthand for NOT term
+ * 
+ * Precedence: NOT > AND > OR.
+ * 
+ * The AST is parsed once, compiled to each platform's native syntax where
+ * possible, and evaluated locally against every result so a query means
+ * the same thing on every platform.
+ * 
+ * AST nodes:
+ *   { type: 'term', value, phrase }
+ *   { type: 'and', children }
+ *   { type: 'or', children }
+ *   { type: 'not', child }
+ */
+
+const { compileKeyword, findMatches, tokenize: tokenizeText } = require('./keyword-matcher');
+
+class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(position !== undefined ? `${message} (at position ${position})` : message);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Split a query string into tokens
+ */
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, position: i });
+      i++;
+      continue;
+    }
+
+    if (ch === '"') {
+      const end = input.indexOf('"', i + 1);
+      if (end === -1) throw new QuerySyntaxError('Unterminated quote', i);
+      const value = input.slice(i + 1, end).trim();
+      if (value) tokens.push({ type: 'term', value, phrase: true, position: i });
+      i = end + 1;
+      continue;
+    }
+
+    if (ch === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+      tokens.push({ type: 'NOT', position: i });
+      i++;
+      continue;
+    }
+    if (ch === '-') {
+      throw new QuerySyntaxError('A lone "-" must be followed by the term to exclude (e.g. -job)', i);
+    }
+
+    let end = i;
+    while (end < input.length && !/[\s()"]/.test(input[end])) end++;
+    const word = input.slice(i, end);
+
+    if (/^(AND|OR|NOT)$/i.test(word)) {
+      tokens.push({ type: word.toUpperCase(), position: i });
+    } else {
+      tokens.push({ type: 'term', value: word, phrase: false, position: i });
+    }
+    i = end;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a query string into an AST
+ * 
+ * @throws {QuerySyntaxError}
+ */
+function parseQuery(input) {
+  if (typeof input !== 'string' || !input.trim()) {
+    throw new QuerySyntaxError('Query must be a non-empty string');
+  }
+
+  const tokens = tokenize(input);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      next();
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  function parseAnd() {
+    const children = [parseUnary()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') next();
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  function parseUnary() {
+    if (peek()?.type === 'NOT') {
+      next();
+      return { type: 'not', child: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = next();
+
+    if (!token) {
+      throw new QuerySyntaxError('Unexpected end of query');
+    }
+
+    if (token.type === '(') {
+      const node = parseOr();
+      if (next()?.type !== ')') {
+        throw new QuerySyntaxError('Missing closing parenthesis', token.position);
+      }
+      return node;
+    }
+
+    if (token.type === 'term') {
+      try {
+        compileKeyword(token.value, token.phrase ? 'exact' : 'stem');
+      } catch (error) {
+        throw new QuerySyntaxError(error.message, token.position);
+      }
+      return { type: 'term', value: token.value, phrase: token.phrase };
+    }
+
+    throw new QuerySyntaxError(`Unexpected ${token.type}`, token.position);
+  }
+
+  const ast = parseOr();
+
+  if (pos < tokens.length) {
+    throw new QuerySyntaxError(`Unexpected ${tokens[pos].type}`, tokens[pos].position);
+  }
+
+  if (!positiveTerms(ast).length) {
+    throw new QuerySyntaxError('Query needs at least one term that is not negated');
+  }
+
+  return ast;
+}
+
+/**
+ * Does a term occur in the text? Uses the keyword matcher: quoted
+ * phrases match exactly, bare terms are stemmed ("switching" = "switched")
+ */
+function termMatches(term, text, tokens) {
+  const compiled = compileKeyword(term.value, term.phrase ? 'exact' : 'stem');
+  return findMatches(compiled, text, tokens).length > 0;
+}
+
+/**
+ * Evaluate an AST against a piece of text
+ */
+function matchesQuery(ast, text) {
+  const tokens = tokenizeText(text);
+
+  const evaluate = (node) => {
+    switch (node.type) {
+      case 'term': return termMatches(node, text || '', tokens);
+      case 'and': return node.children.every(evaluate);
+      case 'or': return node.children.some(evaluate);
+      case 'not': return !evaluate(node.child);
+      default: return false;
+    }
+  };
+
+  return evaluate(ast);
+}
+
+/**
+ * All non-negated terms (used as keywords for relevance scoring)
+ */
+function positiveTerms(ast, negated = false) {
+  switch (ast.type) {
+    case 'term': return negated ? [] : [ast.value];
+    case 'not': return positiveTerms(ast.child, !negated);
+    default: return [...new Set(ast.children.flatMap(c => positiveTerms(c, negated)))];
+  }
+}
+
+/**
+ * Terms every match must contain (top-level ANDed positive terms).
+ * Safe to send to platforms that only support implicit AND.
+ */
+function requiredTerms(ast) {
+  if (ast.type === 'term') return [ast];
+  if (ast.type === 'and') return ast.children.filter(c => c.type === 'term');
+  return [];
+}
+
+/**
+ * Is the query a plain AND of positive terms? (no local filtering needed
+ * on implicit-AND platforms)
+ */
+function isSimpleConjunction(ast) {
+  return ast.type === 'term' || (ast.type === 'and' && ast.children.every(c => c.type === 'term'));
+}
+
+/**
+ * Render an AST as a boolean query string
+ * 
+ * @param {Object} syntax - { and: ' AND ', or: ' OR ', not: 'NOT ' }
+ */
+function toBooleanString(ast, syntax = {}) {
+  const { and = ' AND ', or = ' OR ', not = 'NOT ' } = syntax;
+
+  const render = (node, parent) => {
+    switch (node.type) {
+      case 'term':
+        return node.phrase || /\s/.test(node.value) ? `"${node.value}"` : node.value;
+      case 'not':
+        return `${not}${render(node.child, node)}`;
+      case 'and': {
+        const joined = node.children.map(c => render(c, node)).join(and);
+        return parent ? `(${joined})` : joined;
+      }
+      case 'or': {
+        const joined = node.children.map(c => render(c, node)).join(or);
+        return parent ? `(${joined})` : joined;
+      }
+      default:
+        return '';
+    }
+  };
+
+  return render(ast, null);
+}
+
+/**
+ * Render terms as a space-separated (implicit AND) query
+ */
+function termsToString(terms) {
+  return terms.map(t => (t.phrase || /\s/.test(t.value) ? `"${t.value}"` : t.value)).join(' ');
+}
+
+module.exports = {
+  QuerySyntaxError,
+  parseQuery,
+  matchesQuery,
+  positiveTerms,
+  requiredTerms,
+  isSimpleConjunction,
+  toBooleanString,
+  termsToString
+};
@@ -0,0 +1,368 @@
+/**
+ * Keyword Matcher
+ * 
+ * Matches keywords against post text on word boundaries, so "CRM" no
+ * longer matches "scrum" and "hate" no longer matches "whatever".
+ * 
+ * Keywords are plain strings or objects with a per-keyword mode:
+ * 
+ *   "switched from"                          → default mode (stem)
+ *   { "term": "CRM", "mode": "exact" }
+ *   { "term": "salesforce", "mode": "fuzzy" } → tolerates typos
+ *   { "term": "hubspot|pipedrive", "mode": "regex" }
+ * 
+ * Modes:
+ * - exact: whole words, case-insensitive
+ * - stem:  whole words after light suffix stripping ("switching" = "switched")
+ * - fuzzy: stem, plus small edit distance (1 typo from 5 chars, 2 from 9)
+ * - regex: JavaScript regular expression, case-insensitive
+ * 
+ * Multi-word keywords match as phrases (consecutive words).
+ * 
+ * Regexes come from API callers and run on the one event loop, so they
+ * are kept from backtracking forever: patterns are capped at 100 chars
+ * with no backreferences, nested quantifiers like (a+)+ or large
+ * repetition counts; they only see the first 10,000 chars of a field;
+ * and a match that still runs past 50ms is stopped and counts as none.
+ */
+const vm = require('vm');
+
+const MATCH_MODES = ['exact', 'stem', 'fuzzy', 'regex'];
+const DEFAULT_MODE = 'stem';
+const SNIPPET_RADIUS = 40;
+const MAX_REGEX_LENGTH = 100;
+const MAX_REGEX_REPEAT = 100;
+const MAX_REGEX_TEXT = 10000;
+const REGEX_TIMEOUT_MS = 50;
+
+// Regex matching runs here so it can be interrupted (see findRegexMatches)
+const regexSandbox = vm.createContext({ regex: null, text: '' });
+const regexScript = new vm.Script('Array.from(text.matchAll(regex), m => [m.index, m[0].length])');
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Split text into lowercase words with their offsets
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const match of (text || '').matchAll(WORD_PATTERN)) {
+    tokens.push({
+      word: match[0].toLowerCase().replace(/’/g, "'"),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Light English stemmer - strips common inflections only
+ */
+function stem(word) {
+  if (word.length <= 3) return word;
+
+  let base = word.replace(/'s$/, '');
+
+  if (base.endsWith('ies') && base.length > 4) return `${base.slice(0, -3)}y`;
+  if (base.endsWith('sses')) return base.slice(0, -2);
+
+  for (const suffix of ['ing', 'ed']) {
+    if (base.endsWith(suffix) && base.length - suffix.length >= 3) {
+      base = base.slice(0, -suffix.length);
+      // running → runn → run
+      if (/([b-df-hj-np-tv-z])\1$/.test(base) && !/(ll|ss|zz)$/.test(base)) {
+        base = base.slice(0, -1);
+      }
+      return base;
+    }
+  }
+
+  if (/(ch|sh|x|z|ss)es$/.test(base)) return base.slice(0, -2);
+  if (base.endsWith('s') && !base.endsWith('ss') && !base.endsWith('us') && !base.endsWith('is')) {
+    return base.slice(0, -1);
+  }
+
+  return base;
+}
+
+/**
+ * Edit distance with an early exit once it exceeds `max`
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, curr[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+    prev = curr;
+  }
+
+  return prev[b.length];
+}
+
+function typoTolerance(word) {
+  if (word.length >= 9) return 2;
+  if (word.length >= 5) return 1;
+  return 0;
+}
+
+/**
+ * The plain search term of a keyword (string or { term, mode })
+ */
+function keywordTerm(keyword) {
+  return typeof keyword === 'string' ? keyword : keyword?.term;
+}
+
+/**
+ * Terms that can be sent to platform search APIs (regex keywords can't)
+ */
+function keywordTerms(keywords = []) {
+  return keywords
+    .filter(kw => typeof kw === 'string' || (kw?.term && kw.mode !== 'regex'))
+    .map(keywordTerm);
+}
+
+/**
+ * Normalize a keyword into a compiled matcher
+ * 
+ * @throws {Error} on unknown mode, invalid regex, or a term with no words
+ */
+function compileKeyword(keyword, defaultMode = DEFAULT_MODE) {
+  const term = keywordTerm(keyword);
+  const mode = (typeof keyword === 'object' && keyword.mode) || defaultMode;
+
+  if (typeof term !== 'string' || !term.trim()) {
+    throw new Error('Keyword must be a non-empty string or { term, mode }');
+  }
+  if (!MATCH_MODES.includes(mode)) {
+    throw new Error(`Invalid match mode "${mode}" for "${term}". Use: ${MATCH_MODES.join(', ')}`);
+  }
+
+  if (mode === 'regex') {
+    const unsafe = regexSafetyError(term);
+    if (unsafe) throw new Error(`Regex "${term}" ${unsafe}`);
+    return { label: term, mode, regex: new RegExp(term, 'giu'), guarded: true };
+  }
+
+  // Symbols a word tokenizer would drop (C++, .NET, node.js) - match literally on boundaries
+  if (/[^\p{L}\p{N}\s'’-]/u.test(term)) {
+    const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return { label: term, mode, regex: new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu') };
+  }
+
+  const words = tokenize(term).map(t => t.word);
+  if (words.length === 0) {
+    throw new Error(`Keyword "${term}" has no letters or digits to match`);
+  }
+  return {
+    label: term,
+    mode,
+    words,
+    stems: words.map(stem)
+  };
+}
+
+/**
+ * Why a user-supplied pattern could backtrack catastrophically, or null.
+ * A quick scan, not a full parser: it rejects quantified groups that
+ * contain a quantifier or alternation - (a+)+, (\w+\s?)*, (a|ab)* - plus
+ * backreferences and repetition counts over MAX_REGEX_REPEAT.
+ */
+function regexSafetyError(pattern) {
+  if (pattern.length > MAX_REGEX_LENGTH) return `is longer than ${MAX_REGEX_LENGTH} characters`;
+  if (/\\(?:[1-9]|k<)/.test(pattern)) return 'uses a backreference';
+
+  const groups = [{ quantified: false, alternation: false }];
+  let lastGroup = null;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const afterGroup = lastGroup;
+    lastGroup = null;
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternation: false });
+      if (pattern[i + 1] === '?') {
+        const modifier = pattern.slice(i + 1).match(/^\?(?:<[A-Za-z_$][\w$]*>|<=|<!|[:=!])/);
+        if (modifier) i += modifier[0].length;
+      }
+    } else if (char === ')') {
+      lastGroup = groups.length > 1 ? groups.pop() : null;
+      if (lastGroup?.quantified) groups[groups.length - 1].quantified = true;
+    } else if (char === '|') {
+      groups[groups.length - 1].alternation = true;
+    } else if ('*+?{'.includes(char)) {
+      const counts = char === '{' ? pattern.slice(i).match(/^\{(\d+)(,(\d*))?\}/) : null;
+      if (char === '{' && !counts) continue;
+      if (counts && Math.max(+counts[1], +(counts[3] || 0)) > MAX_REGEX_REPEAT) {
+        return `repeats more than ${MAX_REGEX_REPEAT} times`;
+      }
+      if (char !== '?' && afterGroup && (afterGroup.quantified || afterGroup.alternation)) {
+        return 'has a nested quantifier or a quantified alternation';
+      }
+
+      groups[groups.length - 1].quantified = true;
+      if (counts) i += counts[0].length - 1;
+      if (pattern[i + 1] === '?') i++; // lazy
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Matches of a guarded (user-supplied) regex, interrupted after
+ * REGEX_TIMEOUT_MS - a timeout counts as no match
+ */
+function findRegexMatches(compiled, text) {
+  regexSandbox.regex = compiled.regex;
+  regexSandbox.text = text.slice(0, MAX_REGEX_TEXT);
+
+  try {
+    return regexScript.runInContext(regexSandbox, { timeout: REGEX_TIMEOUT_MS });
+  } catch (error) {
+    if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+    console.warn(`[Keywords] Regex "${compiled.label}" took over ${REGEX_TIMEOUT_MS}ms - skipped`);
+    return [];
+  } finally {
+    regexSandbox.regex = null;
+    regexSandbox.text = '';
+  }
+}
+
+/**
+ * Does a text token match one keyword word?
+ */
+function wordMatches(compiled, index, token) {
+  const word = compiled.words[index];
+  if (token.word === word) return true;
+  if (compiled.mode === 'exact') return false;
+
+  const tokenStem = stem(token.word);
+  if (tokenStem === compiled.stems[index]) return true;
+  if (compiled.mode !== 'fuzzy') return false;
+
+  const max = typoTolerance(word);
+  return max > 0 && editDistance(tokenStem, compiled.stems[index], max) <= max;
+}
+
+/**
+ * Find all occurrences of a compiled keyword in text
+ * 
+ * @returns {Array<{start, end}>}
+ */
+function findMatches(compiled, text, tokens = tokenize(text)) {
+  if (compiled.guarded) {
+    compiled.regex.lastIndex = 0;
+    return findRegexMatches(compiled, text || '')
+      .filter(([, length]) => length > 0)
+      .map(([start, length]) => ({ start, end: start + length }));
+  }
+
+  if (compiled.regex) {
+    compiled.regex.lastIndex = 0;
+    return [...(text || '').matchAll(compiled.regex)]
+      .filter(m => m[0].length > 0)
+      .map(m => ({ start: m.index, end: m.index + m[0].length }));
+  }
+
+  const matches = [];
+  const length = compiled.words.length;
+  if (length === 0) return matches;
+
+  for (let i = 0; i + length <= tokens.length; i++) {
+    let ok = true;
+    for (let j = 0; j < length && ok; j++) {
+      ok = wordMatches(compiled, j, tokens[i + j]);
+    }
+    if (ok) {
+      matches.push({ start: tokens[i].start, end: tokens[i + length - 1].end });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Text around a match, for highlighting
+ */
+function snippet(text, start, end) {
+  const from = Math.max(0, start - SNIPPET_RADIUS);
+  const to = Math.min(text.length, end + SNIPPET_RADIUS);
+  return `${from > 0 ? '…' : ''}${text.slice(from, to).replace(/\s+/g, ' ')}${to < text.length ? '…' : ''}`;
+}
+
+/**
+ * Match a keyword list against named text fields
+ * 
+ * @param {Array} keywords - Strings or { term, mode }
+ * @param {Object} fields - e.g. { title, body }
+ * @param {Object} options
+ * @param {string} options.defaultMode - Mode for plain string keywords
+ * @param {string} options.category - Label stored on each match
+ * @returns {{ matched: string[], matches: Array }}
+ */
+function matchKeywords(keywords = [], fields = {}, options = {}) {
+  const { defaultMode = DEFAULT_MODE, category } = options;
+  const tokenized = Object.entries(fields)
+    .filter(([, text]) => text)
+    .map(([field, text]) => ({ field, text, tokens: tokenize(text) }));
+
+  const matched = [];
+  const matches = [];
+
+  for (const keyword of keywords) {
+    const compiled = compileKeyword(keyword, defaultMode);
+    let found = false;
+
+    for (const { field, text, tokens } of tokenized) {
+      for (const { start, end } of findMatches(compiled, text, tokens)) {
+        found = true;
+        matches.push({
+          keyword: compiled.label,
+          category,
+          mode: compiled.mode,
+          field,
+          start,
+          end,
+          text: text.slice(start, end),
+          snippet: snippet(text, start, end)
+        });
+      }
+    }
+
+    if (found) matched.push(compiled.label);
+  }
+
+  return { matched, matches };
+}
+
+module.exports = {
+  MATCH_MODES,
+  DEFAULT_MODE,
+  tokenize,
+  stem,
+  editDistance,
+  keywordTerm,
+  keywordTerms,
+  compileKeyword,
+  findMatches,
+  matchKeywords
+};
@@ -0,0 +1,69 @@
+const express = require('express');
+const { BLOCK_TYPES } = require('../services/blocklist.service');
+const { validateRoute } = require('../schemas');
+
+/**
+ * Blocklist Routes
+ * 
+ * Global authors, subreddits and keywords excluded from every search.
+ */
+function createBlocklistRoutes(blocklistService) {
+  const router = express.Router();
+
+  /**
+   * GET /api/blocklist
+   * 
+   * Query: type, platform
+   */
+  router.get('/', validateRoute('GET /api/blocklist'), (req, res) => {
+    const entries = blocklistService.list({
+      type: req.query.type,
+      platform: req.query.platform
+    });
+
+    res.json({ success: true, entries, total: entries.length });
+  });
+
+  /**
+   * POST /api/blocklist
+   * 
+   * Body:
+   * {
+   *   "type": "author",                 // or "subreddit", "keyword"
+   *   "value": "growth_hacker_bot",
+   *   "platform": "reddit",             // optional - omit to match on every platform
+   *   "reason": "Spam account"          // optional
+   * }
+   */
+  router.post('/', validateRoute('POST /api/blocklist'), (req, res) => {
+    const { type, value, platform, reason } = req.body;
+
+    if (!BLOCK_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `type must be one of: ${BLOCK_TYPES.join(', ')}`
+      });
+    }
+
+    if (typeof value !== 'string' || !value.trim()) {
+      return res.status(400).json({ success: false, error: 'value is required' });
+    }
+
+    const entry = blocklistService.add({ type, value, platform: platform || null, reason: reason || null });
+    res.status(201).json({ success: true, entry });
+  });
+
+  /**
+   * DELETE /api/blocklist/:id
+   */
+  router.delete('/:id', validateRoute('DELETE /api/blocklist/:id'), (req, res) => {
+    if (!blocklistService.remove(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Blocklist entry not found' });
+    }
+    res.json({ success: true });
+  });
+
+  return router;
+}
+
+module.exports = { createBlocklistRoutes };
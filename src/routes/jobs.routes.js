@@ -0,0 +1,124 @@
+const express = require('express');
+const { JOB_STATUSES } = require('../services/job.service');
+const { validateRoute } = require('../schemas');
+const { scopeOf } = require('../auth');
+const { checkPublicUrl } = require('../http/outbound');
+
+/**
+ * Job Routes
+ * 
+ * Background AI searches: queue, poll for progress and results, cancel.
+ * Each workspace only sees its own jobs.
+ */
+function createJobRoutes(jobService) {
+  const router = express.Router();
+  const { searchService } = jobService;
+
+  /**
+   * GET /api/jobs
+   * 
+   * Query: status. Results are left out - fetch a job to get its result.
+   */
+  router.get('/', validateRoute('GET /api/jobs'), (req, res) => {
+    const { status } = req.query;
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status: ${status}`,
+        validStatuses: JOB_STATUSES
+      });
+    }
+
+    const jobs = jobService.list({ status, workspaceId: req.auth.workspace.id });
+    res.json({ success: true, jobs, total: jobs.length });
+  });
+
+  /**
+   * POST /api/jobs
+   * 
+   * Body: same as POST /api/search/ai, plus an optional callback:
+   * {
+   *   "criteria": { "keywords": ["CRM"], ... },
+   *   "platforms": ["reddit"],
+   *   "aiOptions": { "productContext": { ... } },
+   *   "callbackUrl": "https://example.com/hooks/search-done",
+   *   "callbackSecret": "shh"
+   * }
+   * 
+   * Without a callbackSecret one is generated; the 202 response is the
+   * only place it is shown. A full queue gets 429 (this workspace) or
+   * 503 (all workspaces).
+   */
+  router.post('/', validateRoute('POST /api/jobs'), async (req, res) => {
+    const { criteria, aiOptions = {}, callbackUrl } = req.body;
+
+    const inputError = searchService.validateCriteria(criteria)
+      || searchService.validateAIOptions(aiOptions)
+      || await validateCallbackUrl(callbackUrl);
+    if (inputError) {
+      return res.status(400).json({ success: false, error: inputError });
+    }
+
+    if (!searchService.isAIEnabled(aiOptions.provider)) {
+      return res.status(400).json({
+        success: false,
+        error: aiOptions.provider
+          ? `AI provider "${aiOptions.provider}" is not configured.`
+          : 'AI scoring is not enabled. Set OPENAI_API_KEY, ANTHROPIC_API_KEY or AI_PROVIDER.'
+      });
+    }
+
+    const scope = scopeOf(req);
+    const full = jobService.capacityError(scope.workspaceId);
+    if (full) {
+      return res.status(full.status).set('Retry-After', '60').json({ success: false, error: full.error });
+    }
+
+    try {
+      const job = jobService.create(req.body, scope);
+      res.status(202)
+        .location(`${req.baseUrl}/${job.id}`)
+        .json({ success: true, job });
+    } catch (error) {
+      console.error('Job create error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/jobs/:id
+   * 
+   * Status, progress and (once completed) the /api/search/ai result
+   */
+  router.get('/:id', validateRoute('GET /api/jobs/:id'), (req, res) => {
+    const job = jobService.get(req.params.id, req.auth.workspace.id);
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, job });
+  });
+
+  /**
+   * DELETE /api/jobs/:id
+   * 
+   * Cancels a queued or running job; deletes a finished one
+   */
+  router.delete('/:id', validateRoute('DELETE /api/jobs/:id'), (req, res) => {
+    const outcome = jobService.cancel(req.params.id, req.auth.workspace.id);
+    if (!outcome) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, ...outcome });
+  });
+
+  return router;
+}
+
+async function validateCallbackUrl(url) {
+  if (url === undefined || url === null) return null;
+  const error = await checkPublicUrl(url);
+  return error && `callbackUrl ${error}`;
+}
+
+module.exports = { createJobRoutes };
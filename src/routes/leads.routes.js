@@ -0,0 +1,192 @@
+const express = require('express');
+const { LEAD_STATUSES } = require('../services/lead.service');
+const { EXPORT_FORMATS, MIME_TYPES, negotiateFormat, sendPosts } = require('../formats/export');
+const { FEED_FORMATS, parseFeedFilter, matchesFeedFilter, renderFeed } = require('../formats/feed');
+const { validateRoute } = require('../schemas');
+
+const MAX_ENRICHED_AUTHORS = 25;
+
+/**
+ * Lead Routes
+ * 
+ * Browse and work the persistent lead store of the caller's workspace.
+ */
+function createLeadRoutes(workspaceService, crmSyncService, authorService) {
+  const router = express.Router();
+  const leadsOf = req => workspaceService.leadsFor(req.auth.workspace.id);
+
+  /**
+   * GET /api/leads
+   * 
+   * Query: level, platform, status, since, until, limit, offset,
+   * format (json | csv | ndjson - or use the Accept header)
+   */
+  router.get('/', validateRoute('GET /api/leads'), (req, res) => {
+    const { status } = req.query;
+
+    const format = negotiateFormat(req);
+    if (!format) {
+      return res.status(406).json({ success: false, error: 'Unsupported format', formats: EXPORT_FORMATS });
+    }
+
+    if (status && !LEAD_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status: ${status}`,
+        validStatuses: LEAD_STATUSES
+      });
+    }
+
+    const leadService = leadsOf(req);
+    const result = leadService.list(req.query);
+    if (format !== 'json') {
+      return sendPosts(res, format, result.leads.map(lead => leadService.toPost(lead)), 'leads');
+    }
+    res.json({ success: true, ...result });
+  });
+
+  /**
+   * GET /api/leads/feed
+   * 
+   * Atom (default) or RSS feed of leads, newest first.
+   * Query: format (atom | rss), level (comma list, default HIGH), minScore,
+   * platform, status
+   */
+  router.get('/feed', validateRoute('GET /api/leads/feed'), (req, res) => {
+    const format = negotiateFormat(req, FEED_FORMATS);
+    if (!format) {
+      return res.status(406).json({ success: false, error: 'Unsupported format', formats: FEED_FORMATS });
+    }
+
+    const filter = parseFeedFilter(req.query);
+    if (filter.error) {
+      return res.status(400).json({ success: false, error: filter.error });
+    }
+
+    const posts = leadsOf(req).recentPosts(req.query).filter(post => matchesFeedFilter(post, filter));
+
+    res.type(MIME_TYPES[format]).send(renderFeed({
+      id: `leads:${req.originalUrl}`,
+      title: `Leads: ${filter.minScore !== null ? `score ≥ ${filter.minScore}` : filter.levels.join(', ')}`,
+      selfUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+      posts
+    }, format));
+  });
+
+  /**
+   * GET /api/leads/authors
+   * 
+   * People to contact: leads grouped per author, highest combined intent first.
+   * Query: platform, status, since (ISO date, post found since), minPosts,
+   * enrich (true = fetch missing Reddit / HN profiles for the returned
+   * authors, at most 25 per request), limit
+   */
+  router.get('/authors', validateRoute('GET /api/leads/authors'), async (req, res) => {
+    const { since, enrich } = req.query;
+    const minPosts = parseInt(req.query.minPosts) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    if (since && Number.isNaN(new Date(since).getTime())) {
+      return res.status(400).json({ success: false, error: 'since must be an ISO date' });
+    }
+
+    try {
+      let posts = leadsOf(req).recentPosts(req.query)
+        .filter(post => !since || new Date(post.foundAt) >= new Date(since));
+
+      let authors = authorService.groupByAuthor(posts).filter(author => author.postCount >= minPosts);
+      const page = authors.slice(0, limit);
+
+      // Only the authors on this page are looked up (profiles don't change the order)
+      if (enrich === 'true') {
+        const pageIds = new Set(page.map(author => author.id));
+        const unenriched = posts.filter(post => pageIds.has(authorService.authorId(post)) && post.author?.profile === undefined);
+        const { posts: enriched } = await authorService.enrichPosts(unenriched, { maxAuthors: MAX_ENRICHED_AUTHORS });
+        const byKey = new Map(enriched.map(post => [`${post.platform}:${post.id}`, post]));
+        posts = posts.map(post => byKey.get(`${post.platform}:${post.id}`) || post);
+        authors = authorService.groupByAuthor(posts).filter(author => author.postCount >= minPosts);
+      }
+
+      res.json({ success: true, authors: authors.slice(0, limit), total: authors.length });
+    } catch (error) {
+      console.error('Lead authors error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/leads/:id
+   * 
+   * Lead ids are "<platform>:<postId>", e.g. "reddit:abc123"
+   */
+  router.get('/:id', validateRoute('GET /api/leads/:id'), (req, res) => {
+    const lead = leadsOf(req).get(req.params.id);
+    if (!lead) {
+      return res.status(404).json({ success: false, error: 'Lead not found' });
+    }
+    res.json({ success: true, lead });
+  });
+
+  /**
+   * PATCH /api/leads/:id
+   * 
+   * Body: { "status": "contacted", "note": "DM'd on Reddit" }
+   */
+  router.patch('/:id', validateRoute('PATCH /api/leads/:id'), (req, res) => {
+    const { status, note } = req.body;
+
+    if (status !== undefined && !LEAD_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status: ${status}`,
+        validStatuses: LEAD_STATUSES
+      });
+    }
+
+    const lead = leadsOf(req).update(req.params.id, { status, note });
+    if (!lead) {
+      return res.status(404).json({ success: false, error: 'Lead not found' });
+    }
+    res.json({ success: true, lead });
+  });
+
+  /**
+   * POST /api/leads/:id/push
+   * 
+   * Create or update this lead in Frappe CRM
+   */
+  router.post('/:id/push', validateRoute('POST /api/leads/:id/push'), async (req, res) => {
+    try {
+      if (!crmSyncService.isEnabled()) {
+        return res.status(400).json({
+          success: false,
+          error: 'CRM sync is not enabled. Set FRAPPE_URL, FRAPPE_API_KEY and FRAPPE_API_SECRET.'
+        });
+      }
+
+      const leadService = leadsOf(req);
+      const lead = leadService.get(req.params.id);
+      if (!lead) {
+        return res.status(404).json({ success: false, error: 'Lead not found' });
+      }
+
+      const result = await crmSyncService.pushLead(lead);
+      const updated = leadService.recordCrmSync(lead.id, result);
+
+      res.status(result.success ? 200 : 502).json({
+        success: result.success,
+        action: result.action,
+        error: result.error,
+        lead: updated
+      });
+
+    } catch (error) {
+      console.error('CRM push error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createLeadRoutes };
@@ -0,0 +1,145 @@
+const express = require('express');
+const { MIME_TYPES, negotiateFormat } = require('../formats/export');
+const { FEED_FORMATS, parseFeedFilter, matchesFeedFilter, renderFeed } = require('../formats/feed');
+const { validateRoute } = require('../schemas');
+const { scopeOf } = require('../auth');
+
+/**
+ * Monitor Routes
+ * 
+ * CRUD for the caller's workspace's saved monitors plus manual run trigger.
+ */
+function createMonitorRoutes(monitorService) {
+  const router = express.Router();
+
+  /**
+   * GET /api/monitors
+   */
+  router.get('/', validateRoute('GET /api/monitors'), (req, res) => {
+    res.json({ success: true, monitors: monitorService.list(req.auth.workspace.id) });
+  });
+
+  /**
+   * POST /api/monitors
+   * 
+   * Body:
+   * {
+   *   "name": "HubSpot churners",
+   *   "criteria": { "keywords": ["CRM"], ... },
+   *   "platforms": ["reddit", "hackernews"],
+   *   "aiOptions": { "productContext": { ... } },
+   *   "intervalMinutes": 60
+   * }
+   */
+  router.post('/', validateRoute('POST /api/monitors'), (req, res) => {
+    const criteriaError = monitorService.searchService.validateCriteria(req.body.criteria)
+      || monitorService.searchService.validateAIOptions(req.body.aiOptions);
+    if (criteriaError) {
+      return res.status(400).json({
+        success: false,
+        error: criteriaError
+      });
+    }
+
+    const monitor = monitorService.create(req.body, scopeOf(req));
+    res.status(201).json({ success: true, monitor });
+  });
+
+  /**
+   * GET /api/monitors/:id
+   */
+  router.get('/:id', validateRoute('GET /api/monitors/:id'), (req, res) => {
+    const monitor = monitorService.get(req.params.id, req.auth.workspace.id);
+    if (!monitor) {
+      return res.status(404).json({ success: false, error: 'Monitor not found' });
+    }
+    res.json({ success: true, monitor });
+  });
+
+  /**
+   * GET /api/monitors/:id/feed
+   * 
+   * Atom (default) or RSS feed of scored posts this monitor found, newest first.
+   * Query: format (atom | rss), level (comma list, default HIGH), minScore
+   */
+  router.get('/:id/feed', validateRoute('GET /api/monitors/:id/feed'), (req, res) => {
+    const format = negotiateFormat(req, FEED_FORMATS);
+    if (!format) {
+      return res.status(406).json({ success: false, error: 'Unsupported format', formats: FEED_FORMATS });
+    }
+
+    const filter = parseFeedFilter(req.query);
+    if (filter.error) {
+      return res.status(400).json({ success: false, error: filter.error });
+    }
+
+    const feed = monitorService.getFeed(req.params.id, req.auth.workspace.id);
+    if (!feed) {
+      return res.status(404).json({ success: false, error: 'Monitor not found' });
+    }
+
+    res.type(MIME_TYPES[format]).send(renderFeed({
+      id: `monitor:${feed.monitor.id}`,
+      title: `Monitor: ${feed.monitor.name}`,
+      selfUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+      posts: feed.posts.filter(post => matchesFeedFilter(post, filter))
+    }, format));
+  });
+
+  /**
+   * PATCH /api/monitors/:id
+   * 
+   * Partial update. Changing criteria/platforms (or passing
+   * "resetCursor": true) resets the "seen" cursor.
+   */
+  router.patch('/:id', validateRoute('PATCH /api/monitors/:id'), (req, res) => {
+    const criteriaError = (req.body.criteria !== undefined
+      && monitorService.searchService.validateCriteria(req.body.criteria))
+      || monitorService.searchService.validateAIOptions(req.body.aiOptions);
+    if (criteriaError) {
+      return res.status(400).json({
+        success: false,
+        error: criteriaError
+      });
+    }
+
+    const monitor = monitorService.update(req.params.id, req.body, req.auth.workspace.id);
+    if (!monitor) {
+      return res.status(404).json({ success: false, error: 'Monitor not found' });
+    }
+    res.json({ success: true, monitor });
+  });
+
+  /**
+   * DELETE /api/monitors/:id
+   */
+  router.delete('/:id', validateRoute('DELETE /api/monitors/:id'), (req, res) => {
+    if (!monitorService.delete(req.params.id, req.auth.workspace.id)) {
+      return res.status(404).json({ success: false, error: 'Monitor not found' });
+    }
+    res.json({ success: true });
+  });
+
+  /**
+   * POST /api/monitors/:id/run
+   * 
+   * Run a monitor immediately (returns only posts new since last run)
+   */
+  router.post('/:id/run', validateRoute('POST /api/monitors/:id/run'), async (req, res) => {
+    try {
+      const monitor = await monitorService.run(req.params.id, req.auth.workspace.id);
+      if (!monitor) {
+        return res.status(404).json({ success: false, error: 'Monitor not found' });
+      }
+      res.json({ success: true, monitor });
+
+    } catch (error) {
+      console.error('Monitor run error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMonitorRoutes };
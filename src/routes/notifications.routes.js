@@ -0,0 +1,129 @@
+const express = require('express');
+const { CHANNEL_TYPES } = require('../services/notification.service');
+const { workspaceService } = require('../services/workspace.service');
+const { validateRoute } = require('../schemas');
+
+/**
+ * Notification Routes
+ * 
+ * Manage outbound webhook / Slack channels and inspect deliveries.
+ * Each channel gets the leads of one workspace.
+ */
+function createNotificationRoutes(notificationService) {
+  const router = express.Router();
+
+  /**
+   * GET /api/notifications/channels
+   */
+  router.get('/channels', validateRoute('GET /api/notifications/channels'), (req, res) => {
+    res.json({
+      success: true,
+      channels: notificationService.getChannels().map(c => notificationService.toPublic(c))
+    });
+  });
+
+  /**
+   * POST /api/notifications/channels
+   * 
+   * Body:
+   * {
+   *   "type": "slack",                  // or "webhook"
+   *   "url": "https://hooks.slack.com/services/...",
+   *   "secret": "shh",                  // webhook only - enables HMAC signing
+   *   "workspaceId": "ws_...",          // whose leads (default: default)
+   *   "rule": { "levels": ["HIGH"], "actions": ["CONTACT_NOW"], "minScore": 85 }
+   * }
+   */
+  router.post('/channels', validateRoute('POST /api/notifications/channels'), (req, res) => {
+    const { type, url } = req.body;
+
+    if (!CHANNEL_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `type must be one of: ${CHANNEL_TYPES.join(', ')}`
+      });
+    }
+
+    if (!/^https?:\/\//.test(url || '')) {
+      return res.status(400).json({
+        success: false,
+        error: 'url is required and must be an http(s) URL'
+      });
+    }
+
+    if (req.body.workspaceId && !workspaceService.get(req.body.workspaceId)) {
+      return res.status(400).json({ success: false, error: `Unknown workspace: ${req.body.workspaceId}` });
+    }
+
+    const channel = notificationService.createChannel(req.body);
+    res.status(201).json({ success: true, channel: notificationService.toPublic(channel) });
+  });
+
+  /**
+   * DELETE /api/notifications/channels/:id
+   */
+  router.delete('/channels/:id', validateRoute('DELETE /api/notifications/channels/:id'), (req, res) => {
+    if (!notificationService.deleteChannel(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Channel not found (env channels cannot be deleted)' });
+    }
+    res.json({ success: true });
+  });
+
+  /**
+   * POST /api/notifications/channels/:id/test
+   * 
+   * Send a sample lead to the channel (waits for retries to finish)
+   */
+  router.post('/channels/:id/test', validateRoute('POST /api/notifications/channels/:id/test'), async (req, res) => {
+    try {
+      const channel = notificationService.getChannel(req.params.id);
+      if (!channel) {
+        return res.status(404).json({ success: false, error: 'Channel not found' });
+      }
+
+      const delivered = await notificationService.deliver(channel, [{
+        id: 'test',
+        platform: 'reddit',
+        title: 'Test lead: looking for a HubSpot alternative',
+        url: 'https://www.reddit.com/r/SaaS/',
+        author: { username: 'test_user', profileUrl: 'https://www.reddit.com/user/test_user' },
+        subreddit: 'SaaS',
+        metrics: { score: 42, comments: 7 },
+        intentAnalysis: {
+          score: 90,
+          level: 'HIGH',
+          recommendedAction: 'CONTACT_NOW',
+          summary: 'Test notification from Social Listening API'
+        }
+      }]);
+
+      res.json({
+        success: delivered,
+        deliveries: notificationService.getDeliveries({ channelId: channel.id, limit: 5 })
+      });
+
+    } catch (error) {
+      console.error('Notification test error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /api/notifications/deliveries
+   * 
+   * Query: channelId, limit
+   */
+  router.get('/deliveries', validateRoute('GET /api/notifications/deliveries'), (req, res) => {
+    res.json({
+      success: true,
+      deliveries: notificationService.getDeliveries({
+        channelId: req.query.channelId,
+        limit: Math.min(parseInt(req.query.limit) || 100, 500)
+      })
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createNotificationRoutes };
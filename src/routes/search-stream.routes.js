@@ -0,0 +1,141 @@
+const express = require('express');
+const { withSignal } = require('../http/http-client');
+const { validateRoute, components, checkInput, sendValidationErrors, sendWarnings } = require('../schemas');
+const { scopeOf } = require('../auth');
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Streaming AI Search Routes
+ * 
+ * Server-Sent Events version of POST /api/search/ai. Events:
+ *   start    - { platforms }
+ *   platform - one adapter's result as soon as it finishes
+ *   scoring  - { toScore, skipped, provider, model, degraded } before AI scoring
+ *   post     - a post with its intentAnalysis, as each one arrives
+ *   summary  - the /api/search/ai result without `posts`, plus `order` (final ranking)
+ *   error    - { error } if the search fails
+ * 
+ * A comment line is sent every 15s as a heartbeat. When the client
+ * disconnects, platform requests and AI scoring still in flight are cancelled.
+ */
+function createSearchStreamRoutes(searchService, workspaceService) {
+  const router = express.Router();
+
+  /**
+   * GET /api/search/ai/stream
+   * 
+   * For EventSource. Query (JSON-encoded):
+   *   criteria  - { "keywords": [...], ... }
+   *   platforms - ["reddit", "hackernews"] or reddit,hackernews
+   *   aiOptions - { "productContext": { ... } }
+   *   apiKey    - EventSource can't send headers
+   */
+  router.get('/', validateRoute('GET /api/search/ai/stream'), (req, res) => {
+    let input;
+    try {
+      input = {
+        criteria: parseJsonParam(req.query.criteria, 'criteria'),
+        platforms: parsePlatforms(req.query.platforms),
+        aiOptions: parseJsonParam(req.query.aiOptions, 'aiOptions') || {}
+      };
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    // Same rules as the POST body once the JSON params are decoded
+    const { errors, warnings } = checkInput(components.AISearchRequest, input);
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+    sendWarnings(req, res, warnings);
+
+    stream(req, res, input);
+  });
+
+  /**
+   * POST /api/search/ai/stream
+   * 
+   * Body: same as POST /api/search/ai
+   */
+  router.post('/', validateRoute('POST /api/search/ai/stream'), (req, res) => {
+    const { criteria, platforms, aiOptions = {} } = req.body;
+    stream(req, res, { criteria, platforms, aiOptions });
+  });
+
+  /**
+   * Validate, then run the search and write events until it ends
+   */
+  async function stream(req, res, { criteria, platforms, aiOptions }) {
+    const inputError = searchService.validateCriteria(criteria) || searchService.validateAIOptions(aiOptions);
+    if (inputError) {
+      return res.status(400).json({ success: false, error: inputError });
+    }
+
+    if (!searchService.isAIEnabled(aiOptions.provider)) {
+      return res.status(400).json({
+        success: false,
+        error: aiOptions.provider
+          ? `AI provider "${aiOptions.provider}" is not configured.`
+          : 'AI scoring is not enabled. Set OPENAI_API_KEY, ANTHROPIC_API_KEY or AI_PROVIDER.'
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const controller = new AbortController();
+    const send = (event, data) => {
+      if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) {
+        console.log('🔌 Stream client disconnected - cancelling search');
+        controller.abort();
+      }
+    });
+
+    try {
+      const result = await withSignal(controller.signal, () => searchService.searchWithAI(criteria, platforms, {
+        ...workspaceService.searchOptions(scopeOf(req), aiOptions),
+        onProgress: send,
+        signal: controller.signal
+      }));
+
+      const { posts, ...summary } = result;
+      send('summary', { ...summary, order: posts.map(p => `${p.platform}:${p.id}`) });
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      console.error('AI stream error:', error);
+      send('error', { error: error.message });
+    }
+
+    clearInterval(heartbeat);
+    res.end();
+  }
+
+  return router;
+}
+
+function parseJsonParam(value, name) {
+  if (value === undefined || value === '') return undefined;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${name} must be JSON: ${error.message}`);
+  }
+}
+
+function parsePlatforms(value) {
+  if (value === undefined || value === '') return null;
+  return value.trim().startsWith('[')
+    ? parseJsonParam(value, 'platforms')
+    : value.split(',').map(p => p.trim()).filter(Boolean);
+}
+
+module.exports = { createSearchStreamRoutes };
@@ -0,0 +1,53 @@
+const express = require('express');
+const { GROUP_BY } = require('../services/usage.service');
+const { validateRoute } = require('../schemas');
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Usage Routes
+ * 
+ * Cumulative AI token usage and cost, plus the monthly budget. Workspace
+ * keys only see their workspace's usage.
+ */
+function createUsageRoutes(usageService) {
+  const router = express.Router();
+
+  /**
+   * GET /api/usage
+   * 
+   * Query:
+   *   groupBy   - day | workspace | monitor | apiKey | model (optional)
+   *   from, to  - YYYY-MM-DD, inclusive (optional)
+   *   monitorId - only this monitor's usage (optional)
+   *   apiKeyId  - only this API key's usage (optional)
+   *   workspaceId - only this workspace's usage (ADMIN_API_KEY only)
+   */
+  router.get('/', validateRoute('GET /api/usage'), (req, res) => {
+    const { groupBy, from, to, monitorId, apiKeyId } = req.query;
+    const workspaceId = req.auth.root ? req.query.workspaceId : req.auth.workspace.id;
+
+    if (groupBy && !GROUP_BY.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        error: `groupBy must be one of: ${GROUP_BY.join(', ')}`
+      });
+    }
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && !DAY_PATTERN.test(value)) {
+        return res.status(400).json({ success: false, error: `${name} must be a date (YYYY-MM-DD)` });
+      }
+    }
+
+    res.json({
+      success: true,
+      usage: usageService.summarize({ groupBy, from, to, monitorId, apiKeyId, workspaceId }),
+      budget: usageService.getBudget()
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createUsageRoutes };
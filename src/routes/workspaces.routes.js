@@ -0,0 +1,140 @@
+const express = require('express');
+const { DEFAULT_WORKSPACE_ID } = require('../services/workspace.service');
+const { validateRoute } = require('../schemas');
+const { canManageWorkspace } = require('../auth');
+
+/**
+ * Workspace Routes
+ * 
+ * Workspaces and their API keys. ADMIN_API_KEY manages every workspace;
+ * a workspace's admin keys manage only their own, and can't change quotas.
+ */
+function createWorkspaceRoutes(workspaceService, monitorService) {
+  const router = express.Router();
+
+  // 403 unless the caller may manage the :id workspace, 404 if it doesn't exist
+  const managed = (req, res) => {
+    if (!canManageWorkspace(req.auth, req.params.id)) {
+      res.status(403).json({ success: false, error: 'Admin keys can only manage their own workspace' });
+      return null;
+    }
+    const workspace = workspaceService.get(req.params.id);
+    if (!workspace) {
+      res.status(404).json({ success: false, error: 'Workspace not found' });
+      return null;
+    }
+    return workspace;
+  };
+
+  const quotasForbidden = (req, res) => {
+    if (req.body.quotas === undefined || req.auth.root) return false;
+    res.status(403).json({ success: false, error: 'Only ADMIN_API_KEY can change quotas' });
+    return true;
+  };
+
+  /**
+   * GET /api/workspaces
+   */
+  router.get('/', validateRoute('GET /api/workspaces'), (req, res) => {
+    const workspaces = workspaceService.list().filter(w => canManageWorkspace(req.auth, w.id));
+    res.json({ success: true, workspaces });
+  });
+
+  /**
+   * POST /api/workspaces
+   * 
+   * Body:
+   * {
+   *   "name": "Growth team",
+   *   "corsOrigins": ["https://app.example.com"],
+   *   "productContext": { "productName": "MyCRM", ... },
+   *   "quotas": { "searchesPerDay": 500, "aiPostsPerDay": 2000 }
+   * }
+   */
+  router.post('/', validateRoute('POST /api/workspaces'), (req, res) => {
+    const workspace = workspaceService.create(req.body);
+    res.status(201).json({ success: true, workspace: workspaceService.toPublic(workspace) });
+  });
+
+  /**
+   * GET /api/workspaces/:id
+   */
+  router.get('/:id', validateRoute('GET /api/workspaces/:id'), (req, res) => {
+    const workspace = managed(req, res);
+    if (!workspace) return;
+    res.json({ success: true, workspace: workspaceService.toPublic(workspace) });
+  });
+
+  /**
+   * PATCH /api/workspaces/:id
+   */
+  router.patch('/:id', validateRoute('PATCH /api/workspaces/:id'), (req, res) => {
+    if (!managed(req, res) || quotasForbidden(req, res)) return;
+
+    const workspace = workspaceService.update(req.params.id, req.body);
+    res.json({ success: true, workspace: workspaceService.toPublic(workspace) });
+  });
+
+  /**
+   * DELETE /api/workspaces/:id
+   * 
+   * Removes its keys, monitors and leads. The default workspace can't be deleted.
+   */
+  router.delete('/:id', validateRoute('DELETE /api/workspaces/:id'), (req, res) => {
+    if (req.params.id === DEFAULT_WORKSPACE_ID) {
+      return res.status(400).json({ success: false, error: 'The default workspace cannot be deleted' });
+    }
+    if (!workspaceService.delete(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Workspace not found' });
+    }
+
+    const monitorsDeleted = monitorService.deleteForWorkspace(req.params.id);
+    res.json({ success: true, monitorsDeleted });
+  });
+
+  /**
+   * GET /api/workspaces/:id/keys
+   */
+  router.get('/:id/keys', validateRoute('GET /api/workspaces/:id/keys'), (req, res) => {
+    if (!managed(req, res)) return;
+    res.json({ success: true, keys: workspaceService.listKeys(req.params.id) });
+  });
+
+  /**
+   * POST /api/workspaces/:id/keys
+   * 
+   * Body: { "name": "Zapier", "role": "member", "quotas": { "aiPostsPerDay": 200 } }
+   * 
+   * The response holds the only copy of the key - it is stored hashed.
+   */
+  router.post('/:id/keys', validateRoute('POST /api/workspaces/:id/keys'), (req, res) => {
+    if (!managed(req, res) || quotasForbidden(req, res)) return;
+
+    const { key, secret } = workspaceService.createKey(req.params.id, req.body);
+    res.status(201).json({
+      success: true,
+      key,
+      apiKey: secret,
+      warning: 'Store this key now - it cannot be shown again'
+    });
+  });
+
+  /**
+   * DELETE /api/workspaces/:id/keys/:keyId
+   * 
+   * Revokes the key. It stays listed (with revokedAt) for usage history.
+   */
+  router.delete('/:id/keys/:keyId', validateRoute('DELETE /api/workspaces/:id/keys/:keyId'), (req, res) => {
+    if (!managed(req, res)) return;
+
+    const key = workspaceService.revokeKey(req.params.id, req.params.keyId);
+    if (!key) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    res.json({ success: true, key });
+  });
+
+  return router;
+}
+
+module.exports = { createWorkspaceRoutes };
@@ -0,0 +1,486 @@
+const { getPlatformNames } = require('../adapters');
+const { getProviderNames } = require('../providers');
+const { MATCH_MODES } = require('../query/keyword-matcher');
+const { BATCH_MODES } = require('../services/intent.service');
+const { LEAD_STATUSES } = require('../services/lead.service');
+const { CHANNEL_TYPES } = require('../services/notification.service');
+const { BLOCK_TYPES } = require('../services/blocklist.service');
+const { JOB_STATUSES } = require('../services/job.service');
+const { GROUP_BY } = require('../services/usage.service');
+const { KEY_ROLES } = require('../services/workspace.service');
+
+/**
+ * API Schemas
+ * 
+ * One place for every request shape: component schemas (criteria,
+ * platform filters, aiOptions, ...) and the route table. The route table
+ * drives request validation, the OpenAPI document and the GET / endpoint
+ * list, so a route can't be added to one without the others.
+ * 
+ * Schemas are plain JSON Schema (the OpenAPI 3.1 dialect). Objects are
+ * closed - unknown properties are reported - unless they say otherwise.
+ */
+
+const LEVELS = ['HIGH', 'MEDIUM', 'LOW', 'NONE'];
+const ACTIONS = ['CONTACT_NOW', 'NURTURE', 'MONITOR', 'SKIP'];
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const object = (properties, extra = {}) => ({ type: 'object', properties, additionalProperties: false, ...extra });
+const strings = (description, extra = {}) => arrayOf({ type: 'string', minLength: 1 }, { description, ...extra });
+const keywords = description => arrayOf(ref('Keyword'), { description });
+const count = (description, minimum = 0) => ({ type: 'integer', minimum, description });
+const flag = description => ({ type: 'boolean', description });
+
+const components = {
+  Keyword: {
+    description: 'A search term, or { term, mode } to set its match mode',
+    oneOf: [
+      { type: 'string', minLength: 1 },
+      object({
+        term: { type: 'string', minLength: 1 },
+        mode: { type: 'string', enum: MATCH_MODES }
+      }, { required: ['term'] })
+    ]
+  },
+
+  TimeRange: object({
+    preset: { type: 'string', enum: ['hour', 'day', 'week', 'month', 'year'] },
+    from: { type: 'string', format: 'date-time', description: 'Only posts created after this date' }
+  }, { description: 'Either a preset or a start date (default: one week)' }),
+
+  RedditFilters: object({
+    subreddits: strings('Subreddits to search (default: all of Reddit)'),
+    excludeSubreddits: strings('Subreddits to drop results from'),
+    timeFilter: { type: 'string', enum: ['hour', 'day', 'week', 'month', 'year', 'all'] },
+    sortBy: { type: 'string', enum: ['relevance', 'hot', 'top', 'new', 'comments'] },
+    minScore: { type: 'integer', description: 'Minimum upvotes' },
+    includeComments: flag('Also search comments'),
+    expandThreads: flag('Fetch comment trees of matched posts'),
+    maxThreads: count('Threads to expand', 1),
+    maxDepth: count('Reply depth per thread', 1),
+    maxCommentsPerThread: count('Comments to fetch per thread', 1)
+  }),
+
+  HackerNewsFilters: object({
+    storyType: { type: 'string', enum: ['story', 'comment', 'ask_hn', 'show_hn'] },
+    excludeStoryTypes: arrayOf({ type: 'string', enum: ['story', 'comment', 'ask_hn', 'show_hn'] }),
+    sortBy: { type: 'string', enum: ['relevance', 'date'] },
+    minPoints: count('Minimum points'),
+    expandThreads: flag('Pull comment trees of matched stories'),
+    maxThreads: count('Stories to expand', 1),
+    maxDepth: count('Reply depth to walk', 1),
+    maxComments: count('Total comment budget', 1)
+  }),
+
+  StackOverflowFilters: object({
+    site: { type: 'string', minLength: 1, description: 'Stack Exchange site, e.g. softwarerecs' },
+    tags: strings('Questions must have all these tags'),
+    minScore: { type: 'integer' },
+    answered: flag('true = answered only, false = unanswered only'),
+    sortBy: { type: 'string', enum: ['relevance', 'votes', 'creation', 'activity'] }
+  }),
+
+  GitHubFilters: object({
+    type: { type: 'string', enum: ['issue', 'discussion', 'all'] },
+    repos: strings('owner/name'),
+    orgs: strings('Organisations or users'),
+    labels: strings('Required labels'),
+    state: { type: 'string', enum: ['open', 'closed'] },
+    minReactions: count('Minimum total reactions'),
+    sortBy: { type: 'string', enum: ['comments', 'reactions', 'created', 'updated'] }
+  }),
+
+  DevToFilters: object({
+    tags: strings('Tags to pull articles from', { maxItems: 5 }),
+    top: count('Most popular articles of the last N days', 1),
+    username: { type: 'string', minLength: 1 },
+    minReactions: count('Minimum reactions')
+  }),
+
+  ProductHuntFilters: object({
+    topics: strings('Topic slugs'),
+    includeComments: flag('Also match launch discussion comments'),
+    minVotes: count('Minimum votes'),
+    sortBy: { type: 'string', enum: ['newest', 'votes'] }
+  }),
+
+  PlatformFilters: object({
+    reddit: ref('RedditFilters'),
+    hackerNews: ref('HackerNewsFilters'),
+    stackoverflow: ref('StackOverflowFilters'),
+    github: ref('GitHubFilters'),
+    devto: ref('DevToFilters'),
+    productHunt: ref('ProductHuntFilters')
+  }),
+
+  Criteria: object({
+    keywords: keywords('Main search terms'),
+    query: { type: 'string', minLength: 1, description: 'Boolean query: AND, OR, NOT, "phrases", ( )' },
+    intentKeywords: keywords('Buying signals'),
+    painKeywords: keywords('Pain indicators'),
+    competitors: keywords('Competitor names'),
+    excludeKeywords: keywords('Drop posts matching any of these'),
+    excludeAuthors: strings('Drop posts by these usernames'),
+    matchMode: { type: 'string', enum: MATCH_MODES, description: 'Default keyword match mode (default: stem)' },
+    platformFilters: ref('PlatformFilters'),
+    timeRange: ref('TimeRange'),
+    maxResults: count('Max results (default: 25)', 1),
+    maxPages: count('Page cap per platform search (default: 3)', 1),
+    cursors: { type: 'object', additionalProperties: { type: 'string' }, description: 'Resume cursors by platform' },
+    cursor: { type: 'string', description: 'Resume cursor (single-platform search only)' },
+    dedupe: flag('Merge duplicates across platforms (default: true)')
+  }, { description: 'Either keywords or query is required' }),
+
+  Platforms: {
+    type: ['array', 'null'],
+    items: { type: 'string', enum: getPlatformNames() },
+    uniqueItems: true,
+    description: 'Platforms to search (default: all available)'
+  },
+
+  ProductContext: object({
+    productName: { type: 'string' },
+    productType: { type: 'string' },
+    problemsSolved: strings('Problems your product solves'),
+    competitors: strings('Your competitors')
+  }),
+
+  AIOptions: object({
+    productContext: ref('ProductContext'),
+    minRelevanceScore: { type: 'number', minimum: 0, maximum: 100, description: 'Min keyword score to AI-score (default: 30)' },
+    maxToScore: count('Max posts to send to AI (default: 20)'),
+    skipKnownLeads: flag('Skip posts already in the lead store'),
+    autoPushToCrm: flag('Push HIGH intent leads to Frappe CRM'),
+    provider: { type: 'string', enum: getProviderNames(), description: 'Default: AI_PROVIDER' },
+    forceRescore: flag('Ignore cached scores'),
+    batchMode: { type: 'string', enum: BATCH_MODES },
+    batchTokenBudget: count('Packed mode: max estimated input tokens per prompt', 1),
+    maxPostsPerBatch: count('Packed mode: max posts per prompt', 1),
+    enrichAuthors: flag('Fetch Reddit / HN author karma and account age')
+  }),
+
+  SearchRequest: object({
+    criteria: ref('Criteria'),
+    platforms: ref('Platforms')
+  }, { required: ['criteria'] }),
+
+  RankedSearchRequest: object({
+    criteria: ref('Criteria'),
+    platforms: ref('Platforms'),
+    skipKnownLeads: flag('Drop posts already in the lead store')
+  }, { required: ['criteria'] }),
+
+  AISearchRequest: object({
+    criteria: ref('Criteria'),
+    platforms: ref('Platforms'),
+    aiOptions: ref('AIOptions')
+  }, { required: ['criteria'] }),
+
+  JobRequest: object({
+    criteria: ref('Criteria'),
+    platforms: ref('Platforms'),
+    aiOptions: ref('AIOptions'),
+    callbackUrl: { type: ['string', 'null'], format: 'uri', description: 'POSTed the job when it finishes (public hosts only)' },
+    callbackSecret: { type: 'string', minLength: 8, description: 'HMAC key for the callback signature (default: generated)' }
+  }, { required: ['criteria'] }),
+
+  MonitorRequest: object({
+    name: { type: 'string', minLength: 1 },
+    criteria: ref('Criteria'),
+    platforms: ref('Platforms'),
+    aiOptions: ref('AIOptions'),
+    intervalMinutes: count('Minutes between runs (default: 60, min: 5)', 1),
+    enabled: flag('Default: true')
+  }, { required: ['criteria'] }),
+
+  MonitorUpdate: object({
+    name: { type: 'string', minLength: 1 },
+    criteria: ref('Criteria'),
+    platforms: ref('Platforms'),
+    aiOptions: ref('AIOptions'),
+    intervalMinutes: count('Minutes between runs (min: 5)', 1),
+    enabled: { type: 'boolean' },
+    resetCursor: flag('Forget which posts were already seen')
+  }),
+
+  LeadUpdate: object({
+    status: { type: 'string', enum: LEAD_STATUSES },
+    note: { type: 'string', minLength: 1 }
+  }),
+
+  NotificationRule: object({
+    levels: arrayOf({ type: 'string', enum: LEVELS }),
+    actions: arrayOf({ type: 'string', enum: ACTIONS }),
+    minScore: { type: ['integer', 'null'], minimum: 0, maximum: 100 }
+  }, { description: 'A post matches if its level, action or score matches. Omitted fields match nothing (no rule: HIGH or CONTACT_NOW)' }),
+
+  NotificationChannelRequest: object({
+    type: { type: 'string', enum: CHANNEL_TYPES },
+    url: { type: 'string', format: 'uri' },
+    name: { type: 'string' },
+    secret: { type: 'string', description: 'Webhook only - enables HMAC signing' },
+    workspaceId: { type: 'string', description: 'Workspace whose leads the channel gets (default: default)' },
+    rule: ref('NotificationRule'),
+    enabled: { type: 'boolean' }
+  }, { required: ['type', 'url'] }),
+
+  BlocklistRequest: object({
+    type: { type: 'string', enum: BLOCK_TYPES },
+    value: { type: 'string', minLength: 1 },
+    platform: { type: ['string', 'null'], enum: [...getPlatformNames(), null], description: 'Omit to match on every platform' },
+    reason: { type: ['string', 'null'] }
+  }, { required: ['type', 'value'] }),
+
+  Quotas: object({
+    searchesPerDay: { type: ['integer', 'null'], minimum: 0, description: 'null = QUOTA_SEARCHES_PER_DAY (key) or QUOTA_WORKSPACE_SEARCHES_PER_DAY (workspace)' },
+    aiPostsPerDay: { type: ['integer', 'null'], minimum: 0, description: 'null = QUOTA_AI_POSTS_PER_DAY (key) or QUOTA_WORKSPACE_AI_POSTS_PER_DAY (workspace)' }
+  }, { description: 'Daily limits: per key on a key, for all keys combined on a workspace. Only ADMIN_API_KEY may set them.' }),
+
+  CorsOrigins: arrayOf(
+    { type: 'string', pattern: '^(\\*|https?://[^/]+)$' },
+    { uniqueItems: true, description: 'Browser origins allowed to use this workspace\'s keys, e.g. https://app.example.com (* = any)' }
+  ),
+
+  WorkspaceRequest: object({
+    name: { type: 'string', minLength: 1 },
+    corsOrigins: ref('CorsOrigins'),
+    productContext: { oneOf: [ref('ProductContext'), { type: 'null' }], description: 'Used when a search brings no aiOptions.productContext' },
+    quotas: ref('Quotas')
+  }, { required: ['name'] }),
+
+  WorkspaceUpdate: object({
+    name: { type: 'string', minLength: 1 },
+    corsOrigins: ref('CorsOrigins'),
+    productContext: { oneOf: [ref('ProductContext'), { type: 'null' }] },
+    quotas: ref('Quotas')
+  }),
+
+  ApiKeyRequest: object({
+    name: { type: 'string', minLength: 1 },
+    role: { type: 'string', enum: KEY_ROLES, description: 'admin manages the workspace and its keys (default: member)' },
+    quotas: ref('Quotas')
+  }),
+
+  ValidationError: object({
+    success: { const: false },
+    error: { type: 'string', description: 'The first problem, as a sentence' },
+    errors: arrayOf(object({
+      path: { type: 'string', description: 'e.g. criteria.keywords[2].mode' },
+      message: { type: 'string' },
+      code: { type: 'string', description: 'type, enum, required, unknown_property, ...' }
+    }))
+  }),
+
+  Error: object({
+    success: { const: false },
+    error: { type: 'string' }
+  })
+};
+
+// Query strings carry text - numbers and booleans are coerced before checking
+const queryParams = (properties, required = []) => object(properties, { required });
+const idParam = description => object({ id: { type: 'string', description } }, { required: ['id'] });
+const leadDate = description => ({ type: 'string', format: 'date-time', description });
+const apiKeyParam = { apiKey: { type: 'string', description: 'API key, for clients that can\'t send headers' } };
+const SEARCH = ['searches'];
+const AI_SEARCH = ['searches', 'aiPosts'];
+
+/**
+ * Every route: method, Express path, summary (shown by GET /), tag,
+ * and the params / query / body schemas it is validated against.
+ * `status` is the success code when it isn't 200.
+ * 
+ * `access` is who may call it (see src/auth, default: workspace),
+ * `quota` the daily key quotas it uses, `queue` marks routes that add
+ * to the bounded job queue, and `keyInQuery` lets clients that can't
+ * send headers pass ?apiKey=.
+ */
+const ROUTES = [
+  { method: 'GET', path: '/', tag: 'Meta', access: 'public', summary: 'API info and endpoint list' },
+  { method: 'GET', path: '/api/health', tag: 'Meta', access: 'public', summary: 'Health check' },
+  { method: 'GET', path: '/api/platforms', tag: 'Meta', access: 'key', summary: 'List available platforms' },
+  { method: 'GET', path: '/api/openapi.json', tag: 'Meta', access: 'public', summary: 'OpenAPI 3 document for this API' },
+  { method: 'GET', path: '/api/docs', tag: 'Meta', access: 'public', summary: 'Interactive API docs' },
+
+  { method: 'POST', path: '/api/search', tag: 'Search', summary: 'Search across platforms', body: ref('SearchRequest'), quota: SEARCH },
+  {
+    method: 'POST', path: '/api/search/ranked', tag: 'Search',
+    summary: 'Search and get ranked results (?format=json|csv|ndjson)',
+    query: queryParams({ format: { type: 'string', description: 'json (default), csv or ndjson - or use Accept' } }),
+    body: ref('RankedSearchRequest'),
+    quota: SEARCH
+  },
+  {
+    method: 'POST', path: '/api/search/ai', tag: 'Search',
+    summary: '🤖 Search with AI intent scoring (?format=json|csv|ndjson)',
+    query: queryParams({ format: { type: 'string', description: 'json (default), csv or ndjson - or use Accept' } }),
+    body: ref('AISearchRequest'),
+    quota: AI_SEARCH
+  },
+  {
+    method: 'GET', path: '/api/search/ai/stream', tag: 'Search',
+    summary: '🤖 AI search as Server-Sent Events (EventSource, JSON query params)',
+    query: queryParams({
+      criteria: { type: 'string', description: 'JSON-encoded criteria' },
+      platforms: { type: 'string', description: 'reddit,hackernews or a JSON array' },
+      aiOptions: { type: 'string', description: 'JSON-encoded aiOptions' },
+      ...apiKeyParam
+    }, ['criteria']),
+    stream: true,
+    quota: AI_SEARCH,
+    keyInQuery: true
+  },
+  {
+    method: 'POST', path: '/api/search/ai/stream', tag: 'Search',
+    summary: '🤖 AI search as Server-Sent Events',
+    body: ref('AISearchRequest'),
+    stream: true,
+    quota: AI_SEARCH
+  },
+  {
+    method: 'POST', path: '/api/search/:platform', tag: 'Search', summary: 'Search specific platform',
+    params: object({ platform: { type: 'string', enum: getPlatformNames() } }, { required: ['platform'] }),
+    body: ref('Criteria'),
+    quota: SEARCH
+  },
+
+  {
+    method: 'GET', path: '/api/jobs', tag: 'Jobs', summary: 'List background search jobs',
+    query: queryParams({ status: { type: 'string', enum: JOB_STATUSES } })
+  },
+  {
+    method: 'POST', path: '/api/jobs', tag: 'Jobs', status: 202,
+    summary: 'Queue an AI search (same body as /api/search/ai, optional callbackUrl)',
+    body: ref('JobRequest'),
+    quota: AI_SEARCH,
+    queue: true
+  },
+  { method: 'GET', path: '/api/jobs/:id', tag: 'Jobs', summary: 'Job status, progress and result', params: idParam('Job id') },
+  { method: 'DELETE', path: '/api/jobs/:id', tag: 'Jobs', summary: 'Cancel a job (or delete a finished one)', params: idParam('Job id') },
+
+  { method: 'GET', path: '/api/monitors', tag: 'Monitors', summary: 'List saved monitors' },
+  { method: 'POST', path: '/api/monitors', tag: 'Monitors', status: 201, summary: 'Create a scheduled monitor', body: ref('MonitorRequest') },
+  { method: 'GET', path: '/api/monitors/:id', tag: 'Monitors', summary: 'Get monitor with last run results', params: idParam('Monitor id') },
+  { method: 'PATCH', path: '/api/monitors/:id', tag: 'Monitors', summary: 'Update a monitor', params: idParam('Monitor id'), body: ref('MonitorUpdate') },
+  { method: 'DELETE', path: '/api/monitors/:id', tag: 'Monitors', summary: 'Delete a monitor', params: idParam('Monitor id') },
+  {
+    method: 'GET', path: '/api/monitors/:id/feed', tag: 'Monitors',
+    summary: 'Atom/RSS feed of new high-intent posts (?format=atom|rss&level=&minScore=)',
+    params: idParam('Monitor id'),
+    query: queryParams({
+      format: { type: 'string', description: 'atom (default) or rss - or use Accept' },
+      level: { type: 'string', description: 'Comma list of levels (default: HIGH)' },
+      minScore: { type: 'integer', minimum: 0, maximum: 100 },
+      ...apiKeyParam
+    }),
+    feed: true,
+    keyInQuery: true
+  },
+  { method: 'POST', path: '/api/monitors/:id/run', tag: 'Monitors', summary: 'Run a monitor now (new posts only)', params: idParam('Monitor id'), quota: AI_SEARCH },
+
+  {
+    method: 'GET', path: '/api/leads', tag: 'Leads',
+    summary: 'List stored leads (filter by level, platform, status, date; ?format=json|csv|ndjson)',
+    query: queryParams({
+      level: { type: 'string', enum: [...LEVELS, ...LEVELS.map(level => level.toLowerCase())] },
+      platform: { type: 'string', enum: getPlatformNames() },
+      status: { type: 'string', enum: LEAD_STATUSES },
+      since: leadDate('Last seen on or after'),
+      until: leadDate('Last seen on or before'),
+      limit: { type: 'integer', minimum: 1, maximum: 500 },
+      offset: { type: 'integer', minimum: 0 },
+      format: { type: 'string', description: 'json (default), csv or ndjson - or use Accept' }
+    })
+  },
+  {
+    method: 'GET', path: '/api/leads/feed', tag: 'Leads',
+    summary: 'Atom/RSS feed of high-intent leads (?format=atom|rss&level=&minScore=&platform=&status=)',
+    query: queryParams({
+      format: { type: 'string', description: 'atom (default) or rss - or use Accept' },
+      level: { type: 'string', description: 'Comma list of levels (default: HIGH)' },
+      minScore: { type: 'integer', minimum: 0, maximum: 100 },
+      platform: { type: 'string', enum: getPlatformNames() },
+      status: { type: 'string', enum: LEAD_STATUSES },
+      ...apiKeyParam
+    }),
+    feed: true,
+    keyInQuery: true
+  },
+  {
+    method: 'GET', path: '/api/leads/authors', tag: 'Leads',
+    summary: 'Leads grouped by author with a combined intent score (?platform=&status=&since=&minPosts=&enrich=true)',
+    query: queryParams({
+      platform: { type: 'string', enum: getPlatformNames() },
+      status: { type: 'string', enum: LEAD_STATUSES },
+      since: leadDate('Found on or after'),
+      minPosts: { type: 'integer', minimum: 1 },
+      limit: { type: 'integer', minimum: 1 },
+      enrich: flag('Fetch missing Reddit / HN profiles of the returned authors (max 25 per request)')
+    })
+  },
+  { method: 'GET', path: '/api/leads/:id', tag: 'Leads', summary: 'Get a lead with intent history', params: idParam('platform:postId, e.g. reddit:abc123') },
+  { method: 'PATCH', path: '/api/leads/:id', tag: 'Leads', summary: 'Update lead status / add a note', params: idParam('platform:postId'), body: ref('LeadUpdate') },
+  { method: 'POST', path: '/api/leads/:id/push', tag: 'Leads', summary: 'Push a lead to Frappe CRM', params: idParam('platform:postId') },
+
+  { method: 'GET', path: '/api/notifications/channels', tag: 'Notifications', access: 'root', summary: 'List webhook / Slack channels' },
+  {
+    method: 'POST', path: '/api/notifications/channels', tag: 'Notifications', access: 'root', status: 201,
+    summary: 'Add a webhook / Slack channel', body: ref('NotificationChannelRequest')
+  },
+  { method: 'DELETE', path: '/api/notifications/channels/:id', tag: 'Notifications', access: 'root', summary: 'Remove a channel', params: idParam('Channel id') },
+  { method: 'POST', path: '/api/notifications/channels/:id/test', tag: 'Notifications', access: 'root', summary: 'Send a test notification', params: idParam('Channel id') },
+  {
+    method: 'GET', path: '/api/notifications/deliveries', tag: 'Notifications', access: 'root', summary: 'Delivery log',
+    query: queryParams({
+      channelId: { type: 'string' },
+      limit: { type: 'integer', minimum: 1, maximum: 500 }
+    })
+  },
+
+  {
+    method: 'GET', path: '/api/blocklist', tag: 'Blocklist', summary: 'List global blocklist entries',
+    query: queryParams({
+      type: { type: 'string', enum: BLOCK_TYPES },
+      platform: { type: 'string', enum: getPlatformNames() }
+    })
+  },
+  { method: 'POST', path: '/api/blocklist', tag: 'Blocklist', access: 'root', status: 201, summary: 'Block an author, subreddit or keyword', body: ref('BlocklistRequest') },
+  { method: 'DELETE', path: '/api/blocklist/:id', tag: 'Blocklist', access: 'root', summary: 'Remove a blocklist entry', params: idParam('Entry id') },
+
+  {
+    method: 'GET', path: '/api/usage', tag: 'Usage', access: 'key',
+    summary: 'AI token usage, cost and budget (by day, workspace, monitor, API key or model)',
+    query: queryParams({
+      groupBy: { type: 'string', enum: GROUP_BY },
+      from: { type: 'string', format: 'date', description: 'YYYY-MM-DD, inclusive' },
+      to: { type: 'string', format: 'date', description: 'YYYY-MM-DD, inclusive' },
+      monitorId: { type: 'string' },
+      apiKeyId: { type: 'string' },
+      workspaceId: { type: 'string', description: 'ADMIN_API_KEY only - workspace keys always see their own' }
+    })
+  },
+
+  { method: 'GET', path: '/api/me', tag: 'Workspaces', access: 'key', summary: 'The calling key, its workspace and today\'s quota' },
+  { method: 'GET', path: '/api/workspaces', tag: 'Workspaces', access: 'admin', summary: 'List workspaces (admin keys see their own)' },
+  { method: 'POST', path: '/api/workspaces', tag: 'Workspaces', access: 'root', status: 201, summary: 'Create a workspace', body: ref('WorkspaceRequest') },
+  { method: 'GET', path: '/api/workspaces/:id', tag: 'Workspaces', access: 'admin', summary: 'Get a workspace', params: idParam('Workspace id') },
+  {
+    method: 'PATCH', path: '/api/workspaces/:id', tag: 'Workspaces', access: 'admin',
+    summary: 'Update a workspace (name, CORS origins, product context; quotas need ADMIN_API_KEY)',
+    params: idParam('Workspace id'), body: ref('WorkspaceUpdate')
+  },
+  { method: 'DELETE', path: '/api/workspaces/:id', tag: 'Workspaces', access: 'root', summary: 'Delete a workspace with its keys, monitors and leads', params: idParam('Workspace id') },
+  { method: 'GET', path: '/api/workspaces/:id/keys', tag: 'Workspaces', access: 'admin', summary: 'List a workspace\'s API keys', params: idParam('Workspace id') },
+  {
+    method: 'POST', path: '/api/workspaces/:id/keys', tag: 'Workspaces', access: 'admin', status: 201,
+    summary: 'Create an API key (the key is only shown in this response)',
+    params: idParam('Workspace id'), body: ref('ApiKeyRequest')
+  },
+  {
+    method: 'DELETE', path: '/api/workspaces/:id/keys/:keyId', tag: 'Workspaces', access: 'admin', summary: 'Revoke an API key',
+    params: object({ id: { type: 'string', description: 'Workspace id' }, keyId: { type: 'string', description: 'Key id' } }, { required: ['id', 'keyId'] })
+  }
+];
+
+module.exports = { components, ROUTES, LEVELS };
@@ -0,0 +1,112 @@
+const { validate } = require('./validator');
+const { components, ROUTES } = require('./api.schemas');
+const { API_VERSION, buildOpenApiDocument, renderDocsPage } = require('./openapi');
+
+const UNKNOWN_MODES = ['reject', 'warn'];
+
+/**
+ * Request validation
+ * 
+ * Routes opt in with validateRoute('METHOD /path'), naming their entry
+ * in the route table. Failures answer 400 with every problem found:
+ * { success: false, error: "<first message>", errors: [{ path, message, code }] }
+ * 
+ * Unknown properties are rejected by default. With UNKNOWN_PROPERTIES=warn
+ * they are let through, logged and echoed in Warning response headers.
+ */
+function unknownPropertyMode() {
+  const mode = process.env.UNKNOWN_PROPERTIES || 'reject';
+  return UNKNOWN_MODES.includes(mode) ? mode : 'reject';
+}
+
+// Literal paths first, so /api/leads/feed wins over /api/leads/:id
+const ROUTE_PATTERNS = ROUTES
+  .map(route => ({
+    route,
+    params: (route.path.match(/:/g) || []).length,
+    pattern: new RegExp(`^${route.path.replace(/\./g, '\\.').replace(/:\w+/g, '[^/]+')}/?$`, 'i')
+  }))
+  .sort((a, b) => a.params - b.params);
+
+function findRoute(key) {
+  const route = ROUTES.find(r => `${r.method} ${r.path}` === key);
+  if (!route) throw new Error(`No route "${key}" in api.schemas.js`);
+  return route;
+}
+
+/**
+ * Check one value against a schema
+ * 
+ * @param {Object} options - { path, coerce } (see validator.validate)
+ * @returns {{errors: Array, warnings: Array}}
+ */
+function checkInput(schema, value, options = {}) {
+  const { errors, unknown } = validate(schema, value, { ...options, components });
+  return unknownPropertyMode() === 'warn'
+    ? { errors, warnings: unknown }
+    : { errors: [...errors, ...unknown], warnings: [] };
+}
+
+function sendValidationErrors(res, errors) {
+  return res.status(400).json({ success: false, error: errors[0].message, errors });
+}
+
+function sendWarnings(req, res, warnings) {
+  for (const warning of warnings) {
+    console.warn(`[Validation] ${req.method} ${req.originalUrl}: ${warning.message}`);
+    res.append('Warning', `299 - "${warning.message.replace(/"/g, "'")}"`);
+  }
+}
+
+/**
+ * Express middleware validating params, query and body for a route
+ * 
+ * @param {string} key - "METHOD /path" exactly as in the route table
+ */
+function validateRoute(key) {
+  const route = findRoute(key);
+
+  return (req, res, next) => {
+    const checks = [
+      route.params && checkInput(route.params, req.params),
+      route.query && checkInput(route.query, req.query, { coerce: true }),
+      route.body && checkInput(route.body, req.body ?? {})
+    ].filter(Boolean);
+
+    const errors = checks.flatMap(check => check.errors);
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    sendWarnings(req, res, checks.flatMap(check => check.warnings));
+    next();
+  };
+}
+
+/**
+ * Route table entry for a request, or null for unknown paths
+ */
+function matchRoute(method, path) {
+  const wanted = method === 'HEAD' ? 'GET' : method;
+  const match = ROUTE_PATTERNS.find(({ route, pattern }) => route.method === wanted && pattern.test(path));
+  return match ? match.route : null;
+}
+
+/**
+ * The GET / endpoint list: "METHOD /path" -> summary
+ */
+function endpointList() {
+  return Object.fromEntries(ROUTES.map(route => [`${route.method} ${route.path}`, route.summary]));
+}
+
+module.exports = {
+  API_VERSION,
+  ROUTES,
+  components,
+  checkInput,
+  sendValidationErrors,
+  sendWarnings,
+  validateRoute,
+  matchRoute,
+  endpointList,
+  buildOpenApiDocument,
+  renderDocsPage
+};
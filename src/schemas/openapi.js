@@ -0,0 +1,145 @@
+const { components, ROUTES } = require('./api.schemas');
+
+const API_VERSION = '1.1.0';
+
+/**
+ * OpenAPI document
+ * 
+ * Built from the same route table and schemas that validate requests,
+ * so the spec can't drift from what the server accepts.
+ * 
+ * @param {string} serverUrl - Base URL the docs page should call
+ */
+function buildOpenApiDocument(serverUrl) {
+  const paths = {};
+
+  for (const route of ROUTES) {
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    paths[path] = paths[path] || {};
+    paths[path][route.method.toLowerCase()] = buildOperation(route);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Social Listening Lead Generation API',
+      version: API_VERSION,
+      description: 'Find people with buying intent on Reddit, Hacker News, Stack Overflow, GitHub, Dev.to and Product Hunt.'
+    },
+    servers: [{ url: serverUrl }],
+    tags: [...new Set(ROUTES.map(route => route.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas: components,
+      securitySchemes: {
+        ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        Bearer: { type: 'http', scheme: 'bearer', description: 'The same API key as a bearer token' },
+        ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'apiKey', description: 'Feeds and EventSource only' }
+      }
+    },
+    security: [{ ApiKey: [] }, { Bearer: [] }]
+  };
+}
+
+function buildOperation(route) {
+  const parameters = [
+    ...toParameters(route.params, 'path'),
+    ...toParameters(route.query, 'query')
+  ];
+
+  const operation = {
+    tags: [route.tag],
+    summary: route.summary,
+    operationId: operationId(route),
+    ...(parameters.length ? { parameters } : {}),
+    ...(route.access === 'public' ? { security: [] } : {}),
+    ...(route.keyInQuery ? { security: [{ ApiKey: [] }, { Bearer: [] }, { ApiKeyQuery: [] }] } : {}),
+    ...(route.body ? { requestBody: { required: true, content: { 'application/json': { schema: route.body } } } } : {}),
+    responses: {
+      [route.status || 200]: { description: 'Success', content: successContent(route) }
+    }
+  };
+
+  if (route.body || route.query || route.params) {
+    operation.responses[400] = jsonResponse('Invalid input', 'ValidationError');
+  }
+  if (route.params?.properties.id) {
+    operation.responses[404] = jsonResponse('Not found', 'Error');
+  }
+  if (route.access !== 'public') {
+    operation.responses[401] = jsonResponse('Missing, invalid or revoked API key', 'Error');
+    operation.responses[403] = jsonResponse('Key not allowed here (role, admin key or browser origin)', 'Error');
+  }
+  if (route.quota) {
+    operation.responses[429] = jsonResponse(`Daily ${route.quota.join(' / ')} quota used up (see Retry-After)`, 'Error');
+  }
+  if (route.queue) {
+    const quotaUsedUp = route.quota ? `Daily ${route.quota.join(' / ')} quota used up, or too` : 'Too';
+    operation.responses[429] = jsonResponse(`${quotaUsedUp} many pending jobs in this workspace (see Retry-After)`, 'Error');
+    operation.responses[503] = jsonResponse('Job queue full (see Retry-After)', 'Error');
+  }
+
+  return operation;
+}
+
+function toParameters(schema, location) {
+  if (!schema) return [];
+  return Object.entries(schema.properties).map(([name, property]) => {
+    const { description, ...rest } = property;
+    return {
+      name,
+      in: location,
+      required: location === 'path' || (schema.required || []).includes(name),
+      ...(description ? { description } : {}),
+      schema: rest
+    };
+  });
+}
+
+function successContent(route) {
+  if (route.stream) return { 'text/event-stream': { schema: { type: 'string' } } };
+  if (route.feed) {
+    return {
+      'application/atom+xml': { schema: { type: 'string' } },
+      'application/rss+xml': { schema: { type: 'string' } }
+    };
+  }
+  if (route.path === '/api/docs') return { 'text/html': { schema: { type: 'string' } } };
+  return { 'application/json': { schema: { type: 'object' } } };
+}
+
+function jsonResponse(description, schemaName) {
+  return { description, content: { 'application/json': { schema: { $ref: `#/components/schemas/${schemaName}` } } } };
+}
+
+/**
+ * "POST /api/leads/:id/push" -> "postLeadsIdPush"
+ */
+function operationId(route) {
+  const words = route.path.replace(/^\/api/, '').split(/[/:._-]+/).filter(Boolean);
+  return route.method.toLowerCase() + (words.length ? words : ['root']).map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+/**
+ * Interactive docs page (Swagger UI, loaded from a CDN)
+ */
+function renderDocsPage(specUrl) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Social Listening API docs</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#docs', deepLinking: true, tryItOutEnabled: true });
+  </script>
+</body>
+</html>
+`;
+}
+
+module.exports = { API_VERSION, buildOpenApiDocument, renderDocsPage };
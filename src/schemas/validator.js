@@ -0,0 +1,248 @@
+const { editDistance } = require('../query/keyword-matcher');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Schema Validator
+ * 
+ * Validates request input against the JSON Schema subset used in
+ * api.schemas.js: type (or a list of types), enum, const, minimum,
+ * maximum, minLength, maxLength, pattern, format (date, date-time, uri),
+ * minItems, maxItems, uniqueItems, items, properties, required,
+ * additionalProperties, oneOf and $ref to #/components/schemas.
+ * 
+ * Errors are field-level: { path, message, code }, with paths like
+ * "criteria.keywords[2].mode". Unknown properties are reported separately
+ * so the caller can reject them or only warn, and come with a "did you
+ * mean" hint when a known property is a typo away.
+ */
+
+/**
+ * @param {Object} schema
+ * @param {*} value
+ * @param {Object} options
+ * @param {string} options.path - Name of the value in messages (e.g. "criteria")
+ * @param {Object} options.components - Schemas that $refs point at
+ * @param {boolean} options.coerce - Value comes from a query string: accept
+ *   "12" for numbers and "true"/"false" for booleans
+ * @returns {{errors: Array, unknown: Array}}
+ */
+function validate(schema, value, { path = '', components = {}, coerce = false } = {}) {
+  const result = { errors: [], unknown: [] };
+  check(schema, value, path, { components, coerce, result });
+  return result;
+}
+
+function check(schema, value, path, context) {
+  schema = resolve(schema, context.components);
+  const { result } = context;
+  const fail = (code, message) => {
+    result.errors.push({ path: path || '(body)', message: `${path || 'Body'} ${message}`, code });
+  };
+
+  if (schema.oneOf) {
+    return checkOneOf(schema, value, path, context);
+  }
+
+  if (context.coerce) value = coerceValue(schema, value);
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    return fail('type', `must be ${describeType(schema.type)}`);
+  }
+  if (value === null || value === undefined) return;
+
+  if (schema.const !== undefined && value !== schema.const) {
+    return fail('const', `must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail('enum', `must be one of: ${schema.enum.filter(v => v !== null).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      fail('minLength', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('maxLength', `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail('pattern', `must match ${schema.pattern}`);
+    }
+    if (schema.format && !matchesFormat(schema.format, value)) {
+      fail('format', formatMessage(schema.format));
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      fail('uniqueItems', 'must not contain duplicates');
+    }
+    if (schema.items) {
+      value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, context));
+    }
+  }
+
+  if (isObject(value) && (schema.properties || schema.additionalProperties !== undefined)) {
+    checkObject(schema, value, path, context, fail);
+  }
+}
+
+function checkObject(schema, value, path, context, fail) {
+  const properties = schema.properties || {};
+  const join = key => (path ? `${path}.${key}` : key);
+
+  for (const key of schema.required || []) {
+    if (value[key] === undefined) {
+      context.result.errors.push({ path: join(key), message: `${join(key)} is required`, code: 'required' });
+    }
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) continue;
+    if (properties[key]) {
+      check(properties[key], item, join(key), context);
+    } else if (isObject(schema.additionalProperties)) {
+      check(schema.additionalProperties, item, join(key), context);
+    } else if (schema.additionalProperties === false) {
+      const hint = suggest(key, Object.keys(properties));
+      context.result.unknown.push({
+        path: join(key),
+        message: `${join(key)} is not a known property${hint ? ` (did you mean ${hint}?)` : ''}`,
+        code: 'unknown_property'
+      });
+    }
+  }
+
+  if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+    fail('minProperties', 'must not be empty');
+  }
+}
+
+/**
+ * Passes when any branch passes. On failure, report the branch whose type
+ * fits the value (a { term } object with a bad mode says so), else a type error.
+ */
+function checkOneOf(schema, value, path, context) {
+  const attempts = schema.oneOf.map(branch => {
+    const attempt = { errors: [], unknown: [] };
+    check(branch, value, path, { ...context, result: attempt });
+    return { branch: resolve(branch, context.components), attempt };
+  });
+
+  const passed = attempts.find(({ attempt }) => attempt.errors.length === 0);
+  if (passed) {
+    context.result.unknown.push(...passed.attempt.unknown);
+    return;
+  }
+
+  const typed = attempts.find(({ branch }) => branch.type && matchesType(branch.type, value));
+  if (typed) {
+    context.result.errors.push(...typed.attempt.errors);
+    context.result.unknown.push(...typed.attempt.unknown);
+    return;
+  }
+
+  const types = attempts.map(({ branch }) => branch.type).filter(Boolean).flat();
+  context.result.errors.push({
+    path: path || '(body)',
+    message: `${path || 'Body'} must be ${describeType([...new Set(types)])}`,
+    code: 'type'
+  });
+}
+
+function resolve(schema, components) {
+  if (!schema.$ref) return schema;
+  const name = schema.$ref.replace('#/components/schemas/', '');
+  if (!components[name]) throw new Error(`Unknown schema reference: ${schema.$ref}`);
+  return components[name];
+}
+
+function coerceValue(schema, value) {
+  if (typeof value !== 'string') return value;
+  const types = [].concat(schema.type || []);
+
+  if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+function matchesType(type, value) {
+  return [].concat(type).some(t => {
+    switch (t) {
+      case 'null': return value === null;
+      case 'array': return Array.isArray(value);
+      case 'object': return isObject(value);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      default: return typeof value === t;
+    }
+  });
+}
+
+function describeType(type) {
+  const names = { string: 'a string', number: 'a number', integer: 'an integer', boolean: 'a boolean', array: 'an array', object: 'an object', null: 'null' };
+  return [].concat(type).map(t => names[t] || t).join(' or ');
+}
+
+function matchesFormat(format, value) {
+  switch (format) {
+    case 'date': return DATE_PATTERN.test(value) && !Number.isNaN(new Date(value).getTime());
+    case 'date-time': return !Number.isNaN(new Date(value).getTime());
+    case 'uri':
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+      } catch (error) {
+        return false;
+      }
+    default: return true;
+  }
+}
+
+function formatMessage(format) {
+  return {
+    date: 'must be a date (YYYY-MM-DD)',
+    'date-time': 'must be an ISO date',
+    uri: 'must be an http(s) URL'
+  }[format] || `must be a valid ${format}`;
+}
+
+/**
+ * Closest known property name for a typo, or null
+ */
+function suggest(key, known) {
+  const lower = key.toLowerCase();
+  const exact = known.find(name => name.toLowerCase() === lower);
+  if (exact) return exact;
+
+  let best = null;
+  let bestDistance = 3;
+  for (const name of known) {
+    const distance = editDistance(lower, name.toLowerCase(), 2);
+    if (distance < bestDistance) {
+      best = name;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = { validate };
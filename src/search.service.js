@@ -1,5 +1,15 @@
-const { getAdapter, getAllAdapters, getPlatformNames, getPlatformInfo } = require('./adapters');
-const { intentScoringService } = require('./services/intent.service');
+const { getAdapter, getAllAdapters, getAvailablePlatformNames, getPlatformInfo } = require('./adapters');
+const { intentScoringService, BATCH_MODES } = require('./services/intent.service');
+const { leadService } = require('./services/lead.service');
+const { crmSyncService } = require('./services/crm.service');
+const { notificationService } = require('./services/notification.service');
+const { scoreCacheService } = require('./services/score-cache.service');
+const { usageService } = require('./services/usage.service');
+const { quotaService } = require('./services/quota.service');
+const { authorService } = require('./services/author.service');
+const { dedupService } = require('./services/dedup.service');
+const { parseQuery, positiveTerms } = require('./query/boolean-query');
+const { compileKeyword, keywordTerm, MATCH_MODES } = require('./query/keyword-matcher');
 
 /**
  * Search Service
@@ -8,33 +18,125 @@ const { intentScoringService } = require('./services/intent.service');
  * Handles parallel execution, result aggregation, and AI scoring.
  */
 class SearchService {
-  
+
   /**
-   * Search across specified platforms (or all if not specified)
+   * Validate search criteria
+   * 
+   * @returns {string|null} Error message, or null when valid
+   */
+  validateCriteria(criteria) {
+    if (!criteria?.keywords?.length && !criteria?.query) {
+      return 'criteria.keywords or criteria.query is required';
+    }
+
+    if (criteria.query) {
+      try {
+        parseQuery(criteria.query);
+      } catch (error) {
+        return `Invalid criteria.query: ${error.message}`;
+      }
+    }
+
+    if (criteria.matchMode && !MATCH_MODES.includes(criteria.matchMode)) {
+      return `Invalid criteria.matchMode: ${criteria.matchMode}. Use: ${MATCH_MODES.join(', ')}`;
+    }
+
+    // Keywords may be strings or { term, mode } - compile them to catch bad modes/regexes
+    for (const field of ['keywords', 'intentKeywords', 'painKeywords', 'competitors', 'excludeKeywords']) {
+      if (criteria[field] === undefined) continue;
+      if (!Array.isArray(criteria[field])) {
+        return `criteria.${field} must be an array`;
+      }
+      for (const keyword of criteria[field]) {
+        try {
+          compileKeyword(keyword, criteria.matchMode);
+        } catch (error) {
+          return `Invalid criteria.${field} entry: ${error.message}`;
+        }
+      }
+    }
+
+    if (criteria.dedupe !== undefined && typeof criteria.dedupe !== 'boolean') {
+      return 'criteria.dedupe must be a boolean';
+    }
+
+    if (criteria.excludeAuthors !== undefined && !Array.isArray(criteria.excludeAuthors)) {
+      return 'criteria.excludeAuthors must be an array';
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse criteria.query once and derive keywords from it when none are given
+   */
+  prepareCriteria(criteria) {
+    if (!criteria.query || criteria.queryAst) return criteria;
+
+    const queryAst = parseQuery(criteria.query);
+    return {
+      ...criteria,
+      queryAst,
+      keywords: criteria.keywords?.length ? criteria.keywords : positiveTerms(queryAst)
+    };
+  }
+
+  /**
+   * Hand a bare criteria.cursor to the one platform being searched. With
+   * several platforms it can't say whose cursor it is, so it's dropped
+   * (with a warning) and only criteria.cursors applies.
+   */
+  resolveCursor(criteria, platforms) {
+    if (!criteria.cursor) return criteria;
+
+    const { cursor, ...rest } = criteria;
+    if (platforms.length !== 1) {
+      console.warn(`⚠️ Ignoring criteria.cursor for a ${platforms.length}-platform search - use criteria.cursors`);
+      return rest;
+    }
+    return { ...rest, cursors: { [platforms[0]]: cursor, ...criteria.cursors } };
+  }
+
+  /**
+   * Search across specified platforms (or all available if not specified)
+   * 
+   * @param {Object} options
+   * @param {Function} options.onProgress - Called as ('start', { platforms }), then
+   *   ('platform', result) as each adapter finishes
+   * @param {boolean} options.splitMaxResults - Share criteria.maxResults between
+   *   the platforms instead of giving each the full amount
    */
   async search(criteria, platforms = null, options = {}) {
-    const targetPlatforms = platforms || getPlatformNames();
+    const targetPlatforms = platforms || getAvailablePlatformNames();
+    criteria = this.resolveCursor(this.prepareCriteria(criteria), targetPlatforms);
     
     console.log(`\n🔍 Starting search across: ${targetPlatforms.join(', ')}`);
-    console.log(`   Keywords: ${criteria.keywords?.join(', ')}`);
+    console.log(criteria.query ? `   Query: ${criteria.query}` : `   Keywords: ${criteria.keywords?.map(keywordTerm).join(', ')}`);
     
     const results = [];
     const errors = [];
+    options.onProgress?.('start', { platforms: targetPlatforms });
 
     // Search each platform in parallel
-    const searchPromises = targetPlatforms.map(async (platform) => {
+    const searchPromises = targetPlatforms.map(async (platform, index) => {
       const adapter = getAdapter(platform);
       
       if (!adapter) {
         errors.push({ platform, error: `Unknown platform: ${platform}` });
+        options.onProgress?.('platform', { platform, success: false, posts: [], error: `Unknown platform: ${platform}` });
         return null;
       }
 
       try {
-        const result = await adapter.search(criteria);
+        const platformCriteria = options.splitMaxResults
+          ? { ...criteria, maxResults: this.maxResultsShare(criteria.maxResults, targetPlatforms.length, index) }
+          : criteria;
+        const result = await adapter.search(platformCriteria);
+        options.onProgress?.('platform', result);
         return result;
       } catch (error) {
         errors.push({ platform, error: error.message });
+        options.onProgress?.('platform', { platform, success: false, posts: [], error: error.message });
         return null;
       }
     });
@@ -47,32 +149,89 @@ class SearchService {
     }
 
     const totalPosts = results.reduce((sum, r) => sum + r.posts.length, 0);
+    const filteredOut = this.summarizeFilteredOut(results);
     
-    console.log(`✅ Search complete: ${totalPosts} posts from ${results.length} platforms\n`);
+    console.log(`✅ Search complete: ${totalPosts} posts from ${results.length} platforms${filteredOut.total ? ` (${filteredOut.total} excluded)` : ''}\n`);
 
     return {
       success: errors.length === 0,
       platforms: targetPlatforms,
       results,
       totalPosts,
+      filteredOut,
       searchedAt: new Date().toISOString(),
       errors
     };
   }
 
+  /**
+   * One platform's part of maxResults: an even split with the remainder
+   * going to the first platforms, at least one each
+   */
+  maxResultsShare(maxResults, platformCount, index) {
+    if (!maxResults || platformCount <= 1) return maxResults;
+
+    const share = Math.floor(maxResults / platformCount) + (index < maxResults % platformCount ? 1 : 0);
+    return Math.max(share, 1);
+  }
+
+  /**
+   * Combine per-platform exclusion counts: { total, byReason, byPlatform }
+   */
+  summarizeFilteredOut(results) {
+    const summary = { total: 0, byReason: {}, byPlatform: {} };
+
+    for (const result of results) {
+      for (const [reason, count] of Object.entries(result.filteredOut || {})) {
+        summary.total += count;
+        summary.byReason[reason] = (summary.byReason[reason] || 0) + count;
+        summary.byPlatform[result.platform] = (summary.byPlatform[result.platform] || 0) + count;
+      }
+    }
+
+    return summary;
+  }
+
   /**
    * Search and return merged, ranked results
+   * 
+   * @param {Object} options
+   * @param {boolean} options.skipKnownLeads - Drop posts already in the lead store
+   * @param {LeadService} options.leadService - Lead store to check (default: the shared one)
+   * @param {Function} options.onProgress - See search()
    */
-  async searchRanked(criteria, platforms = null) {
-    const result = await this.search(criteria, platforms);
+  async searchRanked(criteria, platforms = null, options = {}) {
+    const leads = options.leadService || leadService;
+    // Each platform fetches its share of maxResults, so the merged list
+    // fits and cutting it can't skip posts a cursor has moved past
+    const result = await this.search(criteria, platforms, { onProgress: options.onProgress, splitMaxResults: true });
     
     // Merge all posts
-    const allPosts = [];
+    let allPosts = [];
     const byPlatform = {};
+    const nextCursors = {};
     
     for (const platformResult of result.results) {
       allPosts.push(...platformResult.posts);
       byPlatform[platformResult.platform] = platformResult.posts.length;
+      if (platformResult.nextCursor) {
+        nextCursors[platformResult.platform] = platformResult.nextCursor;
+      }
+    }
+
+    // Collapse crossposts and the same story found on several platforms
+    let deduplication = { enabled: false, collapsed: 0 };
+    if (criteria.dedupe !== false) {
+      const deduped = dedupService.dedupe(allPosts);
+      allPosts = deduped.posts;
+      deduplication = { enabled: true, ...deduped.stats };
+    }
+
+    // Mark (or drop) posts we already have as leads
+    allPosts = leads.markKnown(allPosts);
+    const knownLeads = allPosts.filter(p => p.lead.known).length;
+    if (options.skipKnownLeads) {
+      allPosts = allPosts.filter(p => !p.lead.known);
     }
 
     // Sort by relevance score (highest first)
@@ -82,16 +241,32 @@ class SearchService {
       return scoreB - scoreA;
     });
 
-    // Apply maxResults limit
-    const limitedPosts = criteria.maxResults 
-      ? allPosts.slice(0, criteria.maxResults)
-      : allPosts;
+    // Apply maxResults limit. Shares make this a no-op unless platforms
+    // add extra posts (comments, expanded threads) or there are more
+    // platforms than maxResults - say what was cut, and whose cursor
+    // has already moved past it
+    const limitedPosts = criteria.maxResults ? allPosts.slice(0, criteria.maxResults) : allPosts;
+    const dropped = allPosts.slice(limitedPosts.length);
+    const truncated = dropped.length > 0
+      ? { count: dropped.length, skippedByCursor: [...new Set(dropped.map(p => p.platform))].filter(platform => nextCursors[platform]) }
+      : null;
+    if (truncated) {
+      console.warn(`✂️  maxResults ${criteria.maxResults}: dropped ${truncated.count} lower-ranked posts`);
+    }
 
     return {
       success: result.success,
       posts: limitedPosts,
       totalFound: allPosts.length,
       byPlatform,
+      nextCursors,
+      truncated,
+      filteredOut: result.filteredOut,
+      deduplication,
+      knownLeads: {
+        count: knownLeads,
+        skipped: options.skipKnownLeads ? knownLeads : 0
+      },
       errors: result.errors
     };
   }
@@ -105,22 +280,58 @@ class SearchService {
    * @param {Object} options.productContext - Context about your product
    * @param {number} options.minRelevanceScore - Min keyword score to AI-score (default: 30)
    * @param {number} options.maxToScore - Max posts to AI-score (default: 20)
+   * @param {boolean} options.skipKnownLeads - Don't re-score posts already in the lead store
+   * @param {boolean} options.autoPushToCrm - Push HIGH intent leads to Frappe (default: FRAPPE_AUTO_PUSH)
+   * @param {string} options.provider - LLM provider: openai, anthropic, heuristic (default: AI_PROVIDER)
+   * @param {boolean} options.forceRescore - Ignore cached scores (default: false)
+   * @param {string} options.batchMode - 'single' (one post per request) or 'packed' (default: single)
+   * @param {boolean} options.enrichAuthors - Fetch author karma / account age (default: false)
+   * @param {Object} options.usageContext - { workspaceId, monitorId, apiKeyId } to attribute
+   *   token usage (and the key's daily AI-post quota) to
+   * @param {LeadService} options.leadService - Lead store to save leads in (default: the shared one)
+   * @param {Function} options.onProgress - Called as (event, data): 'start' and 'platform'
+   *   (see search()), 'scoring' before AI scoring starts, 'post' per scored post
+   * @param {AbortSignal} options.signal - Stop scoring and throw once aborted (wrap the
+   *   call in withSignal() to also cancel HTTP requests in flight)
+   * 
+   * When AI_MONTHLY_BUDGET_USD is used up, paid models are skipped and
+   * results come back keyword-ranked with `aiScoring.degraded` set. The
+   * same happens when the API key has no AI posts left today; with some
+   * left, maxToScore is lowered to fit.
    */
   async searchWithAI(criteria, platforms = null, options = {}) {
     const {
       productContext = {},
       minRelevanceScore = 30,
-      maxToScore = 20
+      maxToScore = 20,
+      skipKnownLeads = false,
+      provider = null,
+      forceRescore = false,
+      batchMode = 'single',
+      enrichAuthors = false,
+      usageContext = {},
+      leadService: leads = leadService,
+      onProgress = null,
+      signal = null
     } = options;
+    const aiProvider = intentScoringService.getActiveProvider(provider);
+    const overBudget = aiProvider.available && usageService.isOverBudget(aiProvider.model);
+    const quotaLeft = usageService.isFree(aiProvider.model) ? Infinity : quotaService.aiPostsRemaining(usageContext.apiKeyId);
+    const overQuota = aiProvider.available && quotaLeft <= 0;
 
     // First, do regular search
-    const searchResult = await this.searchRanked(criteria, platforms);
+    const searchResult = await this.searchRanked(criteria, platforms, { skipKnownLeads, onProgress, leadService: leads });
+    this.throwIfAborted(signal);
     
     if (!searchResult.success || searchResult.posts.length === 0) {
       return {
         ...searchResult,
+        authors: [],
+        authorEnrichment: null,
         aiScoring: {
-          enabled: intentScoringService.isEnabled(),
+          enabled: aiProvider.available,
+          provider: aiProvider.provider,
+          model: aiProvider.model,
           scored: 0,
           skipped: 0
         }
@@ -130,21 +341,65 @@ class SearchService {
     // Filter posts worth AI-scoring (above min relevance threshold)
     const postsToScore = searchResult.posts
       .filter(p => (p.signals?.relevanceScore || 0) >= minRelevanceScore)
-      .slice(0, maxToScore);
+      .slice(0, Math.min(maxToScore, quotaLeft));
 
     const postsToSkip = searchResult.posts
       .filter(p => !postsToScore.includes(p));
 
     console.log(`🤖 AI Scoring: ${postsToScore.length} posts (skipping ${postsToSkip.length} below threshold)`);
 
+    if (overBudget) {
+      console.warn(`🤖 Monthly AI budget of $${usageService.monthlyBudget} reached - keyword ranking only`);
+    } else if (overQuota) {
+      console.warn(`🤖 API key ${usageContext.apiKeyId} has no AI posts left today - keyword ranking only`);
+    }
+
+    onProgress?.('scoring', {
+      toScore: postsToScore.length,
+      skipped: postsToSkip.length,
+      provider: aiProvider.provider,
+      model: aiProvider.model,
+      degraded: overBudget || overQuota
+    });
+
     // Score with AI
     let scoredPosts = [];
-    if (postsToScore.length > 0 && intentScoringService.isEnabled()) {
-      scoredPosts = await intentScoringService.scoreBatch(postsToScore, productContext);
+    let batch = null;
+    let usage = null;
+    if (postsToScore.length > 0 && aiProvider.available && !overBudget && !overQuota) {
+      ({ posts: scoredPosts, batch, usage } = await intentScoringService.scoreBatch(postsToScore, productContext, {
+        provider,
+        forceRescore,
+        batchMode,
+        batchTokenBudget: options.batchTokenBudget,
+        maxPostsPerBatch: options.maxPostsPerBatch,
+        onPostScored: onProgress && (post => onProgress('post', post)),
+        signal
+      }));
+      usage = usageService.record({ ...usageContext, provider: aiProvider.provider, model: aiProvider.model }, usage);
+      if (!usageService.isFree(aiProvider.model)) {
+        quotaService.recordAIPosts(usageContext.apiKeyId, scoredPosts.filter(p => p.intentAnalysis?.usage).length);
+      }
+      // Tokens already spent are recorded (and cached) before giving up
+      this.throwIfAborted(signal);
     } else {
       scoredPosts = postsToScore;
     }
 
+    // Opt-in: author karma / account age, stored with the leads below
+    let authorEnrichment = null;
+    if (enrichAuthors && scoredPosts.length > 0) {
+      ({ posts: scoredPosts, stats: authorEnrichment } = await authorService.enrichPosts(scoredPosts));
+      this.throwIfAborted(signal);
+    }
+
+    // Persist scored posts as leads
+    const successfullyScored = scoredPosts.filter(p => p.intentAnalysis?.score != null);
+    if (successfullyScored.length > 0) {
+      const upserted = leads.upsertPosts(successfullyScored);
+      scoredPosts = scoredPosts.map(p => upserted.find(u => u.id === p.id && u.platform === p.platform) || p);
+    }
+
     // Combine scored and unscored posts
     const allPosts = [...scoredPosts, ...postsToSkip];
 
@@ -173,11 +428,25 @@ class SearchService {
       UNSCORED: allPosts.filter(p => !p.intentAnalysis?.level)
     };
 
+    // Opt-in: push HIGH intent leads straight into the CRM
+    let crmSync = null;
+    if (crmSyncService.shouldAutoPush(options) && byIntentLevel.HIGH.length > 0) {
+      crmSync = await this.pushToCrm(byIntentLevel.HIGH, leads);
+    }
+
+    // Alert Slack / webhooks about matching leads (delivered in background)
+    const notifications = notificationService.notify(successfullyScored, leads, usageContext.workspaceId);
+
     return {
       success: true,
       posts: allPosts,
       totalFound: searchResult.totalFound,
       byPlatform: searchResult.byPlatform,
+      nextCursors: searchResult.nextCursors,
+      truncated: searchResult.truncated,
+      filteredOut: searchResult.filteredOut,
+      deduplication: searchResult.deduplication,
+      knownLeads: searchResult.knownLeads,
       byIntentLevel: {
         HIGH: byIntentLevel.HIGH.length,
         MEDIUM: byIntentLevel.MEDIUM.length,
@@ -186,17 +455,100 @@ class SearchService {
         UNSCORED: byIntentLevel.UNSCORED.length
       },
       hotLeads: byIntentLevel.HIGH,
+      authors: authorService.groupByAuthor(allPosts),
+      authorEnrichment,
       aiScoring: {
-        enabled: intentScoringService.isEnabled(),
-        model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
-        scored: scoredPosts.filter(p => p.intentAnalysis?.score !== null).length,
+        enabled: aiProvider.available,
+        provider: aiProvider.provider,
+        model: aiProvider.model,
+        scored: scoredPosts.filter(p => p.intentAnalysis?.score != null).length,
         skipped: postsToSkip.length,
-        minRelevanceThreshold: minRelevanceScore
+        minRelevanceThreshold: minRelevanceScore,
+        cache: this.cacheStats(scoredPosts, forceRescore),
+        batch,
+        usage: usage && this.usageStats(usage, scoredPosts),
+        degraded: this.degradedReason(overBudget, overQuota)
       },
+      crmSync,
+      notifications,
       errors: searchResult.errors
     };
   }
 
+  /**
+   * Score cache hits/misses for one AI search
+   */
+  cacheStats(scoredPosts, forceRescore) {
+    const analysed = scoredPosts.filter(p => p.intentAnalysis && !p.intentAnalysis.error);
+    const hits = analysed.filter(p => p.intentAnalysis.cached).length;
+    const lookups = scoreCacheService.isEnabled() && !forceRescore ? scoredPosts.length : 0;
+
+    return {
+      enabled: scoreCacheService.isEnabled(),
+      backend: scoreCacheService.backend,
+      hits,
+      misses: lookups - hits,
+      hitRate: lookups ? Math.round(hits / lookups * 100) / 100 : null,
+      forceRescore
+    };
+  }
+
+  /**
+   * Stop a cancelled search (signal from options.signal)
+   */
+  throwIfAborted(signal) {
+    if (signal?.aborted) {
+      const error = new Error('Search cancelled');
+      error.code = 'ABORTED';
+      throw error;
+    }
+  }
+
+  /**
+   * Token usage and cost for one AI search (cache hits used no tokens)
+   */
+  usageStats(usage, scoredPosts) {
+    const sent = scoredPosts.filter(p => p.intentAnalysis?.usage).length;
+    return {
+      ...usage,
+      tokensPerPost: sent ? Math.round(usage.totalTokens / sent) : null
+    };
+  }
+
+  /**
+   * Why AI scoring was skipped, or null
+   */
+  degradedReason(overBudget, overQuota) {
+    if (overBudget) return { reason: 'MONTHLY_BUDGET_EXCEEDED', budget: usageService.getBudget() };
+    if (overQuota) return { reason: 'DAILY_QUOTA_EXCEEDED', resetsAt: quotaService.resetsAt() };
+    return null;
+  }
+
+  /**
+   * Push stored leads for these posts to the CRM
+   */
+  async pushToCrm(posts, leads = leadService) {
+    const summary = { pushed: 0, failed: 0, errors: [] };
+
+    for (const post of posts) {
+      const lead = leads.get(leads.leadId(post));
+      if (!lead) continue;
+
+      const result = await crmSyncService.pushLead(lead);
+      leads.recordCrmSync(lead.id, result);
+
+      if (result.success) {
+        summary.pushed++;
+      } else {
+        summary.failed++;
+        summary.errors.push({ leadId: lead.id, error: result.error });
+      }
+    }
+
+    console.log(`📤 CRM sync: ${summary.pushed} pushed, ${summary.failed} failed`);
+    return summary;
+  }
+
   /**
    * Search a single platform
    */
@@ -212,6 +564,7 @@ class SearchService {
       };
     }
 
+    criteria = this.resolveCursor(this.prepareCriteria(criteria), [platform]);
     return adapter.search(criteria);
   }
 
@@ -222,11 +575,30 @@ class SearchService {
     return getPlatformInfo();
   }
 
+  /**
+   * Validate aiOptions
+   * 
+   * @returns {string|null} Error message, or null when valid
+   */
+  validateAIOptions(aiOptions = {}) {
+    if (aiOptions.batchMode !== undefined && !BATCH_MODES.includes(aiOptions.batchMode)) {
+      return `Invalid aiOptions.batchMode: ${aiOptions.batchMode}. Use: ${BATCH_MODES.join(', ')}`;
+    }
+    return intentScoringService.validateProvider(aiOptions.provider);
+  }
+
   /**
    * Check if AI scoring is available
    */
-  isAIEnabled() {
-    return intentScoringService.isEnabled();
+  isAIEnabled(providerName = null) {
+    return intentScoringService.isEnabled(providerName);
+  }
+
+  /**
+   * Active LLM provider and model (the default, or the named one)
+   */
+  getAIProvider(providerName = null) {
+    return intentScoringService.getActiveProvider(providerName);
   }
 }
 
@@ -0,0 +1,222 @@
+const { getAdapter } = require('../adapters');
+const { createCache } = require('../stores/cache.store');
+const { intentScoringService } = require('./intent.service');
+
+const DEFAULT_TTL_HOURS = 72;
+const NEW_ACCOUNT_DAYS = 30;
+const LOW_KARMA = 10;
+const DEFAULT_CONCURRENCY = 4;
+const ANONYMOUS = ['[deleted]', 'unknown', 'ghost'];
+
+/**
+ * Author Service
+ * 
+ * Turns posts into people. Enrichment adds the author's public profile
+ * (karma, account age) from platforms that expose one - Reddit and
+ * Hacker News - and grouping folds posts into one entry per author with
+ * a combined intent score, so a user asking about CRMs in three threads
+ * ranks above one who mentioned it once.
+ * 
+ * Env: AUTHOR_CACHE = file (default) | memory | redis | off
+ *      AUTHOR_CACHE_TTL_HOURS (default: 72)
+ */
+class AuthorService {
+  constructor() {
+    this.ttlMs = (parseFloat(process.env.AUTHOR_CACHE_TTL_HOURS) || DEFAULT_TTL_HOURS) * 3600000;
+    this.cache = createCache(process.env.AUTHOR_CACHE || 'file', {
+      name: 'author-profiles',
+      redisPrefix: 'social-listening:author:',
+      envName: 'AUTHOR_CACHE'
+    });
+  }
+
+  /**
+   * Public profile for one author (cached, including "no such user")
+   * 
+   * @returns {Promise<Object|null>} Profile, or null when unavailable
+   */
+  async getProfile(platform, username) {
+    const adapter = getAdapter(platform);
+    if (!adapter?.supportsAuthorProfiles || !this.isKnownAuthor(username)) return null;
+
+    const key = `${platform}:${username.toLowerCase()}`;
+    const cached = await this.readCache(key);
+    if (cached) return cached.profile;
+
+    const profile = await adapter.fetchAuthorProfile(username);
+    await this.writeCache(key, { profile });
+    return profile;
+  }
+
+  /**
+   * Attach author.profile to posts from platforms with profiles. Each
+   * author is fetched once; failures leave that author unenriched.
+   * 
+   * @param {Object} options
+   * @param {number} options.maxAuthors - Look up at most this many authors
+   *   (in post order); the rest are left unenriched
+   * @param {number} options.concurrency - Lookups in flight at once (default: 4)
+   * @returns {Promise<{posts: Array, stats: Object}>}
+   */
+  async enrichPosts(posts, { maxAuthors = Infinity, concurrency = DEFAULT_CONCURRENCY } = {}) {
+    const wanted = new Map();
+    let skipped = 0;
+    for (const post of posts) {
+      const username = post.author?.username;
+      const id = this.authorId(post);
+      if (!getAdapter(post.platform)?.supportsAuthorProfiles || !this.isKnownAuthor(username) || wanted.has(id)) continue;
+
+      if (wanted.size < maxAuthors) wanted.set(id, { platform: post.platform, username });
+      else skipped++;
+    }
+    if (wanted.size === 0) {
+      return { posts, stats: { authors: 0, found: 0, missing: 0, failed: 0, skipped } };
+    }
+
+    const profiles = new Map();
+    let failed = 0;
+    const queue = [...wanted];
+    const worker = async () => {
+      for (let next = queue.shift(); next; next = queue.shift()) {
+        const [id, { platform, username }] = next;
+        try {
+          profiles.set(id, await this.getProfile(platform, username));
+        } catch (error) {
+          failed++;
+          console.warn(`[Authors] Profile lookup failed for ${id}: ${error.message}`);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+    const enriched = posts.map(post => {
+      const id = this.authorId(post);
+      if (!profiles.has(id)) return post;
+      return { ...post, author: { ...post.author, profile: this.withAge(profiles.get(id)) } };
+    });
+
+    const found = [...profiles.values()].filter(Boolean).length;
+    console.log(`👤 Author profiles: ${found} found, ${profiles.size - found} missing, ${failed} failed`);
+
+    return {
+      posts: enriched,
+      stats: { authors: wanted.size, found, missing: profiles.size - found, failed, skipped }
+    };
+  }
+
+  /**
+   * One entry per author, highest combined intent first
+   * 
+   * The combined score treats each post as independent evidence
+   * (1 - Π(1 - score/100)), so repeated intent pushes an author up.
+   * Enough moderate posts do outrank one strong one (five at 40 make
+   * 92, above a single 85) - maxScore keeps the strongest post visible.
+   */
+  groupByAuthor(posts) {
+    const groups = new Map();
+
+    for (const post of posts) {
+      if (!this.isKnownAuthor(post.author?.username)) continue;
+
+      const id = this.authorId(post);
+      if (!groups.has(id)) groups.set(id, []);
+      groups.get(id).push(post);
+    }
+
+    return [...groups].map(([id, authorPosts]) => this.toAuthor(id, authorPosts))
+      .sort((a, b) => (b.combinedScore ?? -1) - (a.combinedScore ?? -1) || b.postCount - a.postCount);
+  }
+
+  toAuthor(id, posts) {
+    const [first] = posts;
+    const profile = posts.find(p => p.author.profile !== undefined)?.author.profile;
+    const scores = posts.map(p => p.intentAnalysis?.score).filter(score => typeof score === 'number');
+    const combinedScore = scores.length
+      ? Math.round(100 * (1 - scores.reduce((miss, score) => miss * (1 - score / 100), 1)))
+      : null;
+    const dates = posts.map(p => p.createdAt).filter(Boolean).sort();
+
+    return {
+      id,
+      platform: first.platform,
+      username: first.author.username,
+      profileUrl: first.author.profileUrl || null,
+      profile: profile ?? null,
+      flags: this.flags(profile),
+      combinedScore,
+      maxScore: scores.length ? Math.max(...scores) : null,
+      level: combinedScore !== null ? intentScoringService.scoreToLevel(combinedScore) : null,
+      postCount: posts.length,
+      scoredCount: scores.length,
+      communities: [...new Set(posts.map(p => p.subreddit || p.site || p.repo).filter(Boolean))],
+      firstPostAt: dates[0] || null,
+      lastPostAt: dates[dates.length - 1] || null,
+      posts: posts.map(p => ({
+        id: p.id,
+        title: p.title,
+        url: p.url,
+        community: p.subreddit || p.site || p.repo || null,
+        createdAt: p.createdAt,
+        intentScore: p.intentAnalysis?.score ?? null,
+        level: p.intentAnalysis?.level ?? null,
+        leadId: p.lead?.id || null
+      }))
+    };
+  }
+
+  /**
+   * Outreach caveats: throwaway-looking or suspended accounts
+   */
+  flags(profile) {
+    if (!profile) return [];
+
+    const flags = [];
+    if (profile.isSuspended) flags.push('suspended');
+    if (profile.accountAgeDays !== null && profile.accountAgeDays !== undefined && profile.accountAgeDays < NEW_ACCOUNT_DAYS) {
+      flags.push('new_account');
+    }
+    if (typeof profile.karma === 'number' && profile.karma < LOW_KARMA) flags.push('low_karma');
+    return flags;
+  }
+
+  withAge(profile) {
+    if (!profile) return null;
+    const created = profile.createdAt ? new Date(profile.createdAt).getTime() : NaN;
+    return {
+      ...profile,
+      accountAgeDays: Number.isNaN(created) ? null : Math.floor((Date.now() - created) / 86400000)
+    };
+  }
+
+  authorId(post) {
+    return `${post.platform}:${post.author.username}`;
+  }
+
+  isKnownAuthor(username) {
+    return !!username && !ANONYMOUS.includes(username);
+  }
+
+  async readCache(key) {
+    if (!this.cache) return null;
+    try {
+      return await this.cache.get(key);
+    } catch (error) {
+      console.warn(`[Authors] Cache read failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  async writeCache(key, value) {
+    if (!this.cache) return;
+    try {
+      await this.cache.set(key, value, this.ttlMs);
+    } catch (error) {
+      console.warn(`[Authors] Cache write failed: ${error.message}`);
+    }
+  }
+}
+
+// Singleton instance
+const authorService = new AuthorService();
+
+module.exports = { AuthorService, authorService };
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const { FileStore } = require('../stores/file.store');
+const { matchKeywords } = require('../query/keyword-matcher');
+
+const BLOCK_TYPES = ['author', 'keyword', 'subreddit'];
+
+/**
+ * Blocklist Service
+ * 
+ * Global, persistent exclusions applied to every search - known bots,
+ * competitor employees, spammy subreddits, vendor self-promo phrases.
+ * 
+ * Entries: { type: 'author' | 'keyword' | 'subreddit', value, platform?, reason? }
+ * Authors can be scoped to one platform; without `platform` they match everywhere.
+ */
+class BlocklistService {
+  constructor() {
+    this.store = new FileStore('blocklist');
+  }
+
+  list(filters = {}) {
+    return this.store.all()
+      .filter(e => !filters.type || e.type === filters.type)
+      .filter(e => !filters.platform || !e.platform || e.platform === filters.platform);
+  }
+
+  add({ type, value, platform = null, reason = null }) {
+    let normalized = String(value).trim();
+    if (type === 'subreddit') normalized = normalized.replace(/^r\//i, '');
+
+    const existing = this.store.all().find(e =>
+      e.type === type
+      && e.value.toLowerCase() === normalized.toLowerCase()
+      && (e.platform || null) === platform
+    );
+    if (existing) return existing;
+
+    const entry = {
+      id: crypto.randomUUID(),
+      type,
+      value: normalized,
+      platform,
+      reason,
+      createdAt: new Date().toISOString()
+    };
+
+    this.store.set(entry.id, entry);
+    return entry;
+  }
+
+  remove(id) {
+    return this.store.delete(id);
+  }
+
+  /**
+   * First blocklist entry matching a normalized post, or null
+   * 
+   * @param {Object} post - Normalized post
+   * @param {Object} fields - Text fields to check keyword entries against
+   */
+  match(post, fields) {
+    const entries = this.store.all();
+    if (entries.length === 0) return null;
+
+    const author = post.author?.username?.toLowerCase();
+    const subreddit = post.subreddit?.toLowerCase();
+
+    for (const entry of entries) {
+      if (entry.platform && entry.platform !== post.platform) continue;
+
+      switch (entry.type) {
+        case 'author':
+          if (author && entry.value.toLowerCase() === author) return entry;
+          break;
+        case 'subreddit':
+          if (subreddit && entry.value.toLowerCase() === subreddit) return entry;
+          break;
+        case 'keyword':
+          if (matchKeywords([entry.value], fields).matched.length > 0) return entry;
+          break;
+      }
+    }
+
+    return null;
+  }
+}
+
+// Singleton instance
+const blocklistService = new BlocklistService();
+
+module.exports = { BlocklistService, blocklistService, BLOCK_TYPES };
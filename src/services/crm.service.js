@@ -0,0 +1,128 @@
+const axios = require('axios');
+
+/**
+ * Frappe CRM Sync Service
+ * 
+ * Pushes leads into a Frappe/ERPNext Lead doctype via the REST API.
+ * Updates are idempotent: the Frappe document name is remembered on the
+ * lead, and we also look it up by `custom_social_lead_id` so a re-scored
+ * post updates the existing CRM lead instead of creating a duplicate.
+ * 
+ * Expects these custom fields on the doctype (Customize Form):
+ *   custom_social_lead_id, custom_post_url, custom_platform,
+ *   custom_intent_score, custom_intent_level, custom_intent_summary,
+ *   custom_pain_points, custom_buying_signals
+ */
+class CrmSyncService {
+  constructor() {
+    const url = process.env.FRAPPE_URL;
+
+    this.client = axios.create({
+      baseURL: url ? url.replace(/\/$/, '') : undefined,
+      timeout: 15000,
+      headers: {
+        'Authorization': `token ${process.env.FRAPPE_API_KEY}:${process.env.FRAPPE_API_SECRET}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      }
+    });
+
+    this.doctype = process.env.FRAPPE_LEAD_DOCTYPE || 'Lead';
+    this.enabled = !!(url && process.env.FRAPPE_API_KEY && process.env.FRAPPE_API_SECRET);
+    this.autoPush = process.env.FRAPPE_AUTO_PUSH === 'true';
+  }
+
+  /**
+   * Check if CRM sync is configured
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Should HIGH intent results be pushed automatically?
+   * Env FRAPPE_AUTO_PUSH=true or per-request aiOptions.autoPushToCrm
+   */
+  shouldAutoPush(options = {}) {
+    if (!this.enabled) return false;
+    return options.autoPushToCrm ?? this.autoPush;
+  }
+
+  /**
+   * Create or update a Frappe lead for a stored lead
+   * 
+   * @param {Object} lead - Lead record from the lead store
+   * @returns {Promise<Object>} { success, name, action, error }
+   */
+  async pushLead(lead) {
+    if (!this.enabled) {
+      return { success: false, error: 'CRM sync disabled - set FRAPPE_URL, FRAPPE_API_KEY and FRAPPE_API_SECRET' };
+    }
+
+    const doc = this.mapLead(lead);
+    const resource = `/api/resource/${encodeURIComponent(this.doctype)}`;
+
+    try {
+      const existingName = lead.crm?.name || await this.findExisting(lead.id);
+
+      if (existingName) {
+        try {
+          const response = await this.client.put(`${resource}/${encodeURIComponent(existingName)}`, doc);
+          return { success: true, name: response.data.data.name, action: 'updated' };
+        } catch (error) {
+          // Deleted on the CRM side - fall through and recreate
+          if (error.response?.status !== 404) throw error;
+        }
+      }
+
+      const response = await this.client.post(resource, doc);
+      return { success: true, name: response.data.data.name, action: 'created' };
+
+    } catch (error) {
+      const message = error.response?.data?.exception || error.response?.data?.message || error.message;
+      console.error(`CRM push error (${lead.id}): ${message}`);
+      return { success: false, error: message };
+    }
+  }
+
+  /**
+   * Find an existing Frappe lead by our lead id
+   */
+  async findExisting(leadId) {
+    const response = await this.client.get(`/api/resource/${encodeURIComponent(this.doctype)}`, {
+      params: {
+        filters: JSON.stringify([['custom_social_lead_id', '=', leadId]]),
+        fields: JSON.stringify(['name']),
+        limit_page_length: 1
+      }
+    });
+
+    return response.data.data?.[0]?.name || null;
+  }
+
+  /**
+   * Map a stored lead to Frappe Lead fields
+   */
+  mapLead(lead) {
+    const post = lead.post || {};
+    const analysis = lead.intentAnalysis || {};
+
+    return {
+      first_name: post.author?.username || 'Unknown',
+      website: post.author?.profileUrl,
+      custom_social_lead_id: lead.id,
+      custom_platform: lead.platform,
+      custom_post_url: post.url,
+      custom_intent_score: analysis.score ?? null,
+      custom_intent_level: analysis.level || null,
+      custom_intent_summary: analysis.summary || '',
+      custom_pain_points: (analysis.painPoints || []).join('\n'),
+      custom_buying_signals: (analysis.buyingSignals || []).join('\n')
+    };
+  }
+}
+
+// Singleton instance
+const crmSyncService = new CrmSyncService();
+
+module.exports = { CrmSyncService, crmSyncService };
@@ -0,0 +1,286 @@
+const { tokenize } = require('../query/keyword-matcher');
+
+const DEFAULT_SIMILARITY = 0.8;
+const SHINGLE_SIZE = 3;
+const MIN_SHINGLES = 4;
+const MAX_TEXT_LENGTH = 2000;
+const NUM_HASHES = 64;
+const BANDS = 16;
+const ROWS = NUM_HASHES / BANDS;
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|ref|ref_src|ref_url|source|share_id)$/i;
+
+/**
+ * Dedup Service
+ * 
+ * Collapses the same story found more than once - a Reddit crosspost in
+ * three subreddits, an HN submission linking the same article, a blog post
+ * republished on Dev.to - so it's scored and contacted once. Posts are
+ * duplicates when they:
+ * - link to the same canonical URL (tracking params, www., trailing slash
+ *   and Reddit slugs ignored), or one links to the other
+ * - are a Reddit crosspost and its parent (or two crossposts of one parent)
+ * - have near-identical text: word 3-gram shingles, MinHash/LSH to find
+ *   candidates, Jaccard similarity >= DEDUP_SIMILARITY to confirm
+ * 
+ * The most relevant post of each group is kept with an `alsoSeenOn` list
+ * and engagement (points, comments) summed across the group.
+ * 
+ * Env: DEDUP_SIMILARITY (default: 0.8)
+ */
+class DedupService {
+  constructor() {
+    this.similarity = parseFloat(process.env.DEDUP_SIMILARITY) || DEFAULT_SIMILARITY;
+    this.seeds = Array.from({ length: NUM_HASHES }, (_, i) => Math.imul(i + 1, 0x9e3779b1) >>> 0);
+  }
+
+  /**
+   * Merge duplicate posts
+   * 
+   * @param {Array} posts - Normalized posts from any platforms
+   * @returns {{posts: Array, stats: Object}} Merged posts (input order) and
+   *   { collapsed, groups, byReason }
+   */
+  dedupe(posts) {
+    const parents = posts.map((_, i) => i);
+    const reasons = new Map(); // index -> why it joined a group
+
+    const find = i => {
+      while (parents[i] !== i) {
+        parents[i] = parents[parents[i]];
+        i = parents[i];
+      }
+      return i;
+    };
+    const union = (a, b, reason) => {
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA === rootB) return;
+      parents[rootB] = rootA;
+      if (!reasons.has(a)) reasons.set(a, reason);
+      if (!reasons.has(b)) reasons.set(b, reason);
+    };
+
+    // Exact matches: shared URL or crosspost key
+    const owners = new Map();
+    posts.forEach((post, i) => {
+      for (const [key, reason] of this.keys(post)) {
+        if (owners.has(key)) union(owners.get(key), i, reason);
+        else owners.set(key, i);
+      }
+    });
+
+    // Near-identical text
+    for (const [a, b] of this.similarPairs(posts)) {
+      union(a, b, 'similar');
+    }
+
+    const groups = new Map();
+    posts.forEach((post, i) => {
+      const root = find(i);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(i);
+    });
+
+    const stats = { collapsed: 0, groups: 0, byReason: { url: 0, crosspost: 0, similar: 0 } };
+    const merged = [];
+
+    for (const members of groups.values()) {
+      if (members.length === 1) {
+        merged.push(posts[members[0]]);
+        continue;
+      }
+
+      const [primary, ...others] = members.sort((a, b) => this.rank(posts[b]) - this.rank(posts[a]) || a - b);
+      merged.push(this.merge(posts[primary], others.map(i => ({ post: posts[i], matchedBy: reasons.get(i) }))));
+
+      stats.groups++;
+      stats.collapsed += others.length;
+      for (const i of others) stats.byReason[reasons.get(i)]++;
+    }
+
+    if (stats.collapsed > 0) {
+      console.log(`🧬 Dedup: collapsed ${stats.collapsed} duplicate posts into ${stats.groups}`);
+    }
+
+    return { posts: merged, stats };
+  }
+
+  /**
+   * Keep the primary post; list the rest under alsoSeenOn and sum engagement
+   */
+  merge(primary, duplicates) {
+    const all = [primary, ...duplicates.map(d => d.post)];
+    const sum = field => all.reduce((total, post) => total + (post.metrics?.[field] || 0), 0);
+
+    return {
+      ...primary,
+      metrics: { ...primary.metrics, score: sum('score'), comments: sum('comments') },
+      alsoSeenOn: duplicates.map(({ post, matchedBy }) => ({
+        platform: post.platform,
+        id: post.id,
+        url: post.url,
+        title: post.title,
+        community: post.subreddit || post.site || post.repo || null,
+        author: post.author?.username || null,
+        metrics: post.metrics,
+        createdAt: post.createdAt,
+        matchedBy
+      }))
+    };
+  }
+
+  /**
+   * Which post of a group to keep: most relevant, then most engagement
+   */
+  rank(post) {
+    return (post.signals?.relevanceScore || 0) * 1e6 + (post.metrics?.score || 0) + (post.metrics?.comments || 0);
+  }
+
+  /**
+   * Exact-match keys for a post as [key, reason] pairs
+   */
+  keys(post) {
+    const keys = [[`post:${post.platform}:${post.id}`, 'url']];
+    // Before the URLs - a crosspost also links to its parent's permalink
+    if (post.crosspostParent) keys.push([`post:reddit:${post.crosspostParent}`, 'crosspost']);
+
+    const ownUrl = this.canonicalUrl(post.url);
+    if (ownUrl) keys.push([`url:${ownUrl}`, 'url']);
+
+    const linkUrl = this.canonicalUrl(post.linkUrl);
+    if (linkUrl && linkUrl !== ownUrl) keys.push([`url:${linkUrl}`, 'url']);
+
+    return keys;
+  }
+
+  /**
+   * Comparable form of a URL: no protocol, www./m., fragment, tracking
+   * params or trailing slash; Reddit threads (and comments) reduced to their ids
+   * 
+   * @returns {string|null}
+   */
+  canonicalUrl(url) {
+    if (!url) return null;
+
+    let parsed;
+    try {
+      parsed = new URL(url, 'https://www.reddit.com');
+    } catch (error) {
+      return null;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+    const host = parsed.hostname.toLowerCase().replace(/^(www|m|old|new|mobile)\./, '');
+
+    const thread = host.endsWith('reddit.com') && parsed.pathname.match(/\/comments\/([a-z0-9]+)(?:\/[^/]*\/([a-z0-9]+))?/i);
+    if (thread) return `reddit.com/comments/${thread.slice(1).filter(Boolean).join('/').toLowerCase()}`;
+    if (host === 'redd.it') return `reddit.com/comments/${parsed.pathname.slice(1).toLowerCase()}`;
+
+    const params = [...parsed.searchParams]
+      .filter(([name]) => !TRACKING_PARAMS.test(name))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length ? `?${new URLSearchParams(params)}` : '';
+    const path = parsed.pathname.replace(/\/+$/, '');
+
+    return `${host}${path}${query}`;
+  }
+
+  /**
+   * Index pairs whose text is near-identical
+   */
+  similarPairs(posts) {
+    const shingleSets = posts.map(post => this.shingles(post));
+    const buckets = new Map();
+    const pairs = [];
+    const seen = new Set();
+
+    shingleSets.forEach((shingles, i) => {
+      if (shingles.size < MIN_SHINGLES) return;
+
+      const signature = this.minHash(shingles);
+      for (let band = 0; band < BANDS; band++) {
+        const key = `${band}:${signature.slice(band * ROWS, (band + 1) * ROWS).join(',')}`;
+        const bucket = buckets.get(key) || [];
+
+        for (const j of bucket) {
+          const pairKey = `${j}:${i}`;
+          if (seen.has(pairKey)) continue;
+          seen.add(pairKey);
+          if (this.jaccard(shingleSets[j], shingles) >= this.similarity) pairs.push([j, i]);
+        }
+
+        bucket.push(i);
+        buckets.set(key, bucket);
+      }
+    });
+
+    return pairs;
+  }
+
+  /**
+   * Word 3-grams of the title and body (comments: body only, so a reply
+   * isn't matched against its own thread title)
+   */
+  shingles(post) {
+    const text = post.parentId ? post.body : `${post.title || ''}\n${post.body || ''}`;
+    const words = tokenize((text || '').slice(0, MAX_TEXT_LENGTH)).map(token => token.word);
+
+    const shingles = new Set();
+    for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+      shingles.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+    }
+    return shingles;
+  }
+
+  /**
+   * MinHash signature: per seed, the smallest mixed hash over all shingles
+   */
+  minHash(shingles) {
+    const hashes = [...shingles].map(shingle => this.hash(shingle));
+    return this.seeds.map(seed => {
+      let min = 0xffffffff;
+      for (const hash of hashes) {
+        const mixed = this.mix(hash ^ seed);
+        if (mixed < min) min = mixed;
+      }
+      return min;
+    });
+  }
+
+  jaccard(a, b) {
+    let shared = 0;
+    for (const item of a) {
+      if (b.has(item)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+  }
+
+  /**
+   * FNV-1a string hash
+   */
+  hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * murmur3 finalizer - spreads bits so each seed acts as its own hash function
+   */
+  mix(hash) {
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+  }
+}
+
+// Singleton instance
+const dedupService = new DedupService();
+
+module.exports = { DedupService, dedupService };
@@ -1,172 +1,525 @@
-const axios = require('axios');
+const { getProvider, getProviderNames, getDefaultProviderName } = require('../providers');
+const { scoreCacheService } = require('./score-cache.service');
+
+// Bump when the system prompt or buildPrompt changes, so cached scores are redone
+const PROMPT_VERSION = 'intent-v1';
+// Same for the packed-mode prompt (getBatchSystemPrompt) - its scores are cached apart
+const BATCH_PROMPT_VERSION = 'intent-batch-v1';
+
+const SYSTEM_INTRO = 'You are an expert sales intelligence analyst. Your job is to analyze social media posts and determine the likelihood that the author is actively looking to purchase a software product or service.';
+
+const RESULT_FIELDS = `  "score": <number 0-100>,
+  "level": "<HIGH|MEDIUM|LOW|NONE>",
+  "confidence": <number 0.0-1.0>,
+  "buyingSignals": ["<signal1>", "<signal2>"],
+  "painPoints": ["<pain1>", "<pain2>"],
+  "urgency": "<IMMEDIATE|SHORT_TERM|EXPLORING|NONE>",
+  "recommendedAction": "<CONTACT_NOW|NURTURE|MONITOR|SKIP>",
+  "summary": "<one sentence summary of the opportunity>"`;
+
+const SCORING_GUIDE = `Scoring guidelines:
+- 80-100 (HIGH): Actively searching, mentions budget/timeline, comparing options
+- 50-79 (MEDIUM): Expressing frustration, asking for recommendations, researching
+- 20-49 (LOW): General discussion, mild interest, future consideration
+- 0-19 (NONE): No buying intent, just sharing info, already solved
+
+Key signals to look for:
+- Direct asks: "looking for", "need a", "recommend", "best tool for"
+- Comparison shopping: "alternative to", "vs", "switching from"
+- Pain indicators: "frustrated", "tired of", "too expensive", "doesn't work"
+- Timeline hints: "ASAP", "this quarter", "before launch", "urgently"
+- Budget mentions: "budget", "pricing", "cost", "affordable"`;
+
+const BATCH_MODES = ['single', 'packed'];
 
 /**
  * Intent Scoring Service
  * 
- * Uses GPT-4o-mini to analyze posts and score buying intent.
+ * Uses an LLM provider (OpenAI-compatible, Anthropic, or the local
+ * heuristic - see providers/) to analyze posts and score buying intent.
  * Extracts pain points, buying signals, and recommends actions.
  */
 class IntentScoringService {
-  constructor() {
-    this.client = axios.create({
-      baseURL: 'https://api.openai.com/v1',
-      timeout: 30000,
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    this.model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
-    this.enabled = !!process.env.OPENAI_API_KEY;
+
+  /**
+   * Resolve a provider by name (default: AI_PROVIDER / first configured)
+   * 
+   * @returns {BaseLLMProvider|null}
+   */
+  getProvider(name = null) {
+    const providerName = name || getDefaultProviderName();
+    return providerName ? getProvider(providerName) || null : null;
+  }
+
+  /**
+   * Validate a provider name from aiOptions
+   * 
+   * @returns {string|null} Error message, or null when valid
+   */
+  validateProvider(name) {
+    if (name === undefined || name === null) return null;
+    if (!getProvider(name)) {
+      return `Unknown AI provider: ${name}. Use: ${getProviderNames().join(', ')}`;
+    }
+    return null;
   }
 
   /**
-   * Check if AI scoring is available
+   * Check if AI scoring is available (with the given or default provider)
    */
-  isEnabled() {
-    return this.enabled;
+  isEnabled(providerName = null) {
+    return !!this.getProvider(providerName)?.isAvailable();
+  }
+
+  /**
+   * Provider and model that would score a request
+   */
+  getActiveProvider(providerName = null) {
+    const provider = this.getProvider(providerName);
+    return {
+      provider: provider?.name || null,
+      displayName: provider?.displayName || null,
+      model: provider?.model || null,
+      available: !!provider?.isAvailable()
+    };
   }
 
   /**
    * Score a single post for buying intent
+   * 
+   * Analyses are cached (see score-cache.service); cache hits come back
+   * with `cached: true` and `usage: null`. Fresh analyses carry the
+   * request's token usage: { promptTokens, completionTokens }.
+   * 
+   * @param {Object} options
+   * @param {string} options.provider - Provider name (default provider when omitted)
+   * @param {boolean} options.forceRescore - Skip the cache lookup
    */
-  async scorePost(post, productContext = {}) {
-    if (!this.enabled) {
+  async scorePost(post, productContext = {}, options = {}) {
+    const provider = this.getProvider(options.provider);
+    if (!provider?.isAvailable()) {
       return this.getDisabledResult();
     }
 
+    const cacheKey = this.cacheKey(post, productContext, provider);
+
+    if (!options.forceRescore) {
+      const cached = await scoreCacheService.get(cacheKey);
+      if (cached) return { ...cached, cached: true, usage: null };
+    }
+
     try {
-      const prompt = this.buildPrompt(post, productContext);
-      
-      const response = await this.client.post('/chat/completions', {
-        model: this.model,
-        messages: [
-          {
-            role: 'system',
-            content: this.getSystemPrompt()
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
+      const { result, usage } = await provider.analyze({
+        post,
+        productContext,
+        system: this.getSystemPrompt(),
+        prompt: this.buildPrompt(post, productContext),
         temperature: 0.3,
-        max_tokens: 500,
-        response_format: { type: 'json_object' }
+        maxTokens: 500
       });
 
-      const result = JSON.parse(response.data.choices[0].message.content);
-      return this.normalizeResult(result);
+      const analysis = this.normalizeResult(result, provider);
+      await scoreCacheService.set(cacheKey, analysis);
+      return { ...analysis, usage: this.normalizeUsage(usage) };
 
     } catch (error) {
-      console.error(`AI scoring error: ${error.message}`);
-      return this.getErrorResult(error.message);
+      const message = error.response?.data?.error?.message || error.message;
+      console.error(`AI scoring error (${provider.name}): ${message}`);
+      return this.getErrorResult(message);
     }
   }
 
   /**
-   * Score multiple posts in batch (more efficient)
+   * Score multiple posts
+   * 
+   * batchMode 'single' (default) sends one request per post, a few at a
+   * time. 'packed' sends several posts per request (see scorePacked).
+   * 
+   * @param {Object} options
+   * @param {string} options.batchMode - 'single' | 'packed'
+   * @param {Function} options.onPostScored - Called with each post as its analysis arrives
+   * @param {AbortSignal} options.signal - Stop sending new requests once aborted
+   * @returns {Promise<{posts: Array, batch: Object, usage: Object}>} Scored posts,
+   *   batch stats and total token usage
    */
   async scoreBatch(posts, productContext = {}, options = {}) {
-    if (!this.enabled) {
-      return posts.map(post => ({
-        ...post,
-        intentAnalysis: this.getDisabledResult()
-      }));
+    if (!this.isEnabled(options.provider)) {
+      return {
+        posts: posts.map(post => ({ ...post, intentAnalysis: this.getDisabledResult() })),
+        batch: { mode: options.batchMode || 'single', requests: 0 },
+        usage: this.sumUsage([])
+      };
+    }
+
+    if (options.batchMode === 'packed') {
+      return this.scorePacked(posts, productContext, options);
     }
 
     const concurrency = options.concurrency || 3;
     const results = [];
     
-    // Process in batches to respect rate limits
+    // Process in groups; the HTTP client handles 429s and per-host limits
     for (let i = 0; i < posts.length; i += concurrency) {
+      if (options.signal?.aborted) break;
       const batch = posts.slice(i, i + concurrency);
       
       const batchPromises = batch.map(async (post) => {
-        const intentAnalysis = await this.scorePost(post, productContext);
-        return {
+        const intentAnalysis = await this.scorePost(post, productContext, options);
+        const scored = {
           ...post,
           intentAnalysis
         };
+        options.onPostScored?.(scored);
+        return scored;
       });
 
       const batchResults = await Promise.all(batchPromises);
       results.push(...batchResults);
-      
-      // Small delay between batches to avoid rate limits
-      if (i + concurrency < posts.length) {
-        await new Promise(r => setTimeout(r, 200));
+    }
+
+    const sent = results.filter(p => !p.intentAnalysis.cached);
+    return {
+      posts: results,
+      batch: {
+        mode: 'single',
+        requests: sent.length,
+        estimatedTokensPerPost: {
+          single: this.averageTokens(sent.map(p => this.estimateSingleTokens(p, productContext)))
+        }
+      },
+      usage: this.sumUsage(results.map(p => p.intentAnalysis.usage))
+    };
+  }
+
+  /**
+   * Packed mode: several posts per prompt, one JSON array back
+   * 
+   * Cached posts are answered first. The rest are packed into prompts of
+   * up to options.batchTokenBudget estimated input tokens (default 6000)
+   * and options.maxPostsPerBatch posts (default 10). Each post gets a
+   * short ref (P1, P2, ...) that the model echoes back; posts whose entry
+   * is missing, duplicated or unusable are re-scored one at a time.
+   * A prompt's token usage is split evenly over the posts it scored.
+   */
+  async scorePacked(posts, productContext = {}, options = {}) {
+    const provider = this.getProvider(options.provider);
+    const analyses = new Map();
+    const deliver = (post, analysis) => {
+      analyses.set(post, analysis);
+      options.onPostScored?.({ ...post, intentAnalysis: analysis });
+    };
+
+    if (!options.forceRescore) {
+      for (const post of posts) {
+        const cached = await scoreCacheService.get(this.cacheKey(post, productContext, provider, 'packed'));
+        if (cached) deliver(post, { ...cached, cached: true, usage: null });
       }
     }
 
-    return results;
+    const pending = posts.filter(post => !analyses.has(post));
+    const batches = this.packBatches(pending, productContext, options);
+    const stats = { mode: 'packed', requests: 0, batches: batches.length, packed: 0, fallbacks: 0 };
+    const usages = [];
+    let promptTokens = 0;
+
+    console.log(`🤖 Packed scoring: ${pending.length} posts in ${batches.length} prompts (${posts.length - pending.length} cached)`);
+
+    const concurrency = options.concurrency || 3;
+    for (let i = 0; i < batches.length; i += concurrency) {
+      if (options.signal?.aborted) break;
+      await Promise.all(batches.slice(i, i + concurrency).map(async (batch) => {
+        stats.requests++;
+        promptTokens += batch.tokens;
+
+        const { mapped, usage } = await this.analyzePacked(provider, batch.items, productContext);
+        usages.push(usage);
+
+        const share = this.splitUsage(usage, mapped.length);
+        for (const { post, analysis } of mapped) {
+          deliver(post, { ...analysis, usage: share });
+          await scoreCacheService.set(this.cacheKey(post, productContext, provider, 'packed'), analysis);
+          stats.packed++;
+        }
+      }));
+    }
+
+    // Anything the model dropped or mangled gets scored on its own
+    const missing = options.signal?.aborted ? [] : pending.filter(post => !analyses.has(post));
+    if (missing.length > 0) {
+      console.warn(`🤖 Packed scoring: ${missing.length} posts missing from responses - scoring individually`);
+    }
+    for (const post of missing) {
+      if (options.signal?.aborted) break;
+      const analysis = await this.scorePost(post, productContext, { ...options, forceRescore: true });
+      deliver(post, analysis);
+      usages.push(analysis.usage);
+      stats.requests++;
+      stats.fallbacks++;
+      promptTokens += this.estimateSingleTokens(post, productContext);
+    }
+
+    const single = this.averageTokens(pending.map(post => this.estimateSingleTokens(post, productContext)));
+    const packed = pending.length ? Math.round(promptTokens / pending.length) : null;
+
+    return {
+      posts: posts.map(post => ({ ...post, intentAnalysis: analyses.get(post) })),
+      batch: {
+        ...stats,
+        estimatedTokensPerPost: { single, packed },
+        savingsPercent: single && packed ? Math.round((1 - packed / single) * 100) : null
+      },
+      usage: this.sumUsage(usages)
+    };
+  }
+
+  /**
+   * Send one packed prompt and map the entries back to posts by ref
+   * 
+   * @returns {Promise<{mapped: Array<{post, analysis}>, usage: Object}>} Only posts
+   *   with a valid entry are mapped; usage covers the whole prompt
+   */
+  async analyzePacked(provider, items, productContext) {
+    let usage = null;
+
+    try {
+      const { result: response, usage: reported } = await provider.analyzeMany({
+        items,
+        productContext,
+        system: this.getBatchSystemPrompt(),
+        prompt: this.buildBatchPrompt(items, productContext),
+        temperature: 0.3,
+        maxTokens: Math.min(300 * items.length + 100, 8000)
+      });
+      usage = this.normalizeUsage(reported);
+
+      const entries = Array.isArray(response) ? response : response?.results;
+      if (!Array.isArray(entries)) {
+        throw new Error('response has no results array');
+      }
+
+      const byRef = new Map(items.map(item => [item.ref, item.post]));
+      const mapped = [];
+
+      for (const entry of entries) {
+        const ref = String(entry?.id ?? '').trim().toUpperCase();
+        const post = byRef.get(ref);
+        if (!post || !Number.isFinite(parseFloat(entry.score))) continue;
+
+        byRef.delete(ref); // a repeated ref keeps its first entry
+        mapped.push({ post, analysis: this.normalizeResult(entry, provider) });
+      }
+
+      return { mapped, usage };
+
+    } catch (error) {
+      const message = error.response?.data?.error?.message || error.message;
+      console.error(`AI packed scoring error (${provider.name}): ${message}`);
+      return { mapped: [], usage };
+    }
+  }
+
+  /**
+   * Greedily pack posts into batches under the token budget
+   */
+  packBatches(posts, productContext, options = {}) {
+    const budget = options.batchTokenBudget || 6000;
+    const maxPosts = options.maxPostsPerBatch || 10;
+    const overhead = this.estimateTokens(this.getBatchSystemPrompt() + this.buildProductContext(productContext)) + 100;
+
+    const batches = [];
+    let current = { items: [], tokens: overhead };
+
+    for (const post of posts) {
+      const tokens = this.estimateTokens(this.buildPostSection(post)) + 10;
+
+      if (current.items.length > 0 && (current.tokens + tokens > budget || current.items.length >= maxPosts)) {
+        batches.push(current);
+        current = { items: [], tokens: overhead };
+      }
+
+      current.items.push({ ref: `P${current.items.length + 1}`, post });
+      current.tokens += tokens;
+    }
+
+    if (current.items.length > 0) batches.push(current);
+    return batches;
+  }
+
+  /**
+   * Cache key for a post under this provider and prompt version. Single
+   * and packed mode use different prompts, so they don't share scores.
+   * 
+   * @param {string} mode - 'single' | 'packed'
+   */
+  cacheKey(post, productContext, provider, mode = 'single') {
+    return scoreCacheService.key(post, productContext, {
+      provider: provider.name,
+      model: provider.model,
+      promptVersion: mode === 'packed' ? BATCH_PROMPT_VERSION : PROMPT_VERSION
+    });
+  }
+
+  /**
+   * Rough token count (~4 characters per token)
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  /**
+   * Estimated input tokens to score a post on its own
+   */
+  estimateSingleTokens(post, productContext) {
+    return this.estimateTokens(this.getSystemPrompt() + this.buildPrompt(post, productContext));
+  }
+
+  averageTokens(counts) {
+    return counts.length ? Math.round(counts.reduce((sum, n) => sum + n, 0) / counts.length) : null;
+  }
+
+  /**
+   * Token usage as reported by a provider, with missing counts as 0
+   */
+  normalizeUsage(usage) {
+    return {
+      promptTokens: parseInt(usage?.promptTokens) || 0,
+      completionTokens: parseInt(usage?.completionTokens) || 0
+    };
+  }
+
+  /**
+   * Share of a packed prompt's usage for each of `count` posts
+   */
+  splitUsage(usage, count) {
+    if (!usage || count === 0) return null;
+    return {
+      promptTokens: Math.round(usage.promptTokens / count),
+      completionTokens: Math.round(usage.completionTokens / count)
+    };
+  }
+
+  /**
+   * Total usage of a set of requests (null entries - cache hits, errors - are skipped)
+   */
+  sumUsage(usages) {
+    const total = { requests: 0, promptTokens: 0, completionTokens: 0 };
+    for (const usage of usages) {
+      if (!usage) continue;
+      total.requests++;
+      total.promptTokens += usage.promptTokens;
+      total.completionTokens += usage.completionTokens;
+    }
+    return total;
   }
 
   /**
    * Get the system prompt for intent analysis
    */
   getSystemPrompt() {
-    return `You are an expert sales intelligence analyst. Your job is to analyze social media posts and determine the likelihood that the author is actively looking to purchase a software product or service.
+    return `${SYSTEM_INTRO}
 
 You must respond with a JSON object containing:
 {
-  "score": <number 0-100>,
-  "level": "<HIGH|MEDIUM|LOW|NONE>",
-  "confidence": <number 0.0-1.0>,
-  "buyingSignals": ["<signal1>", "<signal2>"],
-  "painPoints": ["<pain1>", "<pain2>"],
-  "urgency": "<IMMEDIATE|SHORT_TERM|EXPLORING|NONE>",
-  "recommendedAction": "<CONTACT_NOW|NURTURE|MONITOR|SKIP>",
-  "summary": "<one sentence summary of the opportunity>"
+${RESULT_FIELDS}
 }
 
-Scoring guidelines:
-- 80-100 (HIGH): Actively searching, mentions budget/timeline, comparing options
-- 50-79 (MEDIUM): Expressing frustration, asking for recommendations, researching
-- 20-49 (LOW): General discussion, mild interest, future consideration
-- 0-19 (NONE): No buying intent, just sharing info, already solved
+${SCORING_GUIDE}`;
+  }
 
-Key signals to look for:
-- Direct asks: "looking for", "need a", "recommend", "best tool for"
-- Comparison shopping: "alternative to", "vs", "switching from"
-- Pain indicators: "frustrated", "tired of", "too expensive", "doesn't work"
-- Timeline hints: "ASAP", "this quarter", "before launch", "urgently"
-- Budget mentions: "budget", "pricing", "cost", "affordable"`;
+  /**
+   * System prompt for packed mode - same guidance, one entry per post
+   */
+  getBatchSystemPrompt() {
+    return `${SYSTEM_INTRO}
+
+You will receive several posts, each headed "=== POST <id> ===". Assess each post on its own.
+You must respond with a JSON object containing one entry per post, in the same order:
+{
+  "results": [{
+  "id": "<the post id, e.g. P1>",
+${RESULT_FIELDS}
+  }]
+}
+
+${SCORING_GUIDE}`;
   }
 
   /**
    * Build the analysis prompt for a specific post
    */
   buildPrompt(post, productContext) {
-    let prompt = `Analyze this social media post for buying intent:
+    return `Analyze this social media post for buying intent:
+
+${this.buildPostDetails(post)}${this.buildProductContext(productContext)}${this.buildSignals(post)}
+Analyze this post and return your assessment as JSON.`;
+  }
+
+  /**
+   * Build one prompt covering several posts (product context once, up top)
+   * 
+   * @param {Array<{ref, post}>} items
+   */
+  buildBatchPrompt(items, productContext) {
+    const sections = items.map(({ ref, post }) => `=== POST ${ref} ===\n${this.buildPostSection(post)}`);
 
-PLATFORM: ${post.platform}
+    return `Analyze each of these ${items.length} social media posts for buying intent:
+${this.buildProductContext(productContext)}
+${sections.join('\n')}
+Return one assessment per post (${items.map(i => i.ref).join(', ')}) as JSON.`;
+  }
+
+  /**
+   * A post's details and pre-detected signals, as used in packed prompts
+   */
+  buildPostSection(post) {
+    return `${this.buildPostDetails(post)}${this.buildSignals(post)}`;
+  }
+
+  /**
+   * Platform, text and engagement of a post
+   */
+  buildPostDetails(post) {
+    return `PLATFORM: ${post.platform}
 ${post.subreddit ? `SUBREDDIT: r/${post.subreddit}` : ''}
 ${post.storyType ? `TYPE: ${post.storyType}` : ''}
+${post.repo ? `REPOSITORY: ${post.repo} (${post.itemType || 'Issue'}, ${post.state || 'open'})` : ''}
+${post.tags?.length ? `TAGS: ${post.tags.join(', ')}` : ''}
+${post.labels?.length ? `LABELS: ${post.labels.join(', ')}` : ''}
 
 TITLE: ${post.title}
 
 CONTENT:
 ${post.body || '(no body text)'}
-
-ENGAGEMENT: ${post.metrics?.score || 0} upvotes, ${post.metrics?.comments || 0} comments
+${post.parent?.text ? `
+REPLYING TO (${post.parent.author}):
+${post.parent.text.slice(0, 1000)}
+` : ''}
+ENGAGEMENT: ${post.metrics?.score || 0} upvotes, ${post.metrics?.comments || 0} comments${post.metrics?.reactions ? `, ${post.metrics.reactions} reactions` : ''}
 `;
+  }
+
+  /**
+   * Product context block (empty when none is provided)
+   */
+  buildProductContext(productContext = {}) {
+    if (!productContext.productName && !productContext.productType) return '';
 
-    // Add product context if provided
-    if (productContext.productName || productContext.productType) {
-      prompt += `
+    return `
 CONTEXT - We are looking for leads for:
 - Product: ${productContext.productName || 'Not specified'}
 - Type: ${productContext.productType || 'Not specified'}
 - Solves: ${productContext.problemsSolved?.join(', ') || 'Not specified'}
 - Competitors: ${productContext.competitors?.join(', ') || 'Not specified'}
 `;
-    }
+  }
 
-    // Add detected signals from keyword matching
-    if (post.signals) {
-      prompt += `
+  /**
+   * Signals detected by keyword matching (empty when not available)
+   */
+  buildSignals(post) {
+    if (!post.signals) return '';
+
+    return `
 PRE-DETECTED SIGNALS:
 - Matched keywords: ${post.signals.matchedKeywords?.join(', ') || 'none'}
 - Intent keywords: ${post.signals.matchedIntentKeywords?.join(', ') || 'none'}
@@ -174,18 +527,12 @@ PRE-DETECTED SIGNALS:
 - Competitors mentioned: ${post.signals.matchedCompetitors?.join(', ') || 'none'}
 - Keyword relevance score: ${post.signals.relevanceScore || 0}/100
 `;
-    }
-
-    prompt += `
-Analyze this post and return your assessment as JSON.`;
-
-    return prompt;
   }
 
   /**
    * Normalize and validate the AI response
    */
-  normalizeResult(result) {
+  normalizeResult(result, provider) {
     return {
       score: Math.min(100, Math.max(0, parseInt(result.score) || 0)),
       level: ['HIGH', 'MEDIUM', 'LOW', 'NONE'].includes(result.level) 
@@ -202,7 +549,8 @@ Analyze this post and return your assessment as JSON.`;
         : 'MONITOR',
       summary: result.summary || 'No summary available',
       scoredAt: new Date().toISOString(),
-      model: this.model
+      provider: provider.name,
+      model: provider.model
     };
   }
 
@@ -228,7 +576,7 @@ Analyze this post and return your assessment as JSON.`;
       painPoints: [],
       urgency: null,
       recommendedAction: null,
-      summary: 'AI scoring disabled - set OPENAI_API_KEY to enable',
+      summary: 'AI scoring disabled - set OPENAI_API_KEY, ANTHROPIC_API_KEY or AI_PROVIDER to enable',
       error: 'AI_DISABLED'
     };
   }
@@ -254,4 +602,4 @@ Analyze this post and return your assessment as JSON.`;
 // Singleton instance
 const intentScoringService = new IntentScoringService();
 
-module.exports = { IntentScoringService, intentScoringService };
\ No newline at end of file
+module.exports = { IntentScoringService, intentScoringService, PROMPT_VERSION, BATCH_PROMPT_VERSION, BATCH_MODES };
\ No newline at end of file
@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const { FileStore } = require('../stores/file.store');
+const { withSignal } = require('../http/http-client');
+const { checkPublicUrl, createPublicHttpClient, signatureHeaders } = require('../http/outbound');
+const { workspaceService, DEFAULT_WORKSPACE_ID } = require('./workspace.service');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_RETENTION_HOURS = 24;
+const DEFAULT_MAX_QUEUED = 100;
+const DEFAULT_MAX_PENDING_PER_WORKSPACE = 10;
+const PRUNE_INTERVAL_MS = 10 * 60000;
+
+/**
+ * Job Service
+ * 
+ * Runs AI searches in the background so callers don't have to hold a
+ * request open past their gateway's timeout. Jobs wait in a FIFO queue
+ * and run on a bounded pool of workers; progress (platforms done, posts
+ * scored) is tracked live and the final result is kept until the
+ * retention period passes. An optional callback URL gets the finished job,
+ * signed with the job's callback secret and sent once (public hosts only).
+ * Jobs belong to the workspace of the key that queued them. The queue is
+ * bounded overall and per workspace (queued + running), so one caller
+ * can't fill memory or starve everyone else.
+ * 
+ * Env: JOB_CONCURRENCY (default: 2), JOB_RETENTION_HOURS (default: 24),
+ *      JOB_MAX_QUEUED (default: 100), JOB_MAX_PENDING_PER_WORKSPACE (default: 10)
+ */
+class JobService {
+  constructor(searchService) {
+    this.searchService = searchService;
+    this.store = new FileStore('jobs');
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY) || DEFAULT_CONCURRENCY;
+    this.retentionMs = (parseFloat(process.env.JOB_RETENTION_HOURS) || DEFAULT_RETENTION_HOURS) * 3600000;
+    this.maxQueued = parseInt(process.env.JOB_MAX_QUEUED) || DEFAULT_MAX_QUEUED;
+    this.maxPendingPerWorkspace = parseInt(process.env.JOB_MAX_PENDING_PER_WORKSPACE) || DEFAULT_MAX_PENDING_PER_WORKSPACE;
+    this.client = createPublicHttpClient({ timeout: 10000 });
+    this.queue = [];
+    this.active = 0;
+    this.live = new Map(); // id -> { controller, progress, workspaceId } while queued or running
+    this.timer = null;
+  }
+
+  /**
+   * Fail jobs cut off by a restart and start pruning expired ones
+   */
+  start() {
+    if (this.timer) return;
+
+    const interrupted = this.store.all().filter(job => !FINISHED_STATUSES.includes(job.status));
+    this.store.setMany(interrupted.map(job => [job.id, {
+      ...job,
+      status: 'failed',
+      error: 'Interrupted by server restart',
+      finishedAt: new Date().toISOString()
+    }]));
+
+    this.prune();
+    this.timer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this.timer.unref();
+    console.log(`🧵 Job workers started (concurrency ${this.concurrency})`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Queue an AI search
+   * 
+   * @param {Object} input - { criteria, platforms, aiOptions, callbackUrl, callbackSecret }
+   * @param {Object} scope - { workspaceId, apiKeyId } the search runs on behalf of
+   */
+  create(input, { workspaceId = DEFAULT_WORKSPACE_ID, apiKeyId = null } = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      workspaceId,
+      status: 'queued',
+      request: {
+        criteria: input.criteria,
+        platforms: input.platforms || null,
+        aiOptions: input.aiOptions || {}
+      },
+      usageContext: { workspaceId, apiKeyId },
+      callbackUrl: input.callbackUrl || null,
+      callbackSecret: input.callbackUrl ? input.callbackSecret || crypto.randomBytes(24).toString('base64url') : null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null,
+      result: null,
+      error: null,
+      callback: null
+    };
+
+    this.store.set(job.id, job);
+    this.live.set(job.id, { controller: new AbortController(), progress: this.emptyProgress(), workspaceId });
+    this.queue.push(job.id);
+    this.pump();
+
+    const created = this.get(job.id);
+    return job.callbackSecret ? { ...created, callbackSecret: job.callbackSecret } : created;
+  }
+
+  /**
+   * Why a workspace can't queue another job right now, or null
+   * 
+   * @returns {Object|null} { status, error } - 429 when the workspace has
+   *   too many jobs pending, 503 when the whole queue is full
+   */
+  capacityError(workspaceId = DEFAULT_WORKSPACE_ID) {
+    const pending = [...this.live.values()].filter(entry => entry.workspaceId === workspaceId).length;
+    if (pending >= this.maxPendingPerWorkspace) {
+      return { status: 429, error: `Too many pending jobs: at most ${this.maxPendingPerWorkspace} queued or running per workspace` };
+    }
+
+    if (this.queue.length >= this.maxQueued) {
+      return { status: 503, error: 'The job queue is full, try again later' };
+    }
+    return null;
+  }
+
+  list({ status, workspaceId = DEFAULT_WORKSPACE_ID } = {}) {
+    return this.store.all()
+      .filter(job => this.workspaceOf(job) === workspaceId)
+      .filter(job => !status || job.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(job => this.toPublic(job, { includeResult: false }));
+  }
+
+  /**
+   * @param {string} workspaceId - Treat jobs of other workspaces as missing
+   */
+  get(id, workspaceId = null) {
+    const job = this.find(id, workspaceId);
+    return job ? this.toPublic(job) : null;
+  }
+
+  find(id, workspaceId = null) {
+    const job = this.store.get(id);
+    if (!job || (workspaceId && this.workspaceOf(job) !== workspaceId)) return null;
+    return job;
+  }
+
+  workspaceOf(job) {
+    return job.workspaceId || DEFAULT_WORKSPACE_ID;
+  }
+
+  /**
+   * Cancel a queued or running job; delete a finished one
+   * 
+   * @returns {Object|null} { job, deleted }, or null when not found
+   */
+  cancel(id, workspaceId = null) {
+    const job = this.find(id, workspaceId);
+    if (!job) return null;
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+      this.store.delete(id);
+      return { job: this.toPublic(job, { includeResult: false }), deleted: true };
+    }
+
+    this.queue = this.queue.filter(queuedId => queuedId !== id);
+    this.live.get(id)?.controller.abort();
+    console.log(`🧵 Job ${id} cancelled`);
+
+    return { job: this.finish(id, { status: 'cancelled', error: 'Cancelled by request' }), deleted: false };
+  }
+
+  /**
+   * Start queued jobs while workers are free
+   */
+  pump() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const id = this.queue.shift();
+      this.active++;
+
+      this.execute(id)
+        .catch(error => console.error(`Job error (${id}): ${error.message}`))
+        .finally(() => {
+          this.active--;
+          this.pump();
+        });
+    }
+  }
+
+  /**
+   * Run one job to the end (a cancelled job keeps the worker until its
+   * in-flight requests have unwound)
+   */
+  async execute(id) {
+    const job = this.store.get(id);
+    const { controller, progress } = this.live.get(id);
+
+    this.store.set(id, { ...job, status: 'running', startedAt: new Date().toISOString() });
+    console.log(`🧵 Job ${id} started`);
+
+    const { criteria, platforms, aiOptions } = job.request;
+
+    try {
+      const result = await withSignal(controller.signal, () => this.searchService.searchWithAI(criteria, platforms, {
+        ...workspaceService.searchOptions({ workspaceId: this.workspaceOf(job), apiKeyId: job.usageContext?.apiKeyId }, aiOptions),
+        signal: controller.signal,
+        onProgress: (event, data) => this.trackProgress(progress, event, data)
+      }));
+
+      this.finish(id, { status: 'completed', result });
+
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.error(`Job ${id} failed: ${error.message}`);
+        this.finish(id, { status: 'failed', error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Record a final state (ignored once the job is already finished)
+   */
+  finish(id, { status, result = null, error = null }) {
+    const job = this.store.get(id);
+    if (!job || FINISHED_STATUSES.includes(job.status)) return job && this.toPublic(job);
+
+    const progress = this.live.get(id)?.progress || job.progress;
+    this.live.delete(id);
+
+    const now = Date.now();
+    const finished = {
+      ...job,
+      status,
+      progress,
+      result,
+      error,
+      finishedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.retentionMs).toISOString()
+    };
+
+    this.store.set(id, finished);
+    if (status === 'completed') {
+      console.log(`🧵 Job ${id} completed: ${result.posts.length} posts, ${result.byIntentLevel?.HIGH || 0} HIGH`);
+    }
+
+    if (finished.callbackUrl) {
+      this.sendCallback(finished).catch(err => {
+        console.error(`Job callback error (${id}): ${err.message}`);
+      });
+    }
+
+    return this.toPublic(finished);
+  }
+
+  emptyProgress() {
+    return {
+      platforms: { done: 0, total: null },
+      posts: { scored: 0, total: null }
+    };
+  }
+
+  /**
+   * Update live progress from searchWithAI's onProgress events
+   */
+  trackProgress(progress, event, data) {
+    if (event === 'start') progress.platforms.total = data.platforms.length;
+    if (event === 'platform') progress.platforms.done++;
+    if (event === 'scoring') progress.posts.total = data.toScore;
+    if (event === 'post') progress.posts.scored++;
+  }
+
+  /**
+   * POST the finished job to its callback URL, signed like notification
+   * webhooks. Sent once - a job result isn't safe to deliver twice.
+   */
+  async sendCallback(job) {
+    const body = JSON.stringify({ event: `job.${job.status}`, job: this.toPublic(job) });
+    const headers = { 'Content-Type': 'application/json' };
+    if (job.callbackSecret) Object.assign(headers, signatureHeaders(job.callbackSecret, body));
+
+    let callback;
+    try {
+      // IP literals never reach the agent's DNS check
+      const urlError = await checkPublicUrl(job.callbackUrl);
+      if (urlError) throw new Error(`callbackUrl ${urlError}`);
+
+      const response = await this.client.post(job.callbackUrl, body, { headers });
+      callback = { success: true, status: response.status, sentAt: new Date().toISOString() };
+    } catch (error) {
+      callback = { success: false, status: error.response?.status || null, error: error.message, sentAt: new Date().toISOString() };
+      console.warn(`[Jobs] Callback to ${job.callbackUrl} failed: ${error.message}`);
+    }
+
+    const current = this.store.get(job.id);
+    if (current) this.store.set(job.id, { ...current, callback });
+  }
+
+  /**
+   * Drop finished jobs past their retention period
+   */
+  prune() {
+    const now = Date.now();
+    const expired = this.store.all()
+      .filter(job => job.expiresAt && new Date(job.expiresAt).getTime() <= now)
+      .map(job => job.id);
+
+    const removed = this.store.deleteMany(expired);
+    if (removed > 0) console.log(`🧵 Pruned ${removed} expired jobs`);
+  }
+
+  /**
+   * Job as returned by the API (live progress merged in)
+   */
+  toPublic(job, { includeResult = true } = {}) {
+    const { result, usageContext, callbackSecret, ...rest } = job;
+    const progress = this.live.get(job.id)?.progress || job.progress || this.emptyProgress();
+
+    return {
+      ...rest,
+      progress,
+      queuePosition: job.status === 'queued' ? this.queue.indexOf(job.id) + 1 : null,
+      ...(includeResult ? { result } : {})
+    };
+  }
+}
+
+module.exports = { JobService, JOB_STATUSES };
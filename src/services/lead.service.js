@@ -0,0 +1,263 @@
+const { FileStore } = require('../stores/file.store');
+
+const LEAD_STATUSES = ['new', 'contacted', 'qualified', 'dismissed'];
+const MAX_HISTORY = 20;
+
+/**
+ * Lead Service
+ * 
+ * Persistent lead repository. Every AI-scored post is upserted by
+ * platform + id, keeping its intent analysis history and a sales
+ * status (new → contacted → qualified / dismissed) with notes.
+ */
+class LeadService {
+  constructor(store = new FileStore('leads')) {
+    this.store = store;
+  }
+
+  /**
+   * Lead id for a post. A post merged with duplicates (alsoSeenOn) maps
+   * to the lead of whichever group member is already stored, so the
+   * group stays one lead when its primary post changes between runs.
+   */
+  leadId(post) {
+    const own = `${post.platform}:${post.id}`;
+    if (!post.alsoSeenOn?.length || this.store.has(own)) return own;
+
+    const known = post.alsoSeenOn
+      .map(duplicate => `${duplicate.platform}:${duplicate.id}`)
+      .find(id => this.store.has(id));
+    return known || own;
+  }
+
+  get(id) {
+    return this.store.get(id);
+  }
+
+  isKnown(post) {
+    return this.store.has(this.leadId(post));
+  }
+
+  /**
+   * Attach lead info (id, status, known) to posts without saving anything
+   */
+  markKnown(posts) {
+    return posts.map(post => {
+      const lead = this.store.get(this.leadId(post));
+      return {
+        ...post,
+        lead: {
+          id: this.leadId(post),
+          status: lead?.status || null,
+          known: !!lead
+        }
+      };
+    });
+  }
+
+  /**
+   * Upsert scored posts into the lead store
+   * 
+   * @returns {Array} Posts with a `lead` block attached
+   */
+  upsertPosts(posts) {
+    const now = new Date().toISOString();
+    const entries = [];
+
+    const marked = posts.map(post => {
+      const id = this.leadId(post);
+      const existing = this.store.get(id);
+      const { intentAnalysis, lead: _lead, ...snapshot } = post;
+
+      const history = [...(existing?.intentHistory || [])];
+      // A cached analysis (same scoredAt) is already in the history
+      const isNewAnalysis = intentAnalysis?.scoredAt !== history[history.length - 1]?.scoredAt;
+      if (intentAnalysis && intentAnalysis.score !== null && intentAnalysis.score !== undefined && isNewAnalysis) {
+        history.push({
+          score: intentAnalysis.score,
+          level: intentAnalysis.level,
+          recommendedAction: intentAnalysis.recommendedAction,
+          summary: intentAnalysis.summary,
+          model: intentAnalysis.model,
+          scoredAt: intentAnalysis.scoredAt || now
+        });
+      }
+
+      const lead = {
+        id,
+        platform: existing?.platform || post.platform,
+        postId: existing?.postId || post.id,
+        post: snapshot,
+        intentAnalysis: intentAnalysis?.score !== null && intentAnalysis?.score !== undefined
+          ? intentAnalysis
+          : existing?.intentAnalysis || null,
+        intentHistory: history.slice(-MAX_HISTORY),
+        status: existing?.status || 'new',
+        notes: existing?.notes || [],
+        crm: existing?.crm || null,
+        notifiedAt: existing?.notifiedAt || null,
+        notifiedChannels: existing?.notifiedChannels || {},
+        firstSeenAt: existing?.firstSeenAt || now,
+        lastSeenAt: now,
+        statusUpdatedAt: existing?.statusUpdatedAt || now
+      };
+
+      entries.push([id, lead]);
+
+      return {
+        ...post,
+        lead: { id, status: lead.status, known: !!existing }
+      };
+    });
+
+    this.store.setMany(entries);
+    return marked;
+  }
+
+  /**
+   * List leads with optional filters
+   * 
+   * @param {Object} filters
+   * @param {string} filters.level - Intent level (HIGH, MEDIUM, LOW, NONE)
+   * @param {string} filters.platform - Platform name
+   * @param {string} filters.status - Lead status
+   * @param {string} filters.since - ISO date, lastSeenAt >= since
+   * @param {string} filters.until - ISO date, lastSeenAt <= until
+   */
+  list(filters = {}) {
+    const limit = Math.min(parseInt(filters.limit) || 50, 500);
+    const offset = parseInt(filters.offset) || 0;
+    const since = this.parseDate(filters.since, 'since');
+    const until = this.parseDate(filters.until, 'until');
+
+    const leads = this.store.all()
+      .filter(lead => {
+        if (filters.level && lead.intentAnalysis?.level !== filters.level.toUpperCase()) return false;
+        if (filters.platform && lead.platform !== filters.platform) return false;
+        if (filters.status && lead.status !== filters.status) return false;
+        const seen = new Date(lead.lastSeenAt).getTime();
+        if (since && seen < since) return false;
+        if (until && seen > until) return false;
+        return true;
+      })
+      .sort((a, b) => {
+        const scoreDiff = (b.intentAnalysis?.score ?? -1) - (a.intentAnalysis?.score ?? -1);
+        if (scoreDiff !== 0) return scoreDiff;
+        return new Date(b.lastSeenAt) - new Date(a.lastSeenAt);
+      });
+
+    return {
+      leads: leads.slice(offset, offset + limit),
+      total: leads.length,
+      limit,
+      offset
+    };
+  }
+
+  /**
+   * Timestamp of an optional ISO date filter - an unparseable one is an
+   * error rather than no filter at all
+   */
+  parseDate(value, name) {
+    if (!value) return null;
+
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) throw new Error(`${name} must be an ISO date`);
+    return time;
+  }
+
+  /**
+   * A lead as a post with its analysis and lead block (for exports and feeds)
+   */
+  toPost(lead) {
+    return {
+      ...lead.post,
+      intentAnalysis: lead.intentAnalysis,
+      lead: { id: lead.id, status: lead.status, known: true },
+      foundAt: lead.firstSeenAt
+    };
+  }
+
+  /**
+   * Leads as posts, most recently found first
+   */
+  recentPosts(filters = {}) {
+    return this.store.all()
+      .filter(lead => !filters.platform || lead.platform === filters.platform)
+      .filter(lead => !filters.status || lead.status === filters.status)
+      .sort((a, b) => b.firstSeenAt.localeCompare(a.firstSeenAt))
+      .map(lead => this.toPost(lead));
+  }
+
+  /**
+   * Update status and/or append a note
+   */
+  update(id, { status, note }) {
+    const lead = this.store.get(id);
+    if (!lead) return null;
+
+    if (status !== undefined && !LEAD_STATUSES.includes(status)) {
+      throw new Error(`Invalid status: ${status}. Must be one of: ${LEAD_STATUSES.join(', ')}`);
+    }
+
+    const now = new Date().toISOString();
+    const updated = { ...lead };
+
+    if (status !== undefined && status !== lead.status) {
+      updated.status = status;
+      updated.statusUpdatedAt = now;
+    }
+
+    if (note) {
+      updated.notes = [...lead.notes, { text: note, createdAt: now }];
+    }
+
+    return this.store.set(id, updated);
+  }
+
+  /**
+   * Flag leads as delivered to a notification channel
+   */
+  markNotified(ids, channelId) {
+    const now = new Date().toISOString();
+    const entries = ids
+      .map(id => this.store.get(id))
+      .filter(Boolean)
+      .map(lead => [lead.id, {
+        ...lead,
+        notifiedAt: now,
+        notifiedChannels: { ...(lead.notifiedChannels || {}), [channelId]: now }
+      }]);
+
+    this.store.setMany(entries);
+  }
+
+  /**
+   * Has a lead been delivered to this channel? (Leads from before
+   * per-channel tracking count as delivered everywhere once notified.)
+   */
+  wasNotified(lead, channelId) {
+    if (!lead) return false;
+    return lead.notifiedChannels ? !!lead.notifiedChannels[channelId] : !!lead.notifiedAt;
+  }
+
+  /**
+   * Remember the outcome of a CRM push on the lead
+   */
+  recordCrmSync(id, result) {
+    const lead = this.store.get(id);
+    if (!lead) return null;
+
+    const now = new Date().toISOString();
+    const crm = result.success
+      ? { name: result.name, pushedAt: now, lastError: null }
+      : { ...(lead.crm || {}), lastError: result.error, failedAt: now };
+
+    return this.store.set(id, { ...lead, crm });
+  }
+}
+
+// Singleton instance
+const leadService = new LeadService();
+
+module.exports = { LeadService, leadService, LEAD_STATUSES };
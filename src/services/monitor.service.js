@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const { FileStore } = require('../stores/file.store');
+const { keywordTerm } = require('../query/keyword-matcher');
+const { workspaceService, DEFAULT_WORKSPACE_ID } = require('./workspace.service');
+const { quotaService } = require('./quota.service');
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+const MIN_INTERVAL_MINUTES = 5;
+const TICK_MS = 30000;
+const MAX_SEEN_IDS = 5000;
+const MAX_FEED_ITEMS = 200;
+
+/**
+ * Monitor Service
+ * 
+ * Saved searches that re-run on a schedule. Each monitor keeps a cursor
+ * of post keys it has already reported, so every run only returns posts
+ * that are new since the previous runs.
+ * 
+ * Monitors belong to a workspace and run on behalf of the API key that
+ * created them: scheduled runs count against that key's daily search
+ * quota and are skipped once it is used up or the key is revoked.
+ */
+class MonitorService {
+  constructor(searchService) {
+    this.searchService = searchService;
+    this.store = new FileStore('monitors');
+    this.timer = null;
+    this.running = new Set();
+  }
+
+  /**
+   * Start the in-process scheduler
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+    this.timer.unref();
+    console.log(`⏰ Monitor scheduler started (${this.store.all().length} monitors)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run every enabled monitor that is due
+   */
+  async tick() {
+    const now = Date.now();
+    const due = this.store.all()
+      .filter(m => m.enabled && new Date(m.nextRunAt).getTime() <= now);
+
+    for (const monitor of due) {
+      // Still busy with an earlier run - nextRunAt moves once that finishes
+      if (this.running.has(monitor.id)) continue;
+
+      if (monitor.apiKeyId && !quotaService.consumeSearch(monitor.apiKeyId)) {
+        this.skip(monitor, 'Daily search quota of the API key that created this monitor is used up (or the key was revoked)');
+        continue;
+      }
+      await this.runCounted(monitor);
+    }
+  }
+
+  /**
+   * Run a due monitor whose search was already counted, and give the
+   * search back when no search happened or it failed
+   */
+  async runCounted(monitor) {
+    let result = null;
+    try {
+      result = await this.run(monitor.id);
+    } catch (error) {
+      console.error(`Monitor run error (${monitor.id}): ${error.message}`);
+    }
+
+    const searched = result && !result.alreadyRunning && result.lastRun?.success !== false;
+    if (monitor.apiKeyId && !searched) quotaService.refundSearch(monitor.apiKeyId);
+  }
+
+  /**
+   * Record a scheduled run that didn't happen and wait for the next one
+   */
+  skip(monitor, error) {
+    const now = new Date().toISOString();
+    console.warn(`⏰ Skipping monitor "${monitor.name}" (${monitor.id}): ${error}`);
+
+    this.store.set(monitor.id, {
+      ...monitor,
+      nextRunAt: new Date(Date.now() + monitor.intervalMinutes * 60000).toISOString(),
+      lastRun: { startedAt: now, finishedAt: now, success: false, skipped: true, totalFound: 0, newCount: 0, newPosts: [], errors: [{ error }] }
+    });
+  }
+
+  /**
+   * @param {string} workspaceId - Only this workspace's monitors
+   */
+  list(workspaceId = DEFAULT_WORKSPACE_ID) {
+    return this.store.all()
+      .filter(m => this.workspaceOf(m) === workspaceId)
+      .map(m => this.toPublic(m));
+  }
+
+  /**
+   * @param {string} workspaceId - Treat monitors of other workspaces as missing
+   */
+  get(id, workspaceId = null) {
+    const monitor = this.find(id, workspaceId);
+    return monitor ? this.toPublic(monitor) : null;
+  }
+
+  /**
+   * Stored monitor, or null when missing or owned by another workspace
+   */
+  find(id, workspaceId = null) {
+    const monitor = this.store.get(id);
+    if (!monitor || (workspaceId && this.workspaceOf(monitor) !== workspaceId)) return null;
+    return monitor;
+  }
+
+  /**
+   * Monitors from before workspaces belong to the default one
+   */
+  workspaceOf(monitor) {
+    return monitor.workspaceId || DEFAULT_WORKSPACE_ID;
+  }
+
+  /**
+   * Create a new monitor
+   * 
+   * @param {Object} scope - { workspaceId, apiKeyId } it runs on behalf of
+   */
+  create(input, { workspaceId = DEFAULT_WORKSPACE_ID, apiKeyId = null } = {}) {
+    const now = new Date().toISOString();
+    const intervalMinutes = this.normalizeInterval(input.intervalMinutes);
+
+    const monitor = {
+      id: crypto.randomUUID(),
+      name: input.name || input.criteria.query || input.criteria.keywords.map(keywordTerm).join(', '),
+      criteria: input.criteria,
+      platforms: input.platforms || null,
+      aiOptions: input.aiOptions || {},
+      workspaceId,
+      apiKeyId,
+      intervalMinutes,
+      enabled: input.enabled !== false,
+      createdAt: now,
+      updatedAt: now,
+      lastRunAt: null,
+      nextRunAt: now,
+      cursor: { seen: [] },
+      lastRun: null
+    };
+
+    this.store.set(monitor.id, monitor);
+    return this.toPublic(monitor);
+  }
+
+  /**
+   * Update a monitor (partial)
+   */
+  update(id, changes, workspaceId = null) {
+    const monitor = this.find(id, workspaceId);
+    if (!monitor) return null;
+
+    const updated = { ...monitor, updatedAt: new Date().toISOString() };
+
+    for (const field of ['name', 'criteria', 'platforms', 'aiOptions', 'enabled']) {
+      if (changes[field] !== undefined) updated[field] = changes[field];
+    }
+
+    if (changes.intervalMinutes !== undefined) {
+      updated.intervalMinutes = this.normalizeInterval(changes.intervalMinutes);
+      const base = monitor.lastRunAt ? new Date(monitor.lastRunAt).getTime() : Date.now();
+      updated.nextRunAt = new Date(base + updated.intervalMinutes * 60000).toISOString();
+    }
+
+    // Changing what we search for invalidates the cursor; `resets` lets a
+    // run in progress tell that it happened
+    if (changes.resetCursor || changes.criteria !== undefined || changes.platforms !== undefined) {
+      updated.cursor = { seen: [], resets: (monitor.cursor?.resets || 0) + 1 };
+    }
+
+    this.store.set(id, updated);
+    return this.toPublic(updated);
+  }
+
+  delete(id, workspaceId = null) {
+    return !!this.find(id, workspaceId) && this.store.delete(id);
+  }
+
+  /**
+   * Delete every monitor of a workspace
+   */
+  deleteForWorkspace(workspaceId) {
+    return this.store.deleteMany(this.store.all().filter(m => this.workspaceOf(m) === workspaceId).map(m => m.id));
+  }
+
+  /**
+   * Run a monitor now and record posts not seen in earlier runs
+   */
+  async run(id, workspaceId = null) {
+    const monitor = this.find(id, workspaceId);
+    if (!monitor) return null;
+
+    if (this.running.has(id)) {
+      return { ...this.toPublic(monitor), alreadyRunning: true };
+    }
+
+    this.running.add(id);
+    const startedAt = new Date().toISOString();
+    console.log(`⏰ Running monitor "${monitor.name}" (${id})`);
+
+    let lastRun;
+    let seen = monitor.cursor?.seen || [];
+    let feedItems = [];
+
+    try {
+      const result = await this.searchService.searchWithAI(
+        monitor.criteria,
+        monitor.platforms,
+        workspaceService.searchOptions(
+          { workspaceId: this.workspaceOf(monitor), apiKeyId: monitor.apiKeyId, monitorId: monitor.id },
+          monitor.aiOptions
+        )
+      );
+
+      // A merged post is new only if no member of its group was seen -
+      // the primary can change between runs as engagement moves
+      const seenSet = new Set(seen);
+      const newPosts = result.posts.filter(p => !this.groupKeys(p).some(key => seenSet.has(key)));
+      seen = [...seen, ...result.posts.flatMap(p => this.groupKeys(p)).filter(key => !seenSet.has(key))]
+        .slice(-MAX_SEEN_IDS);
+      feedItems = newPosts
+        .filter(p => p.intentAnalysis?.score !== null && p.intentAnalysis?.score !== undefined)
+        .map(p => this.toFeedItem(p, startedAt));
+
+      lastRun = {
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        success: result.success,
+        totalFound: result.totalFound,
+        newCount: newPosts.length,
+        newPosts,
+        errors: result.errors || []
+      };
+
+      console.log(`⏰ Monitor "${monitor.name}": ${newPosts.length} new of ${result.posts.length} posts`);
+
+    } catch (error) {
+      console.error(`Monitor run error (${id}): ${error.message}`);
+      lastRun = {
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        success: false,
+        totalFound: 0,
+        newCount: 0,
+        newPosts: [],
+        errors: [{ error: error.message }]
+      };
+    } finally {
+      this.running.delete(id);
+    }
+
+    // Re-read in case the monitor was edited or deleted mid-run
+    const current = this.store.get(id);
+    if (!current) return null;
+
+    // Criteria edits during the run reset the cursor - don't overwrite that
+    const cursorWasReset = (current.cursor?.resets || 0) !== (monitor.cursor?.resets || 0);
+
+    const updated = {
+      ...current,
+      lastRunAt: lastRun.finishedAt,
+      nextRunAt: new Date(Date.now() + current.intervalMinutes * 60000).toISOString(),
+      cursor: cursorWasReset ? current.cursor : { ...current.cursor, seen },
+      feed: [...feedItems, ...(current.feed || [])].slice(0, MAX_FEED_ITEMS),
+      lastRun
+    };
+
+    this.store.set(id, updated);
+    return this.toPublic(updated);
+  }
+
+  /**
+   * Scored posts found by a monitor, newest first (for its Atom/RSS feed)
+   */
+  getFeed(id, workspaceId = null) {
+    const monitor = this.find(id, workspaceId);
+    return monitor ? { monitor: this.toPublic(monitor), posts: monitor.feed || [] } : null;
+  }
+
+  /**
+   * Trimmed copy of a new post for the monitor's feed
+   */
+  toFeedItem(post, foundAt) {
+    const { platform, id, title, url, author, createdAt, subreddit, site, repo, storyType, intentAnalysis } = post;
+    const { usage, ...analysis } = intentAnalysis;
+
+    return {
+      platform, id, title, url, createdAt, subreddit, site, repo, storyType,
+      author: { username: author?.username },
+      body: (post.body || '').slice(0, 1000),
+      intentAnalysis: analysis,
+      foundAt
+    };
+  }
+
+  /**
+   * Stable key for a post across runs
+   */
+  postKey(post) {
+    return `${post.platform}:${post.id}`;
+  }
+
+  /**
+   * Keys of a post and the duplicates merged into it
+   */
+  groupKeys(post) {
+    return [post, ...(post.alsoSeenOn || [])].map(p => this.postKey(p));
+  }
+
+  normalizeInterval(value) {
+    const minutes = parseInt(value) || DEFAULT_INTERVAL_MINUTES;
+    return Math.max(minutes, MIN_INTERVAL_MINUTES);
+  }
+
+  /**
+   * Strip internal cursor and feed state from API output
+   */
+  toPublic(monitor) {
+    const { cursor, feed, ...rest } = monitor;
+    return {
+      ...rest,
+      seenCount: cursor?.seen?.length || 0,
+      feedCount: feed?.length || 0,
+      running: this.running.has(monitor.id)
+    };
+  }
+}
+
+module.exports = { MonitorService };
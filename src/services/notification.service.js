@@ -0,0 +1,310 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { FileStore } = require('../stores/file.store');
+const { leadService } = require('./lead.service');
+const { signatureHeaders } = require('../http/outbound');
+const { DEFAULT_WORKSPACE_ID } = require('./workspace.service');
+
+const CHANNEL_TYPES = ['webhook', 'slack'];
+const DEFAULT_RULE = { levels: ['HIGH'], actions: ['CONTACT_NOW'], minScore: null };
+const MAX_ATTEMPTS = 4;
+const BASE_DELAY_MS = 1000;
+const MAX_LOG_ENTRIES = 500;
+
+/**
+ * Notification Service
+ * 
+ * Sends high-intent leads to outbound channels:
+ * - webhook: generic JSON POST signed with HMAC-SHA256 (X-Signature-256 header)
+ * - slack: Slack incoming webhook with a formatted message
+ * 
+ * Each channel has a rule; a post matches if its intent level, recommended
+ * action or score satisfies it. Failed deliveries retry with exponential
+ * backoff and every attempt lands in an in-memory delivery log. A lead
+ * counts as notified on a channel only once a delivery to it succeeded,
+ * so leads from failed deliveries go out again on the next run.
+ * 
+ * Channels belong to a workspace and only get that workspace's leads.
+ * Env channels belong to the default workspace.
+ */
+class NotificationService {
+  constructor(leadService) {
+    this.leadService = leadService;
+    this.store = new FileStore('notification-channels');
+    this.deliveries = [];
+    this.pending = new Set(); // "channelId|leadId" being delivered
+    this.client = axios.create({ timeout: 10000 });
+    this.envChannels = this.loadEnvChannels();
+  }
+
+  /**
+   * Channels configured through env vars (read-only)
+   */
+  loadEnvChannels() {
+    const channels = [];
+
+    if (process.env.SLACK_WEBHOOK_URL) {
+      channels.push({
+        id: 'env-slack',
+        type: 'slack',
+        url: process.env.SLACK_WEBHOOK_URL,
+        workspaceId: DEFAULT_WORKSPACE_ID,
+        rule: DEFAULT_RULE,
+        enabled: true,
+        source: 'env'
+      });
+    }
+
+    if (process.env.NOTIFY_WEBHOOK_URL) {
+      channels.push({
+        id: 'env-webhook',
+        type: 'webhook',
+        url: process.env.NOTIFY_WEBHOOK_URL,
+        secret: process.env.NOTIFY_WEBHOOK_SECRET || null,
+        workspaceId: DEFAULT_WORKSPACE_ID,
+        rule: DEFAULT_RULE,
+        enabled: true,
+        source: 'env'
+      });
+    }
+
+    return channels;
+  }
+
+  getChannels() {
+    return [...this.envChannels, ...this.store.all()];
+  }
+
+  getChannel(id) {
+    return this.getChannels().find(c => c.id === id) || null;
+  }
+
+  workspaceOf(channel) {
+    return channel.workspaceId || DEFAULT_WORKSPACE_ID;
+  }
+
+  /**
+   * Channel as returned by the API (secret hidden)
+   */
+  toPublic(channel) {
+    const { secret, ...rest } = channel;
+    return { ...rest, hasSecret: !!secret };
+  }
+
+  createChannel(input) {
+    const channel = {
+      id: crypto.randomUUID(),
+      name: input.name || input.type,
+      type: input.type,
+      url: input.url,
+      secret: input.secret || null,
+      workspaceId: input.workspaceId || DEFAULT_WORKSPACE_ID,
+      rule: input.rule ? { levels: [], actions: [], minScore: null, ...input.rule } : DEFAULT_RULE,
+      enabled: input.enabled !== false,
+      source: 'api',
+      createdAt: new Date().toISOString()
+    };
+
+    this.store.set(channel.id, channel);
+    return channel;
+  }
+
+  deleteChannel(id) {
+    return this.store.delete(id);
+  }
+
+  /**
+   * Does a scored post match a channel rule?
+   */
+  matchesRule(post, rule = DEFAULT_RULE) {
+    const analysis = post.intentAnalysis;
+    if (!analysis || analysis.score === null || analysis.score === undefined) return false;
+
+    if (rule.levels?.includes(analysis.level)) return true;
+    if (rule.actions?.includes(analysis.recommendedAction)) return true;
+    if (rule.minScore !== null && rule.minScore !== undefined && analysis.score >= rule.minScore) return true;
+    return false;
+  }
+
+  /**
+   * Notify the workspace's enabled channels about matching posts.
+   * Posts already delivered to a channel (tracked on the lead) or on
+   * their way there are skipped for that channel.
+   * 
+   * Deliveries (with retries) run in the background; returns what was queued.
+   * 
+   * @param {LeadService} leads - Lead store the posts were saved in (default: the shared one)
+   * @param {string} workspaceId - Workspace the leads belong to
+   */
+  notify(posts, leads = this.leadService, workspaceId = DEFAULT_WORKSPACE_ID) {
+    const queued = [];
+    const matchedIds = new Set();
+    const channels = this.getChannels().filter(c => c.enabled && this.workspaceOf(c) === workspaceId);
+
+    // Receivers get the stored lead id, which for a duplicate group can
+    // differ from the post's own platform:id
+    const withLeadIds = posts.map(p => ({ ...p, lead: { ...p.lead, id: leads.leadId(p) } }));
+
+    for (const channel of channels) {
+      const matched = withLeadIds.filter(p => {
+        const id = p.lead.id;
+        return this.matchesRule(p, channel.rule)
+          && !this.pending.has(`${channel.id}|${id}`)
+          && !leads.wasNotified(leads.get(id), channel.id);
+      });
+      if (matched.length === 0) continue;
+
+      const ids = matched.map(p => p.lead.id);
+      ids.forEach(id => {
+        matchedIds.add(id);
+        this.pending.add(`${channel.id}|${id}`);
+      });
+      queued.push({ channelId: channel.id, type: channel.type, posts: matched.length });
+
+      this.deliver(channel, matched)
+        .then(delivered => {
+          if (delivered) leads.markNotified(ids, channel.id);
+        })
+        .catch(error => {
+          console.error(`Notification error (${channel.id}): ${error.message}`);
+        })
+        .finally(() => ids.forEach(id => this.pending.delete(`${channel.id}|${id}`)));
+    }
+
+    return { matched: matchedIds.size, queued };
+  }
+
+  /**
+   * Deliver posts to one channel with retry + exponential backoff
+   */
+  async deliver(channel, posts) {
+    const payload = channel.type === 'slack'
+      ? this.formatSlack(posts)
+      : this.formatWebhook(posts);
+    const body = JSON.stringify(payload);
+    const headers = this.buildHeaders(channel, body);
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const entry = {
+        id: crypto.randomUUID(),
+        channelId: channel.id,
+        type: channel.type,
+        posts: posts.map(p => p.lead?.id || `${p.platform}:${p.id}`),
+        attempt,
+        attemptedAt: new Date().toISOString()
+      };
+
+      try {
+        const response = await this.client.post(channel.url, body, { headers });
+        this.log({ ...entry, success: true, status: response.status });
+        return true;
+
+      } catch (error) {
+        const status = error.response?.status || null;
+        const retryable = !status || status === 429 || status >= 500;
+        this.log({ ...entry, success: false, status, error: error.message });
+
+        if (!retryable || attempt === MAX_ATTEMPTS) {
+          console.warn(`[Notify] Giving up on ${channel.type} ${channel.id} after ${attempt} attempt(s)`);
+          return false;
+        }
+
+        const delay = BASE_DELAY_MS * 2 ** (attempt - 1);
+        await new Promise(r => setTimeout(r, delay));
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Headers incl. HMAC signature of timestamp + body for generic webhooks
+   */
+  buildHeaders(channel, body) {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (channel.type === 'webhook' && channel.secret) {
+      Object.assign(headers, signatureHeaders(channel.secret, body));
+    }
+
+    return headers;
+  }
+
+  /**
+   * Generic JSON webhook payload
+   */
+  formatWebhook(posts) {
+    return {
+      event: 'leads.matched',
+      sentAt: new Date().toISOString(),
+      leads: posts.map(p => ({
+        leadId: p.lead?.id || `${p.platform}:${p.id}`,
+        platform: p.platform,
+        title: p.title,
+        url: p.url,
+        author: p.author,
+        subreddit: p.subreddit,
+        storyType: p.storyType,
+        metrics: p.metrics,
+        intentAnalysis: p.intentAnalysis
+      }))
+    };
+  }
+
+  /**
+   * Slack incoming-webhook message
+   */
+  formatSlack(posts) {
+    const blocks = [{
+      type: 'header',
+      text: { type: 'plain_text', text: `🔥 ${posts.length} high-intent lead${posts.length === 1 ? '' : 's'}` }
+    }];
+
+    for (const post of posts) {
+      const analysis = post.intentAnalysis;
+      const where = post.subreddit ? `r/${post.subreddit}` : (post.storyType || post.platform);
+
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: [
+            `*<${post.url}|${this.escapeSlack(post.title)}>*`,
+            `${where} · intent *${analysis.score}* (${analysis.level}) · ${analysis.recommendedAction}`,
+            `${post.metrics?.score || 0} points · ${post.metrics?.comments || 0} comments · by ${post.author?.username}`,
+            `> ${this.escapeSlack(analysis.summary)}`
+          ].join('\n')
+        }
+      });
+      blocks.push({ type: 'divider' });
+    }
+
+    return {
+      text: `${posts.length} high-intent lead(s): ${posts.map(p => p.title).join(' | ')}`.slice(0, 3000),
+      blocks: blocks.slice(0, 50)
+    };
+  }
+
+  escapeSlack(text = '') {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  log(entry) {
+    this.deliveries.push(entry);
+    if (this.deliveries.length > MAX_LOG_ENTRIES) {
+      this.deliveries.splice(0, this.deliveries.length - MAX_LOG_ENTRIES);
+    }
+  }
+
+  getDeliveries({ channelId, limit = 100 } = {}) {
+    return this.deliveries
+      .filter(d => !channelId || d.channelId === channelId)
+      .slice(-limit)
+      .reverse();
+  }
+}
+
+// Singleton instance
+const notificationService = new NotificationService(leadService);
+
+module.exports = { NotificationService, notificationService, CHANNEL_TYPES };
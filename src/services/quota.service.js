@@ -0,0 +1,187 @@
+const { FileStore } = require('../stores/file.store');
+const { workspaceService } = require('./workspace.service');
+
+const DEFAULT_SEARCHES_PER_DAY = 200;
+const DEFAULT_AI_POSTS_PER_DAY = 1000;
+const DEFAULT_WORKSPACE_SEARCHES_PER_DAY = 1000;
+const DEFAULT_WORKSPACE_AI_POSTS_PER_DAY = 5000;
+const RETENTION_DAYS = 7;
+
+/**
+ * Quota Service
+ * 
+ * Daily per-key limits (UTC days) on two things:
+ * - searches: every search, AI search, queued job and manual monitor run
+ * - aiPosts: posts sent to a paid model for scoring (cache hits and free
+ *   models such as the heuristic provider don't count)
+ * 
+ * Each key has its own limits, and its workspace has limits for all of
+ * its keys together - so minting more keys doesn't buy more quota. What
+ * a key may still use is the smaller of the two remainders. Searches are
+ * counted when they start (and refunded if the request fails); AI
+ * searches are capped at the posts left.
+ * 
+ * Env: QUOTA_SEARCHES_PER_DAY (default: 200) - per key
+ *      QUOTA_AI_POSTS_PER_DAY (default: 1000) - per key
+ *      QUOTA_WORKSPACE_SEARCHES_PER_DAY (default: 1000) - per workspace
+ *      QUOTA_WORKSPACE_AI_POSTS_PER_DAY (default: 5000) - per workspace
+ */
+class QuotaService {
+  constructor() {
+    this.store = new FileStore('quotas');
+    this.defaults = {
+      searchesPerDay: parseInt(process.env.QUOTA_SEARCHES_PER_DAY) || DEFAULT_SEARCHES_PER_DAY,
+      aiPostsPerDay: parseInt(process.env.QUOTA_AI_POSTS_PER_DAY) || DEFAULT_AI_POSTS_PER_DAY
+    };
+    this.workspaceDefaults = {
+      searchesPerDay: parseInt(process.env.QUOTA_WORKSPACE_SEARCHES_PER_DAY) || DEFAULT_WORKSPACE_SEARCHES_PER_DAY,
+      aiPostsPerDay: parseInt(process.env.QUOTA_WORKSPACE_AI_POSTS_PER_DAY) || DEFAULT_WORKSPACE_AI_POSTS_PER_DAY
+    };
+  }
+
+  /**
+   * Today's limits, use and reset time for a key
+   * 
+   * @param {Object} key - Stored or public key record
+   * @returns {{searches: Object, aiPosts: Object, workspace: Object, resetsAt: string}}
+   *   Each count is { limit, used, remaining }. The top-level counts are
+   *   the key's, with `remaining` also capped by the workspace's.
+   */
+  status(key) {
+    const keyLimits = workspaceService.limitsFor(key, this.defaults);
+    const workspaceLimits = workspaceService.limitsFor(workspaceService.get(key.workspaceId), this.workspaceDefaults);
+    const keyUsed = this.store.get(this.recordId(key.id)) || { searches: 0, aiPosts: 0 };
+    const workspaceUsed = this.store.get(this.workspaceRecordId(key.workspaceId)) || { searches: 0, aiPosts: 0 };
+    const entry = (limit, count) => ({ limit, used: count, remaining: Math.max(0, limit - count) });
+
+    const workspace = {
+      searches: entry(workspaceLimits.searchesPerDay, workspaceUsed.searches),
+      aiPosts: entry(workspaceLimits.aiPostsPerDay, workspaceUsed.aiPosts)
+    };
+    const capped = (name, limit, count) => {
+      const own = entry(limit, count);
+      return { ...own, remaining: Math.min(own.remaining, workspace[name].remaining) };
+    };
+
+    return {
+      searches: capped('searches', keyLimits.searchesPerDay, keyUsed.searches),
+      aiPosts: capped('aiPosts', keyLimits.aiPostsPerDay, keyUsed.aiPosts),
+      workspace,
+      resetsAt: this.resetsAt()
+    };
+  }
+
+  /**
+   * Response headers describing a quota status
+   */
+  headers(status) {
+    return {
+      'X-Quota-Searches-Limit': status.searches.limit,
+      'X-Quota-Searches-Remaining': status.searches.remaining,
+      'X-Quota-AI-Posts-Limit': status.aiPosts.limit,
+      'X-Quota-AI-Posts-Remaining': status.aiPosts.remaining,
+      'X-Quota-Reset': Math.floor(new Date(status.resetsAt).getTime() / 1000)
+    };
+  }
+
+  /**
+   * When the daily counters reset (next UTC midnight)
+   */
+  resetsAt() {
+    return nextResetAt().toISOString();
+  }
+
+  /**
+   * Seconds until the daily counters reset
+   */
+  secondsUntilReset() {
+    return Math.ceil((nextResetAt().getTime() - Date.now()) / 1000);
+  }
+
+  /**
+   * Count one search against a key and its workspace
+   * 
+   * @returns {boolean} false (and nothing counted) when none are left
+   */
+  consumeSearch(keyId) {
+    const key = workspaceService.getKey(keyId);
+    if (!key || key.revokedAt) return false;
+    if (this.status(key).searches.remaining <= 0) return false;
+
+    this.add(keyId, { searches: 1 });
+    return true;
+  }
+
+  /**
+   * Give back a search counted for a request that then failed
+   */
+  refundSearch(keyId) {
+    this.add(keyId, { searches: -1 });
+  }
+
+  /**
+   * AI posts a key may still have scored today (Infinity without a key)
+   */
+  aiPostsRemaining(keyId) {
+    if (!keyId) return Infinity;
+    const key = workspaceService.getKey(keyId);
+    return key ? this.status(key).aiPosts.remaining : 0;
+  }
+
+  recordAIPosts(keyId, count) {
+    if (keyId && count > 0) this.add(keyId, { aiPosts: count });
+  }
+
+  /**
+   * Add to today's counters of a key and of its workspace
+   */
+  add(keyId, { searches = 0, aiPosts = 0 }) {
+    const workspaceId = workspaceService.getKey(keyId)?.workspaceId;
+    const records = [[this.recordId(keyId), { keyId }]];
+    if (workspaceId) records.push([this.workspaceRecordId(workspaceId), { workspaceId }]);
+
+    this.store.setMany(records.map(([id, owner]) => {
+      const existing = this.store.get(id) || { id, ...owner, day: today(), searches: 0, aiPosts: 0 };
+      return [id, {
+        ...existing,
+        searches: Math.max(0, existing.searches + searches),
+        aiPosts: existing.aiPosts + aiPosts
+      }];
+    }));
+    this.prune();
+  }
+
+  /**
+   * Drop counters older than a week (once per day)
+   */
+  prune() {
+    if (this.prunedOn === today()) return;
+    this.prunedOn = today();
+
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 86400000).toISOString().slice(0, 10);
+    this.store.deleteMany(this.store.all().filter(r => r.day < cutoff).map(r => r.id));
+  }
+
+  recordId(keyId) {
+    return `${today()}|${keyId}`;
+  }
+
+  workspaceRecordId(workspaceId) {
+    return `${today()}|workspace:${workspaceId}`;
+  }
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function nextResetAt() {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset;
+}
+
+// Singleton instance
+const quotaService = new QuotaService();
+
+module.exports = { QuotaService, quotaService };
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { createCache } = require('../stores/cache.store');
+
+const DEFAULT_TTL_HOURS = 24;
+
+/**
+ * Score Cache Service
+ * 
+ * Remembers intent analyses so reruns (monitors, repeated searches) don't
+ * pay for the same post twice. The key is a hash of everything that
+ * shapes the answer: post id and text, product context, provider, model
+ * and prompt version - change any of them and the post is scored again.
+ * 
+ * Env: SCORE_CACHE = memory (default) | file | redis | off
+ *      SCORE_CACHE_TTL_HOURS (default: 24), SCORE_CACHE_MAX_ENTRIES (default: 5000)
+ *      REDIS_URL (for redis)
+ */
+class ScoreCacheService {
+  constructor() {
+    this.ttlMs = (parseFloat(process.env.SCORE_CACHE_TTL_HOURS) || DEFAULT_TTL_HOURS) * 3600000;
+    this.cache = createCache(process.env.SCORE_CACHE || 'memory', {
+      name: 'score-cache',
+      redisPrefix: 'social-listening:score:',
+      maxEntries: parseInt(process.env.SCORE_CACHE_MAX_ENTRIES) || 5000,
+      envName: 'SCORE_CACHE'
+    });
+    this.stats = { hits: 0, misses: 0, writes: 0, errors: 0 };
+  }
+
+  isEnabled() {
+    return !!this.cache;
+  }
+
+  get backend() {
+    return this.cache?.backend || 'off';
+  }
+
+  /**
+   * Cache key for one post under one scoring setup
+   */
+  key(post, productContext, { provider, model, promptVersion }) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([
+        post.platform,
+        post.id,
+        post.title || '',
+        post.body || '',
+        productContext || {},
+        provider,
+        model,
+        promptVersion
+      ]))
+      .digest('hex');
+  }
+
+  /**
+   * Cached analysis, or null. Backend failures count as misses.
+   */
+  async get(key) {
+    if (!this.cache) return null;
+
+    try {
+      const value = await this.cache.get(key);
+      if (value) this.stats.hits++;
+      else this.stats.misses++;
+      return value;
+    } catch (error) {
+      this.stats.errors++;
+      this.stats.misses++;
+      console.warn(`[Cache] Read failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  async set(key, value) {
+    if (!this.cache) return;
+
+    try {
+      await this.cache.set(key, value, this.ttlMs);
+      this.stats.writes++;
+    } catch (error) {
+      this.stats.errors++;
+      console.warn(`[Cache] Write failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Backend and lifetime counters
+   */
+  getInfo() {
+    return {
+      enabled: this.isEnabled(),
+      backend: this.backend,
+      ttlHours: this.ttlMs / 3600000,
+      ...this.stats
+    };
+  }
+}
+
+// Singleton instance
+const scoreCacheService = new ScoreCacheService();
+
+module.exports = { ScoreCacheService, scoreCacheService };
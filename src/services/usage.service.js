@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const { FileStore } = require('../stores/file.store');
+
+// USD per 1M tokens. Override or extend with AI_PRICING.
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.60 },
+  'gpt-4o': { prompt: 2.50, completion: 10.00 },
+  'gpt-4.1-nano': { prompt: 0.10, completion: 0.40 },
+  'gpt-4.1-mini': { prompt: 0.40, completion: 1.60 },
+  'gpt-4.1': { prompt: 2.00, completion: 8.00 },
+  'claude-3-5-haiku': { prompt: 0.80, completion: 4.00 },
+  'claude-3-5-sonnet': { prompt: 3.00, completion: 15.00 },
+  'claude-3-haiku': { prompt: 0.25, completion: 1.25 },
+  'heuristic-v1': { prompt: 0, completion: 0 }
+};
+
+const GROUP_BY = ['day', 'workspace', 'monitor', 'apiKey', 'model'];
+
+/**
+ * Usage Service
+ * 
+ * Token and cost accounting for AI scoring. Every AI search records its
+ * token usage, priced from a per-model table, into daily aggregates
+ * keyed by day, workspace, monitor, API key, provider and model.
+ * 
+ * Models match the price table exactly, or by the longest prefix
+ * ("gpt-4o-mini-2024-07-18" uses "gpt-4o-mini"). Unknown models are
+ * counted with cost 0 and `priced: false`.
+ * 
+ * Env: AI_PRICING - JSON overrides, e.g. {"my-model": {"prompt": 0.5, "completion": 1.5}}
+ *      AI_MONTHLY_BUDGET_USD - once reached, AI searches fall back to keyword ranking
+ */
+class UsageService {
+  constructor() {
+    this.store = new FileStore('usage');
+    this.prices = { ...DEFAULT_PRICES, ...this.loadPriceOverrides() };
+    this.monthlyBudget = parseFloat(process.env.AI_MONTHLY_BUDGET_USD) || null;
+  }
+
+  loadPriceOverrides() {
+    if (!process.env.AI_PRICING) return {};
+    try {
+      return JSON.parse(process.env.AI_PRICING);
+    } catch (error) {
+      console.warn(`[Usage] Ignoring invalid AI_PRICING: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Price entry for a model, or null when unknown
+   */
+  getPrice(model) {
+    if (!model) return null;
+    if (this.prices[model]) return this.prices[model];
+
+    const prefix = Object.keys(this.prices)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.prices[prefix] : null;
+  }
+
+  /**
+   * Models that cost nothing to run never count against the budget
+   */
+  isFree(model) {
+    const price = this.getPrice(model);
+    return !!price && !price.prompt && !price.completion;
+  }
+
+  /**
+   * Cost of a usage total under a model's price
+   * 
+   * @param {Object} usage - { requests, promptTokens, completionTokens }
+   */
+  price(model, usage) {
+    const price = this.getPrice(model);
+    const promptTokens = usage?.promptTokens || 0;
+    const completionTokens = usage?.completionTokens || 0;
+    const costUsd = price
+      ? (promptTokens * (price.prompt || 0) + completionTokens * (price.completion || 0)) / 1e6
+      : 0;
+
+    return {
+      requests: usage?.requests || 0,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      costUsd: roundUsd(costUsd),
+      priced: !!price
+    };
+  }
+
+  /**
+   * Add one search's usage to today's aggregate
+   * 
+   * @param {Object} context - { workspaceId, monitorId, apiKeyId, provider, model }
+   * @param {Object} usage - { requests, promptTokens, completionTokens }
+   * @returns {Object} Priced usage
+   */
+  record(context, usage) {
+    const priced = this.price(context.model, usage);
+    if (priced.requests === 0) return priced;
+
+    const day = new Date().toISOString().slice(0, 10);
+    const monitorId = context.monitorId || null;
+    const apiKeyId = context.apiKeyId || null;
+    const workspaceId = context.workspaceId || null;
+    const id = [day, workspaceId || '-', monitorId || '-', apiKeyId || '-', context.provider, context.model].join('|');
+
+    const existing = this.store.get(id) || {
+      id,
+      day,
+      workspaceId,
+      monitorId,
+      apiKeyId,
+      provider: context.provider,
+      model: context.model,
+      searches: 0,
+      requests: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      costUsd: 0
+    };
+
+    this.store.set(id, {
+      ...existing,
+      searches: existing.searches + 1,
+      requests: existing.requests + priced.requests,
+      promptTokens: existing.promptTokens + priced.promptTokens,
+      completionTokens: existing.completionTokens + priced.completionTokens,
+      costUsd: roundUsd(existing.costUsd + priced.costUsd),
+      updatedAt: new Date().toISOString()
+    });
+
+    return priced;
+  }
+
+  /**
+   * Aggregated usage, optionally grouped
+   * 
+   * @param {Object} query
+   * @param {string} query.groupBy - day | workspace | monitor | apiKey | model
+   * @param {string} query.from - First day (YYYY-MM-DD, inclusive)
+   * @param {string} query.to - Last day (YYYY-MM-DD, inclusive)
+   * @param {string} query.monitorId
+   * @param {string} query.apiKeyId
+   * @param {string} query.workspaceId - Records from before workspaces count as "default"
+   */
+  summarize({ groupBy = null, from = null, to = null, monitorId = null, apiKeyId = null, workspaceId = null } = {}) {
+    const records = this.store.all()
+      .filter(r => !from || r.day >= from)
+      .filter(r => !to || r.day <= to)
+      .filter(r => !monitorId || r.monitorId === monitorId)
+      .filter(r => !apiKeyId || r.apiKeyId === apiKeyId)
+      .filter(r => !workspaceId || (r.workspaceId || 'default') === workspaceId);
+
+    const result = { from, to, totals: sumRecords(records) };
+
+    if (groupBy) {
+      const groups = new Map();
+      for (const record of records) {
+        const key = groupKey(record, groupBy);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(record);
+      }
+
+      result.groupBy = groupBy;
+      result.groups = [...groups.entries()]
+        .map(([key, group]) => ({ key, ...sumRecords(group) }))
+        .sort((a, b) => String(a.key).localeCompare(String(b.key)));
+    }
+
+    return result;
+  }
+
+  /**
+   * Spend so far this calendar month (UTC)
+   */
+  getMonthSpend() {
+    const month = new Date().toISOString().slice(0, 7);
+    return roundUsd(this.store.all()
+      .filter(r => r.day.startsWith(month))
+      .reduce((sum, r) => sum + r.costUsd, 0));
+  }
+
+  /**
+   * True when the monthly budget is used up and the model isn't free
+   */
+  isOverBudget(model = null) {
+    if (!this.monthlyBudget || this.isFree(model)) return false;
+    return this.getMonthSpend() >= this.monthlyBudget;
+  }
+
+  /**
+   * Stable, non-reversible id for an API key (the key itself is never stored)
+   */
+  apiKeyId(apiKey) {
+    if (!apiKey) return null;
+    return `key_${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 12)}`;
+  }
+
+  getBudget() {
+    const spent = this.getMonthSpend();
+    return {
+      monthlyUsd: this.monthlyBudget,
+      spentThisMonthUsd: spent,
+      remainingUsd: this.monthlyBudget ? roundUsd(Math.max(0, this.monthlyBudget - spent)) : null,
+      exceeded: !!this.monthlyBudget && spent >= this.monthlyBudget
+    };
+  }
+}
+
+function groupKey(record, groupBy) {
+  switch (groupBy) {
+    case 'day': return record.day;
+    case 'workspace': return record.workspaceId || 'default';
+    case 'monitor': return record.monitorId;
+    case 'apiKey': return record.apiKeyId;
+    case 'model': return `${record.provider}/${record.model}`;
+    default: return null;
+  }
+}
+
+function sumRecords(records) {
+  const totals = { searches: 0, requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 };
+  for (const record of records) {
+    totals.searches += record.searches;
+    totals.requests += record.requests;
+    totals.promptTokens += record.promptTokens;
+    totals.completionTokens += record.completionTokens;
+    totals.totalTokens += record.promptTokens + record.completionTokens;
+    totals.costUsd += record.costUsd;
+  }
+  totals.costUsd = roundUsd(totals.costUsd);
+  return totals;
+}
+
+function roundUsd(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// Singleton instance
+const usageService = new UsageService();
+
+module.exports = { UsageService, usageService, DEFAULT_PRICES, GROUP_BY };
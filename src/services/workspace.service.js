@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const { FileStore } = require('../stores/file.store');
+const { LeadService, leadService } = require('./lead.service');
+const { usageService } = require('./usage.service');
+
+const DEFAULT_WORKSPACE_ID = 'default';
+const KEY_ROLES = ['admin', 'member'];
+const KEY_PREFIX = 'sl_';
+const LAST_USED_RESOLUTION_MS = 5 * 60000;
+
+/**
+ * Workspace Service
+ * 
+ * Teams and their API keys. A workspace owns its monitors, jobs and
+ * leads (each workspace has its own lead store), a default product
+ * context for AI scoring, the browser origins allowed to call the API
+ * with its keys, and daily quotas for all of its keys combined.
+ * 
+ * Keys are random 256-bit secrets shown once at creation. Only their
+ * SHA-256 is stored; the key id is the same `key_<hash prefix>` that
+ * usage records are attributed to. Roles: `admin` can manage the
+ * workspace and its keys, `member` can only use the API.
+ * 
+ * The `default` workspace always exists. It holds data from before
+ * workspaces (the original lead store, monitors without a workspace)
+ * and is the one used when AUTH_REQUIRED=false.
+ */
+class WorkspaceService {
+  constructor() {
+    this.workspaces = new FileStore('workspaces');
+    this.keys = new FileStore('api-keys');
+    this.leadServices = new Map([[DEFAULT_WORKSPACE_ID, leadService]]);
+
+    if (!this.workspaces.has(DEFAULT_WORKSPACE_ID)) {
+      this.workspaces.set(DEFAULT_WORKSPACE_ID, this.buildWorkspace(DEFAULT_WORKSPACE_ID, { name: 'Default' }));
+    }
+  }
+
+  list() {
+    return this.workspaces.all().map(w => this.toPublic(w));
+  }
+
+  get(id) {
+    return this.workspaces.get(id);
+  }
+
+  create(input) {
+    const workspace = this.buildWorkspace(`ws_${crypto.randomBytes(6).toString('hex')}`, input);
+    this.workspaces.set(workspace.id, workspace);
+    console.log(`🔑 Workspace "${workspace.name}" created (${workspace.id})`);
+    return workspace;
+  }
+
+  buildWorkspace(id, input) {
+    const now = new Date().toISOString();
+    return {
+      id,
+      name: input.name,
+      corsOrigins: input.corsOrigins || [],
+      productContext: input.productContext || null,
+      quotas: { searchesPerDay: null, aiPostsPerDay: null, ...(input.quotas || {}) },
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Update a workspace (partial)
+   */
+  update(id, changes) {
+    const workspace = this.workspaces.get(id);
+    if (!workspace) return null;
+
+    const updated = { ...workspace, updatedAt: new Date().toISOString() };
+    for (const field of ['name', 'corsOrigins', 'productContext']) {
+      if (changes[field] !== undefined) updated[field] = changes[field];
+    }
+    if (changes.quotas !== undefined) {
+      updated.quotas = { ...workspace.quotas, ...changes.quotas };
+    }
+
+    return this.workspaces.set(id, updated);
+  }
+
+  /**
+   * Delete a workspace with its keys and leads (the default one stays)
+   */
+  delete(id) {
+    if (id === DEFAULT_WORKSPACE_ID || !this.workspaces.has(id)) return false;
+
+    this.keys.deleteMany(this.keys.all().filter(k => k.workspaceId === id).map(k => k.id));
+    const leads = this.leadsFor(id);
+    leads.store.deleteMany(leads.store.all().map(lead => lead.id));
+    this.leadServices.delete(id);
+
+    return this.workspaces.delete(id);
+  }
+
+  /**
+   * Browser origins any workspace allows
+   */
+  corsOrigins() {
+    return this.workspaces.all().flatMap(w => w.corsOrigins || []);
+  }
+
+  /**
+   * The lead store of a workspace
+   * 
+   * @returns {LeadService}
+   */
+  leadsFor(workspaceId) {
+    if (!this.leadServices.has(workspaceId)) {
+      this.leadServices.set(workspaceId, new LeadService(new FileStore(`workspaces/${workspaceId}/leads`)));
+    }
+    return this.leadServices.get(workspaceId);
+  }
+
+  /**
+   * searchRanked / searchWithAI options for work done on behalf of a
+   * workspace: its lead store, its product context unless the request
+   * brings one, and usage attributed to it
+   * 
+   * @param {Object} scope - { workspaceId, apiKeyId, monitorId }
+   * @param {Object} aiOptions - Options from the request or monitor
+   */
+  searchOptions({ workspaceId = DEFAULT_WORKSPACE_ID, apiKeyId = null, monitorId = null }, aiOptions = {}) {
+    const workspace = this.get(workspaceId);
+
+    return {
+      ...aiOptions,
+      productContext: aiOptions.productContext || workspace?.productContext || undefined,
+      leadService: this.leadsFor(workspaceId),
+      usageContext: { workspaceId, apiKeyId, monitorId }
+    };
+  }
+
+  /**
+   * Create an API key. The secret is only ever returned here.
+   * 
+   * @param {Object} input - { name, role, quotas }
+   * @returns {{key: Object, secret: string}|null} null when the workspace doesn't exist
+   */
+  createKey(workspaceId, input = {}) {
+    if (!this.workspaces.has(workspaceId)) return null;
+
+    const secret = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const key = {
+      id: usageService.apiKeyId(secret),
+      workspaceId,
+      name: input.name || 'API key',
+      role: input.role || 'member',
+      hash: this.hashKey(secret),
+      prefix: secret.slice(0, KEY_PREFIX.length + 6),
+      quotas: { searchesPerDay: null, aiPostsPerDay: null, ...(input.quotas || {}) },
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null
+    };
+
+    this.keys.set(key.id, key);
+    return { key: this.toPublicKey(key), secret };
+  }
+
+  listKeys(workspaceId) {
+    return this.keys.all()
+      .filter(k => k.workspaceId === workspaceId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(k => this.toPublicKey(k));
+  }
+
+  getKey(id) {
+    return this.keys.get(id);
+  }
+
+  /**
+   * Revoke a key of a workspace (kept for usage history)
+   */
+  revokeKey(workspaceId, id) {
+    const key = this.keys.get(id);
+    if (!key || key.workspaceId !== workspaceId) return null;
+    if (key.revokedAt) return this.toPublicKey(key);
+
+    return this.toPublicKey(this.keys.set(id, { ...key, revokedAt: new Date().toISOString() }));
+  }
+
+  /**
+   * Look up the key record for a presented secret
+   * 
+   * @returns {Object|null} The stored key (revoked ones included), or null
+   */
+  verifyKey(secret) {
+    if (!secret) return null;
+
+    const key = this.keys.get(usageService.apiKeyId(secret));
+    if (!key || !safeEqual(key.hash, this.hashKey(secret))) return null;
+
+    // Only write lastUsedAt every few minutes - the store rewrites its whole file
+    const lastUsed = key.lastUsedAt ? new Date(key.lastUsedAt).getTime() : 0;
+    if (!key.revokedAt && Date.now() - lastUsed > LAST_USED_RESOLUTION_MS) {
+      return this.keys.set(key.id, { ...key, lastUsedAt: new Date().toISOString() });
+    }
+    return key;
+  }
+
+  hashKey(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Daily limits of a key or workspace: its own quotas, else `defaults`
+   */
+  limitsFor(record, defaults) {
+    const pick = name => record?.quotas?.[name] ?? defaults[name];
+    return { searchesPerDay: pick('searchesPerDay'), aiPostsPerDay: pick('aiPostsPerDay') };
+  }
+
+  toPublic(workspace) {
+    return {
+      ...workspace,
+      keyCount: this.keys.all().filter(k => k.workspaceId === workspace.id && !k.revokedAt).length
+    };
+  }
+
+  /**
+   * Key as returned by the API (hash hidden)
+   */
+  toPublicKey(key) {
+    const { hash, ...rest } = key;
+    return rest;
+  }
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Singleton instance
+const workspaceService = new WorkspaceService();
+
+module.exports = { WorkspaceService, workspaceService, DEFAULT_WORKSPACE_ID, KEY_ROLES };
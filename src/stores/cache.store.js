@@ -0,0 +1,301 @@
+const net = require('net');
+const { FileStore } = require('./file.store');
+
+const FILE_CACHE_WRITE_DELAY_MS = 1000;
+const REDIS_COMMAND_TIMEOUT_MS = 2000;
+
+/**
+ * Cache Stores
+ * 
+ * Key/value caches with per-entry TTL. All backends share one async
+ * interface - get(key), set(key, value, ttlMs) - so callers don't care
+ * where entries live:
+ * 
+ * - MemoryCache: in-process LRU (default)
+ * - FileCache:   JSON file in DATA_DIR, survives restarts
+ * - RedisCache:  any Redis-compatible server (Redis, Valkey, KeyDB, Dragonfly)
+ */
+
+/**
+ * In-memory LRU cache
+ * 
+ * Map iteration order is insertion order, so re-inserting on read keeps
+ * the least recently used entry first in line for eviction.
+ */
+class MemoryCache {
+  constructor({ maxEntries = 5000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get backend() { return 'memory'; }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * File-backed cache (one JSON file via FileStore)
+ * 
+ * Expired entries are pruned on startup; above maxEntries the oldest
+ * writes are dropped. Writes are coalesced to one per second, so
+ * scoring a batch of posts doesn't rewrite the file for each one.
+ */
+class FileCache {
+  constructor({ name = 'cache', maxEntries = 5000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.store = new FileStore(name, { writeDelayMs: FILE_CACHE_WRITE_DELAY_MS });
+
+    const now = Date.now();
+    this.store.deleteMany(this.store.all().filter(e => e.expiresAt <= now).map(e => e.key));
+  }
+
+  get backend() { return 'file'; }
+
+  async get(key) {
+    const entry = this.store.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    // Re-inserting keeps the store in write order, oldest first
+    this.store.delete(key);
+    this.store.set(key, { key, value, expiresAt: Date.now() + ttlMs, storedAt: Date.now() });
+
+    const overflow = this.store.size - this.maxEntries;
+    if (overflow > 0) {
+      this.store.deleteMany(this.store.all().slice(0, overflow).map(e => e.key));
+    }
+  }
+
+  async size() {
+    return this.store.size;
+  }
+}
+
+/**
+ * Redis-compatible cache
+ * 
+ * Speaks just enough RESP for AUTH, SELECT, GET, SET PX and DBSIZE over
+ * one lazily opened connection, so no client library is needed. A
+ * command without a reply within commandTimeoutMs drops the connection
+ * and fails, so callers fall back to no cache instead of hanging.
+ * 
+ * @param {string} url - redis://[:password@]host[:port][/db]
+ * @param {number} commandTimeoutMs - Max wait for a reply (default: 2000)
+ */
+class RedisCache {
+  constructor({ url, prefix = 'social-listening:', commandTimeoutMs = REDIS_COMMAND_TIMEOUT_MS } = {}) {
+    const parsed = new URL(url);
+    this.host = parsed.hostname || 'localhost';
+    this.port = parseInt(parsed.port) || 6379;
+    this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+    this.db = parseInt(parsed.pathname.slice(1)) || 0;
+    this.prefix = prefix;
+    this.commandTimeoutMs = commandTimeoutMs;
+
+    this.socket = null;
+    this.connecting = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  get backend() { return 'redis'; }
+
+  async get(key) {
+    const raw = await this.command('GET', this.prefix + key);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  async set(key, value, ttlMs) {
+    await this.command('SET', this.prefix + key, JSON.stringify(value), 'PX', String(Math.max(1, Math.round(ttlMs))));
+  }
+
+  async size() {
+    return this.command('DBSIZE');
+  }
+
+  /**
+   * Send one command and wait for its reply
+   */
+  async command(...args) {
+    await this.connect();
+
+    const socket = this.socket;
+    return new Promise((resolve, reject) => {
+      // Replies are matched to commands by order, so a missing one
+      // poisons the connection: drop it (failing everything pending)
+      const timer = setTimeout(() => {
+        socket.destroy(new Error(`Redis ${args[0]} timed out after ${this.commandTimeoutMs}ms`));
+      }, this.commandTimeoutMs);
+
+      this.pending.push({
+        resolve: value => { clearTimeout(timer); resolve(value); },
+        reject: error => { clearTimeout(timer); reject(error); }
+      });
+      socket.write(this.encode(args));
+    });
+  }
+
+  /**
+   * Open the connection (once), authenticating and selecting the db
+   */
+  connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      socket.setTimeout(5000);
+      socket.unref(); // an idle cache connection shouldn't keep the process alive
+
+      socket.on('data', chunk => this.onData(chunk));
+      socket.on('timeout', () => socket.destroy(new Error('Redis connection timed out')));
+      socket.on('error', error => {
+        for (const { reject: fail } of this.pending.splice(0)) fail(error);
+        reject(error);
+      });
+      socket.on('close', () => {
+        this.socket = null;
+        this.connecting = null;
+        this.buffer = Buffer.alloc(0);
+      });
+
+      socket.once('connect', async () => {
+        socket.setTimeout(0);
+        this.socket = socket;
+        try {
+          if (this.password) await this.command('AUTH', this.password);
+          if (this.db) await this.command('SELECT', String(this.db));
+          resolve();
+        } catch (error) {
+          socket.destroy();
+          reject(error);
+        }
+      });
+    });
+
+    return this.connecting;
+  }
+
+  encode(args) {
+    let out = `*${args.length}\r\n`;
+    for (const arg of args) {
+      out += `$${Buffer.byteLength(arg)}\r\n${arg}\r\n`;
+    }
+    return out;
+  }
+
+  /**
+   * Parse complete replies out of the buffer and settle pending commands
+   */
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.pending.length > 0) {
+      const reply = this.parseReply(this.buffer, 0);
+      if (!reply) return;
+
+      this.buffer = this.buffer.subarray(reply.end);
+      const { resolve, reject } = this.pending.shift();
+      if (reply.error) reject(new Error(reply.error));
+      else resolve(reply.value);
+    }
+  }
+
+  /**
+   * Parse one RESP reply at offset, or null if it isn't complete yet
+   */
+  parseReply(buffer, offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+      case '+': return { value: line, end: next };
+      case '-': return { error: line, end: next };
+      case ':': return { value: parseInt(line), end: next };
+      case '$': {
+        const length = parseInt(line);
+        if (length === -1) return { value: null, end: next };
+        if (buffer.length < next + length + 2) return null;
+        return { value: buffer.toString('utf8', next, next + length), end: next + length + 2 };
+      }
+      case '*': {
+        const count = parseInt(line);
+        if (count === -1) return { value: null, end: next };
+        const values = [];
+        let end = next;
+        for (let i = 0; i < count; i++) {
+          const item = this.parseReply(buffer, end);
+          if (!item) return null;
+          values.push(item.value);
+          end = item.end;
+        }
+        return { value: values, end };
+      }
+      default:
+        return { error: `Unexpected Redis reply type: ${type}`, end: buffer.length };
+    }
+  }
+}
+
+/**
+ * Build a backend by name: memory | file | redis | off (returns null)
+ * 
+ * @param {string} backend
+ * @param {Object} options
+ * @param {string} options.name - File name for the file backend
+ * @param {string} options.redisPrefix - Key prefix for the redis backend
+ * @param {number} options.maxEntries - Size cap for memory/file
+ * @param {string} options.envName - Env var named in warnings
+ */
+function createCache(backend, { name, redisPrefix, maxEntries = 5000, envName = 'cache' } = {}) {
+  switch (backend) {
+    case 'off':
+      return null;
+    case 'file':
+      return new FileCache({ name, maxEntries });
+    case 'redis':
+      if (!process.env.REDIS_URL) {
+        console.warn(`[Cache] ${envName}=redis needs REDIS_URL - using memory cache`);
+        return new MemoryCache({ maxEntries });
+      }
+      return new RedisCache({ url: process.env.REDIS_URL, prefix: redisPrefix });
+    case 'memory':
+      return new MemoryCache({ maxEntries });
+    default:
+      console.warn(`[Cache] Unknown ${envName} "${backend}" - using memory cache`);
+      return new MemoryCache({ maxEntries });
+  }
+}
+
+module.exports = { MemoryCache, FileCache, RedisCache, createCache };
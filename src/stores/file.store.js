@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores with a deferred write that hasn't happened yet
+const pendingStores = new Set();
+let flushHooked = false;
+
+function flushPending() {
+  for (const store of pendingStores) store.save();
+}
+
+/**
+ * Flush on SIGINT/SIGTERM too. A signal listener replaces Node's default
+ * of exiting, so the signal is raised again once nothing else handles it.
+ */
+function flushAndReraise(signal) {
+  flushPending();
+  if (process.listenerCount(signal) === 0) process.kill(process.pid, signal);
+}
+
+function hookFlush() {
+  if (flushHooked) return;
+  flushHooked = true;
+  process.on('exit', flushPending);
+  process.once('SIGINT', flushAndReraise);
+  process.once('SIGTERM', flushAndReraise);
+}
+
+/**
+ * File Store
+ * 
+ * Tiny JSON-file-backed collection keyed by id.
+ * Loads once on startup and rewrites the whole file on every change,
+ * which is plenty for a single-process API with a few thousand records.
+ * 
+ * Files live in DATA_DIR (default: ./data).
+ * 
+ * @param {Object} options
+ * @param {number} options.writeDelayMs - Coalesce changes into one write
+ *   at most this often instead of writing on every change (flushed on exit,
+ *   SIGINT and SIGTERM)
+ */
+class FileStore {
+  constructor(name, { writeDelayMs = 0 } = {}) {
+    const dataDir = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+    this.filePath = path.join(dataDir, `${name}.json`);
+    this.writeDelayMs = writeDelayMs;
+    this.saveTimer = null;
+    this.records = new Map();
+    this.load();
+  }
+
+  /**
+   * Load records from disk (missing file = empty store)
+   */
+  load() {
+    try {
+      const raw = fs.readFileSync(this.filePath, 'utf8');
+      const data = JSON.parse(raw);
+      this.records = new Map(Object.entries(data));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[Store] Failed to load ${this.filePath}: ${error.message}`);
+      }
+      this.records = new Map();
+    }
+  }
+
+  /**
+   * Write all records to disk
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    pendingStores.delete(this);
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this.records), null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Save now, or schedule one save for every change in the next
+   * writeDelayMs when writes are deferred
+   */
+  persist() {
+    if (!this.writeDelayMs) return this.save();
+    if (this.saveTimer) return;
+
+    hookFlush();
+    pendingStores.add(this);
+    this.saveTimer = setTimeout(() => this.save(), this.writeDelayMs);
+    this.saveTimer.unref();
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  all() {
+    return [...this.records.values()];
+  }
+
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  has(id) {
+    return this.records.has(id);
+  }
+
+  set(id, record) {
+    this.records.set(id, record);
+    this.persist();
+    return record;
+  }
+
+  /**
+   * Set several records with a single write
+   */
+  setMany(entries) {
+    for (const [id, record] of entries) {
+      this.records.set(id, record);
+    }
+    if (entries.length > 0) this.persist();
+  }
+
+  delete(id) {
+    const existed = this.records.delete(id);
+    if (existed) this.persist();
+    return existed;
+  }
+
+  /**
+   * Delete several records with a single write
+   */
+  deleteMany(ids) {
+    let deleted = 0;
+    for (const id of ids) {
+      if (this.records.delete(id)) deleted++;
+    }
+    if (deleted > 0) this.persist();
+    return deleted;
+  }
+}
+
+module.exports = { FileStore };
@@ -0,0 +1,220 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * API keys, access levels, quotas and workspace isolation, end to end
+ * against the Express app. Platform searches are stubbed, so nothing
+ * leaves the machine.
+ */
+
+const ADMIN_API_KEY = 'test-admin-key';
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'social-listening-test-'));
+
+process.env.DATA_DIR = dataDir;
+process.env.ADMIN_API_KEY = ADMIN_API_KEY;
+process.env.AUTH_REQUIRED = 'true';
+process.env.OPENAI_API_KEY = 'sk-test';
+delete process.env.CORS_ORIGINS;
+delete process.env.REDIS_URL;
+
+const app = require('../src/index');
+const { getAdapter } = require('../src/adapters');
+const { workspaceService } = require('../src/services/workspace.service');
+
+const hackerNews = getAdapter('hackernews');
+let server;
+let baseUrl;
+
+function request(method, url, { key, body, headers = {} } = {}) {
+  return fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...(key ? { 'X-API-Key': key } : {}),
+      ...headers
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+}
+
+async function createWorkspace(name, fields = {}) {
+  const response = await request('POST', '/api/workspaces', { key: ADMIN_API_KEY, body: { name, ...fields } });
+  assert.equal(response.status, 201);
+  return (await response.json()).workspace;
+}
+
+async function createKey(workspaceId, fields = {}) {
+  const response = await request('POST', `/api/workspaces/${workspaceId}/keys`, {
+    key: ADMIN_API_KEY,
+    body: { name: 'test', ...fields }
+  });
+  assert.equal(response.status, 201);
+  const { key, apiKey } = await response.json();
+  return { ...key, secret: apiKey };
+}
+
+const searchBody = { keywords: ['CRM'] };
+
+before(async () => {
+  hackerNews.search = async criteria => hackerNews.successResult(hackerNews.withExclusions(criteria), [], 0);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('401 without a key', async () => {
+  const response = await request('GET', '/api/monitors');
+  assert.equal(response.status, 401);
+  assert.match(response.headers.get('www-authenticate'), /Bearer/);
+  assert.equal((await response.json()).success, false);
+});
+
+test('401 with an invalid key', async () => {
+  const response = await request('GET', '/api/monitors', { key: 'sl_not-a-real-key' });
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).error, 'Invalid API key');
+});
+
+test('401 with a revoked key', async () => {
+  const workspace = await createWorkspace('Revoked');
+  const key = await createKey(workspace.id);
+
+  assert.equal((await request('GET', '/api/monitors', { key: key.secret })).status, 200);
+
+  const revoke = await request('DELETE', `/api/workspaces/${workspace.id}/keys/${key.id}`, { key: ADMIN_API_KEY });
+  assert.equal(revoke.status, 200);
+
+  const response = await request('GET', '/api/monitors', { key: key.secret });
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).error, 'API key has been revoked');
+});
+
+test('403 when the key\'s role or kind may not use the route', async () => {
+  const workspace = await createWorkspace('Access');
+  const member = await createKey(workspace.id, { role: 'member' });
+
+  const adminOnly = await request('GET', `/api/workspaces/${workspace.id}/keys`, { key: member.secret });
+  assert.equal(adminOnly.status, 403);
+
+  const rootOnly = await request('POST', '/api/workspaces', { key: member.secret, body: { name: 'Nope' } });
+  assert.equal(rootOnly.status, 403);
+
+  const workspaceOnly = await request('GET', '/api/monitors', { key: ADMIN_API_KEY });
+  assert.equal(workspaceOnly.status, 403);
+});
+
+test('403 for a browser origin the workspace doesn\'t allow', async () => {
+  const workspace = await createWorkspace('Origins', { corsOrigins: ['https://app.example.com'] });
+  const key = await createKey(workspace.id);
+
+  const allowed = await request('GET', '/api/monitors', { key: key.secret, headers: { Origin: 'https://app.example.com' } });
+  assert.equal(allowed.status, 200);
+  assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://app.example.com');
+
+  const denied = await request('GET', '/api/monitors', { key: key.secret, headers: { Origin: 'https://evil.example.com' } });
+  assert.equal(denied.status, 403);
+  assert.match((await denied.json()).error, /evil\.example\.com is not allowed/);
+});
+
+test('429 with quota headers once the daily search quota is used up', async () => {
+  const workspace = await createWorkspace('Quota');
+  const key = await createKey(workspace.id, { quotas: { searchesPerDay: 2 } });
+
+  const first = await request('POST', '/api/search/hackernews', { key: key.secret, body: searchBody });
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('x-quota-searches-limit'), '2');
+  assert.equal(first.headers.get('x-quota-searches-remaining'), '1');
+
+  assert.equal((await request('POST', '/api/search/hackernews', { key: key.secret, body: searchBody })).status, 200);
+
+  const limited = await request('POST', '/api/search/hackernews', { key: key.secret, body: searchBody });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('x-quota-searches-remaining'), '0');
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  assert.ok(limited.headers.get('x-quota-reset'));
+
+  const body = await limited.json();
+  assert.match(body.error, /Daily search quota of 2 used up/);
+  assert.equal(body.quota.searches.remaining, 0);
+});
+
+test('failed requests give their search back', async () => {
+  const workspace = await createWorkspace('Refund');
+  const key = await createKey(workspace.id, { quotas: { searchesPerDay: 1 } });
+
+  const search = hackerNews.search;
+  hackerNews.search = async () => {
+    throw new Error('Algolia is down');
+  };
+  try {
+    const failed = await request('POST', '/api/search/hackernews', { key: key.secret, body: searchBody });
+    assert.equal(failed.status, 500);
+  } finally {
+    hackerNews.search = search;
+  }
+
+  const invalid = await request('POST', '/api/search/hackernews', { key: key.secret, body: { keywords: 'CRM' } });
+  assert.equal(invalid.status, 400);
+
+  const me = await (await request('GET', '/api/me', { key: key.secret })).json();
+  assert.equal(me.quota.searches.used, 0);
+
+  const retried = await request('POST', '/api/search/hackernews', { key: key.secret, body: searchBody });
+  assert.equal(retried.status, 200);
+  assert.equal(retried.headers.get('x-quota-searches-remaining'), '0');
+});
+
+test('workspaces don\'t see each other\'s leads, monitors or jobs', async () => {
+  const [first, second] = [await createWorkspace('First'), await createWorkspace('Second')];
+  const [firstKey, secondKey] = [await createKey(first.id), await createKey(second.id)];
+
+  workspaceService.leadsFor(first.id).upsertPosts([{
+    id: '42',
+    platform: 'hackernews',
+    title: 'Looking for a CRM',
+    body: '',
+    url: 'https://news.ycombinator.com/item?id=42',
+    author: { username: 'pg' },
+    createdAt: new Date().toISOString()
+  }]);
+
+  const monitor = await request('POST', '/api/monitors', {
+    key: firstKey.secret,
+    body: { name: 'CRM', criteria: searchBody, platforms: ['hackernews'] }
+  });
+  assert.equal(monitor.status, 201);
+  const monitorId = (await monitor.json()).monitor.id;
+
+  const job = await request('POST', '/api/jobs', { key: firstKey.secret, body: { criteria: searchBody, platforms: ['hackernews'] } });
+  assert.equal(job.status, 202);
+  const jobId = (await job.json()).job.id;
+
+  // The owner sees everything
+  assert.equal((await (await request('GET', '/api/leads', { key: firstKey.secret })).json()).leads.length, 1);
+  assert.equal((await request('GET', '/api/leads/hackernews:42', { key: firstKey.secret })).status, 200);
+  assert.equal((await request('GET', `/api/monitors/${monitorId}`, { key: firstKey.secret })).status, 200);
+  assert.equal((await request('GET', `/api/jobs/${jobId}`, { key: firstKey.secret })).status, 200);
+
+  // The other workspace sees nothing, and can't touch it
+  assert.equal((await (await request('GET', '/api/leads', { key: secondKey.secret })).json()).leads.length, 0);
+  assert.equal((await request('GET', '/api/leads/hackernews:42', { key: secondKey.secret })).status, 404);
+  assert.deepEqual((await (await request('GET', '/api/monitors', { key: secondKey.secret })).json()).monitors, []);
+  assert.equal((await request('GET', `/api/monitors/${monitorId}`, { key: secondKey.secret })).status, 404);
+  assert.equal((await request('DELETE', `/api/monitors/${monitorId}`, { key: secondKey.secret })).status, 404);
+  assert.deepEqual((await (await request('GET', '/api/jobs', { key: secondKey.secret })).json()).jobs, []);
+  assert.equal((await request('GET', `/api/jobs/${jobId}`, { key: secondKey.secret })).status, 404);
+  assert.equal((await request('DELETE', `/api/jobs/${jobId}`, { key: secondKey.secret })).status, 404);
+
+  // ...and the owner's monitor survived the attempt
+  assert.equal((await request('GET', `/api/monitors/${monitorId}`, { key: firstKey.secret })).status, 200);
+});
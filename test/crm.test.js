@@ -0,0 +1,111 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { CrmSyncService } = require('../src/services/crm.service');
+
+/**
+ * Frappe CRM push against a local stand-in for the REST API
+ */
+
+const docs = new Map(); // name -> doc
+const requests = [];
+let nextName = 1;
+let frappe;
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function handle(req, res, body) {
+  const url = new URL(req.url, 'http://frappe.local');
+  const [, , , doctype, name] = url.pathname.split('/').map(decodeURIComponent);
+  requests.push({ method: req.method, doctype, name, authorization: req.headers.authorization });
+
+  if (req.method === 'GET' && !name) {
+    const [[field, , value]] = JSON.parse(url.searchParams.get('filters'));
+    const found = [...docs.values()].filter(doc => doc[field] === value).map(doc => ({ name: doc.name }));
+    return send(res, 200, { data: found });
+  }
+  if (req.method === 'POST' && !name) {
+    const doc = { ...JSON.parse(body), name: `CRM-LEAD-${nextName++}` };
+    docs.set(doc.name, doc);
+    return send(res, 200, { data: doc });
+  }
+  if (req.method === 'PUT' && docs.has(name)) {
+    const doc = { ...docs.get(name), ...JSON.parse(body) };
+    docs.set(name, doc);
+    return send(res, 200, { data: doc });
+  }
+  send(res, 404, { exc_type: 'DoesNotExistError', message: `${doctype} ${name} not found` });
+}
+
+before(async () => {
+  frappe = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => handle(req, res, body));
+  });
+  await new Promise(resolve => frappe.listen(0, '127.0.0.1', resolve));
+
+  process.env.FRAPPE_URL = `http://127.0.0.1:${frappe.address().port}/`;
+  process.env.FRAPPE_API_KEY = 'key';
+  process.env.FRAPPE_API_SECRET = 'secret';
+});
+
+after(async () => {
+  await new Promise(resolve => frappe.close(resolve));
+});
+
+function storedLead(fields = {}) {
+  return {
+    id: 'reddit:abc123',
+    platform: 'reddit',
+    post: {
+      url: 'https://www.reddit.com/comments/abc123',
+      author: { username: 'founder42', profileUrl: 'https://www.reddit.com/user/founder42' }
+    },
+    intentAnalysis: { score: 88, level: 'HIGH', summary: 'Wants to leave HubSpot', painPoints: ['price'], buyingSignals: [] },
+    ...fields
+  };
+}
+
+test('pushing a lead twice updates the CRM lead instead of creating another', async () => {
+  const crm = new CrmSyncService();
+
+  const created = await crm.pushLead(storedLead());
+  assert.equal(created.success, true);
+  assert.equal(created.action, 'created');
+  assert.equal(docs.get(created.name).custom_intent_score, 88);
+  assert.equal(requests[0].authorization, 'token key:secret');
+
+  // Not yet remembered on the lead - found by custom_social_lead_id
+  const rescored = storedLead({ intentAnalysis: { score: 95, level: 'HIGH' } });
+  const updated = await crm.pushLead(rescored);
+  assert.deepEqual({ action: updated.action, name: updated.name }, { action: 'updated', name: created.name });
+
+  // Remembered on the lead - updated by name without a lookup
+  const lookups = requests.filter(r => r.method === 'GET').length;
+  const again = await crm.pushLead({ ...rescored, crm: { name: created.name } });
+  assert.equal(again.action, 'updated');
+  assert.equal(requests.filter(r => r.method === 'GET').length, lookups);
+
+  assert.equal(docs.size, 1);
+  assert.equal(docs.get(created.name).custom_intent_score, 95);
+});
+
+test('a CRM lead deleted on the Frappe side is created again', async () => {
+  const crm = new CrmSyncService();
+  docs.clear();
+
+  const first = await crm.pushLead(storedLead());
+  docs.delete(first.name);
+
+  const recreated = await crm.pushLead(storedLead({ crm: { name: first.name } }));
+  assert.equal(recreated.success, true);
+  assert.equal(recreated.action, 'created');
+  assert.notEqual(recreated.name, first.name);
+  assert.equal(docs.size, 1);
+});
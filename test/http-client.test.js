@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { HostLimiter } = require('../src/http/http-client');
+
+/**
+ * Host limiter waits and the AbortSignal of the work behind a request
+ */
+
+test('aborting while queued for a slot gives up the place in the queue', async () => {
+  const limiter = new HostLimiter({ maxConcurrent: 1 });
+  await limiter.acquire();
+
+  const controller = new AbortController();
+  const waiting = limiter.acquire(controller.signal);
+  assert.equal(limiter.queue.length, 1);
+
+  controller.abort();
+  await assert.rejects(waiting, error => axios.isCancel(error));
+  assert.equal(limiter.queue.length, 0);
+
+  // The slot goes back to the pool instead of to the cancelled waiter
+  limiter.release();
+  assert.equal(limiter.active, 0);
+});
+
+test('aborting during the spacing wait rejects and frees the slot', async () => {
+  const limiter = new HostLimiter({ maxConcurrent: 2, requestsPerMinute: 1 });
+  await limiter.acquire();
+  limiter.release();
+
+  const controller = new AbortController();
+  const spaced = limiter.acquire(controller.signal);
+  const started = Date.now();
+  setTimeout(() => controller.abort(), 20);
+
+  await assert.rejects(spaced, error => axios.isCancel(error));
+  assert.ok(Date.now() - started < 5000);
+  assert.equal(limiter.active, 0);
+});
+
+test('an already aborted signal never takes a slot', async () => {
+  const limiter = new HostLimiter({ maxConcurrent: 1 });
+  await assert.rejects(limiter.acquire(AbortSignal.abort()), error => axios.isCancel(error));
+  assert.equal(limiter.active, 0);
+});
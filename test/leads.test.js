@@ -0,0 +1,64 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Lead list filters: GET /api/leads and LeadService.list
+ */
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'social-listening-test-'));
+
+process.env.DATA_DIR = dataDir;
+process.env.AUTH_REQUIRED = 'false';
+
+const app = require('../src/index');
+const { LeadService } = require('../src/services/lead.service');
+const { FileStore } = require('../src/stores/file.store');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('GET /api/leads rejects an invalid since or until with 400', async () => {
+  for (const query of ['since=yesterday', 'until=2024-13-45']) {
+    const response = await fetch(`${baseUrl}/api/leads?${query}`);
+    assert.equal(response.status, 400, query);
+
+    const body = await response.json();
+    assert.equal(body.success, false);
+    assert.match(body.error, /must be an ISO date/);
+  }
+
+  assert.equal((await fetch(`${baseUrl}/api/leads?since=2024-01-01&until=2024-12-31T23:59:59Z`)).status, 200);
+});
+
+test('LeadService.list throws on an invalid date instead of ignoring it', () => {
+  const leads = new LeadService(new FileStore('test-leads'));
+  leads.upsertPosts([{
+    id: '1',
+    platform: 'hackernews',
+    title: 'Looking for a CRM',
+    body: '',
+    url: 'https://news.ycombinator.com/item?id=1',
+    author: { username: 'pg' },
+    createdAt: new Date().toISOString()
+  }]);
+
+  assert.throws(() => leads.list({ since: 'yesterday' }), /since must be an ISO date/);
+  assert.throws(() => leads.list({ until: 'soon' }), /until must be an ISO date/);
+  assert.equal(leads.list({ since: '2000-01-01' }).total, 1);
+  assert.equal(leads.list({ until: '2000-01-01' }).total, 0);
+});
@@ -0,0 +1,71 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Scheduled monitor runs and the quota of the key that created them
+ */
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'social-listening-test-'));
+process.env.DATA_DIR = dataDir;
+
+const { MonitorService } = require('../src/services/monitor.service');
+const { workspaceService } = require('../src/services/workspace.service');
+const { quotaService } = require('../src/services/quota.service');
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function keyWithQuota(searchesPerDay) {
+  const workspace = workspaceService.create({ name: 'Monitors' });
+  const { key } = workspaceService.createKey(workspace.id, { name: 'scheduler', quotas: { searchesPerDay } });
+  return { workspace, key };
+}
+
+function searchesUsed(key) {
+  return quotaService.status(workspaceService.getKey(key.id)).searches.used;
+}
+
+test('ticks during a long run don\'t use up quota', async () => {
+  const { workspace, key } = keyWithQuota(10);
+  let release;
+  let searches = 0;
+  const service = new MonitorService({
+    searchWithAI: async () => {
+      searches++;
+      await new Promise(resolve => {
+        release = resolve;
+      });
+      return { success: true, totalFound: 0, posts: [] };
+    }
+  });
+  service.create({ criteria: { keywords: ['CRM'] } }, { workspaceId: workspace.id, apiKeyId: key.id });
+
+  const firstTick = service.tick();
+  await new Promise(resolve => setImmediate(resolve));
+  await service.tick();
+  await service.tick();
+
+  release();
+  await firstTick;
+
+  assert.equal(searches, 1);
+  assert.equal(searchesUsed(key), 1);
+});
+
+test('a run whose search fails gives the search back', async () => {
+  const { workspace, key } = keyWithQuota(10);
+  const service = new MonitorService({
+    searchWithAI: async () => {
+      throw new Error('Every platform is down');
+    }
+  });
+  service.create({ criteria: { keywords: ['CRM'] } }, { workspaceId: workspace.id, apiKeyId: key.id });
+
+  await service.tick();
+
+  assert.equal(searchesUsed(key), 0);
+});
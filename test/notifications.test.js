@@ -0,0 +1,126 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Lead notifications, delivered to a local HTTP receiver
+ */
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'social-listening-test-'));
+process.env.DATA_DIR = dataDir;
+delete process.env.SLACK_WEBHOOK_URL;
+delete process.env.NOTIFY_WEBHOOK_URL;
+
+const { NotificationService } = require('../src/services/notification.service');
+const { LeadService } = require('../src/services/lead.service');
+const { FileStore } = require('../src/stores/file.store');
+
+let receiver;
+let baseUrl;
+const received = [];
+const failures = new Map(); // path -> statuses to answer before succeeding
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      const status = failures.get(req.url)?.shift();
+      res.statusCode = status || 200;
+      res.end(status ? 'unavailable' : 'ok');
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${receiver.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => receiver.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function scoredPost(id) {
+  return {
+    id,
+    platform: 'reddit',
+    title: 'Looking for a HubSpot alternative',
+    body: '',
+    url: `https://www.reddit.com/comments/${id}`,
+    author: { username: `user${id}` },
+    createdAt: new Date().toISOString(),
+    intentAnalysis: { score: 92, level: 'HIGH', recommendedAction: 'CONTACT_NOW', summary: 'Wants to switch CRMs' }
+  };
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const until = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > until) throw new Error('Timed out waiting for a delivery');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test('channels only get leads of their own workspace', async () => {
+  const notifications = new NotificationService(new LeadService(new FileStore('test-default-leads')));
+  notifications.createChannel({ type: 'webhook', url: `${baseUrl}/default` });
+  notifications.createChannel({ type: 'webhook', url: `${baseUrl}/team`, workspaceId: 'ws_team' });
+
+  const leads = new LeadService(new FileStore('test-team-leads'));
+  const posts = leads.upsertPosts([scoredPost('t1')]);
+
+  const result = notifications.notify(posts, leads, 'ws_team');
+  assert.equal(result.queued.length, 1);
+
+  await waitFor(() => received.some(r => r.path === '/team'));
+  assert.equal(received.filter(r => r.path === '/default').length, 0);
+});
+
+test('webhooks carry the stored lead id of a duplicate group', async () => {
+  const notifications = new NotificationService(new LeadService(new FileStore('test-default-leads')));
+  notifications.createChannel({ type: 'webhook', url: `${baseUrl}/dedup`, workspaceId: 'ws_dedup' });
+
+  const leads = new LeadService(new FileStore('test-dedup-leads'));
+  leads.upsertPosts([{ ...scoredPost('first'), intentAnalysis: null }]);
+
+  // Same story seen again, now with another member of its group as primary
+  const crosspost = { ...scoredPost('second'), alsoSeenOn: [{ platform: 'reddit', id: 'first' }] };
+  notifications.notify([crosspost], leads, 'ws_dedup');
+
+  await waitFor(() => received.some(r => r.path === '/dedup'));
+  const payload = JSON.parse(received.find(r => r.path === '/dedup').body);
+  assert.equal(payload.leads[0].leadId, 'reddit:first');
+  assert.ok(leads.get('reddit:first'));
+});
+
+test('signed webhooks verify and are retried after a 5xx', async () => {
+  const notifications = new NotificationService(new LeadService(new FileStore('test-default-leads')));
+  const channel = notifications.createChannel({ type: 'webhook', url: `${baseUrl}/signed`, secret: 'shh', workspaceId: 'ws_signed' });
+  failures.set('/signed', [503]);
+
+  const leads = new LeadService(new FileStore('test-signed-leads'));
+  notifications.notify(leads.upsertPosts([scoredPost('s1')]), leads, 'ws_signed');
+
+  await waitFor(() => received.filter(r => r.path === '/signed').length === 2);
+  const [failed, delivered] = received.filter(r => r.path === '/signed');
+
+  for (const attempt of [failed, delivered]) {
+    const expected = crypto.createHmac('sha256', 'shh')
+      .update(`${attempt.headers['x-timestamp']}.${attempt.body}`)
+      .digest('hex');
+    assert.equal(attempt.headers['x-signature-256'], `sha256=${expected}`);
+  }
+  assert.equal(delivered.body, failed.body);
+
+  // Marked notified once delivered, so the next run doesn't send it again
+  await waitFor(() => leads.wasNotified(leads.get('reddit:s1'), channel.id));
+  const log = notifications.getDeliveries({ channelId: channel.id });
+  assert.deepEqual(log.map(entry => [entry.attempt, entry.success, entry.status]).sort(), [[1, false, 503], [2, true, 200]]);
+  assert.deepEqual(notifications.notify([leads.toPost(leads.get('reddit:s1'))], leads, 'ws_signed').queued, []);
+});
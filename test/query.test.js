@@ -0,0 +1,50 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Boolean queries and keyword compilation: terms with nothing to match
+ */
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'social-listening-test-'));
+process.env.DATA_DIR = dataDir;
+
+const { parseQuery, matchesQuery, QuerySyntaxError } = require('../src/query/boolean-query');
+const { compileKeyword, findMatches, matchKeywords, tokenize } = require('../src/query/keyword-matcher');
+const { SearchService } = require('../src/search.service');
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('a lone "-" in a query is a syntax error, not a crash while matching', () => {
+  assert.throws(() => parseQuery('CRM - job'), QuerySyntaxError);
+  assert.throws(() => parseQuery('CRM -'), QuerySyntaxError);
+  assert.throws(() => parseQuery("CRM AND '"), QuerySyntaxError);
+
+  assert.equal(matchesQuery(parseQuery('CRM -job'), 'CRM job here'), false);
+  assert.equal(matchesQuery(parseQuery('CRM -job'), 'CRM here'), true);
+});
+
+test('keywords without letters or digits are rejected', () => {
+  for (const term of ['-', "'", '’', "- '"]) {
+    assert.throws(() => compileKeyword(term), /no letters or digits/, term);
+  }
+  assert.deepEqual(compileKeyword('follow-up').words, ['follow', 'up']);
+});
+
+test('findMatches returns nothing for a matcher without words', () => {
+  const text = 'CRM job here';
+  assert.deepEqual(findMatches({ label: '-', mode: 'stem', words: [], stems: [] }, text, tokenize(text)), []);
+  assert.deepEqual(matchKeywords(['CRM'], { title: text }).matched, ['CRM']);
+});
+
+test('validateCriteria answers punctuation-only terms with an error', () => {
+  const service = new SearchService();
+
+  assert.match(service.validateCriteria({ query: 'CRM - job' }), /lone "-"/);
+  assert.match(service.validateCriteria({ keywords: ['-'] }), /no letters or digits/);
+  assert.equal(service.validateCriteria({ keywords: ['CRM'], query: 'CRM -job' }), null);
+});
@@ -0,0 +1,103 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * AI search responses, with platform searches stubbed
+ */
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'social-listening-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.OPENAI_API_KEY = 'sk-test';
+
+const { SearchService } = require('../src/search.service');
+const { getAdapter } = require('../src/adapters');
+const { LeadService } = require('../src/services/lead.service');
+const { usageService } = require('../src/services/usage.service');
+const { FileStore } = require('../src/stores/file.store');
+
+const hackerNews = getAdapter('hackernews');
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function hit(id, title) {
+  return {
+    id,
+    platform: 'hackernews',
+    title,
+    body: '',
+    url: `https://news.ycombinator.com/item?id=${id}`,
+    author: { username: `user${id}` },
+    createdAt: new Date().toISOString(),
+    signals: { relevanceScore: 60, matchedKeywords: ['CRM'] }
+  };
+}
+
+test('a degraded AI search reports no posts as scored', async () => {
+  hackerNews.search = async criteria => hackerNews.successResult(
+    hackerNews.withExclusions(criteria),
+    [hit('1', 'Which CRM should we use?'), hit('2', 'Looking for a CRM for a small team')]
+  );
+  usageService.isOverBudget = () => true;
+
+  const result = await new SearchService().searchWithAI({ keywords: ['CRM'] }, ['hackernews'], {
+    leadService: new LeadService(new FileStore('test-leads'))
+  });
+
+  assert.equal(result.posts.length, 2);
+  assert.equal(result.aiScoring.degraded.reason, 'MONTHLY_BUDGET_EXCEEDED');
+  assert.equal(result.aiScoring.scored, 0);
+  assert.equal(result.byIntentLevel.UNSCORED, 2);
+});
+
+test('ranked searches split maxResults between platforms and report what they cut', async () => {
+  const reddit = getAdapter('reddit');
+  const asked = {};
+  for (const adapter of [hackerNews, reddit]) {
+    adapter.search = async criteria => {
+      asked[adapter.platform] = criteria.maxResults;
+      const posts = Array.from({ length: criteria.maxResults + 1 }, (_, i) => ({
+        ...hit(`${adapter.platform}-${i}`, `CRM question ${i}`),
+        platform: adapter.platform
+      }));
+      return adapter.successResult(adapter.withExclusions(criteria), posts, posts.length, 'next-page');
+    };
+  }
+
+  const result = await new SearchService().searchRanked({ keywords: ['CRM'], maxResults: 5, dedupe: false }, ['hackernews', 'reddit'], {
+    leadService: new LeadService(new FileStore('test-ranked-leads'))
+  });
+
+  assert.deepEqual(asked, { hackernews: 3, reddit: 2 });
+  assert.equal(result.posts.length, 5);
+  assert.equal(result.truncated.count, 2);
+  // Every platform returned a cursor, so whichever posts were cut are past it
+  assert.ok(result.truncated.skippedByCursor.length > 0);
+  assert.ok(result.truncated.skippedByCursor.every(platform => result.nextCursors[platform]));
+});
+
+test('a bare cursor only resumes a single-platform search', async () => {
+  const reddit = getAdapter('reddit');
+  const resumed = {};
+  for (const adapter of [hackerNews, reddit]) {
+    adapter.search = async criteria => {
+      resumed[adapter.platform] = adapter.getCursor(criteria);
+      return adapter.successResult(adapter.withExclusions(criteria), []);
+    };
+  }
+  const cursor = hackerNews.encodeCursor({ page: 2 });
+  const service = new SearchService();
+
+  await service.search({ keywords: ['CRM'], cursor }, ['hackernews']);
+  assert.deepEqual(resumed.hackernews, { page: 2 });
+
+  await service.search({ keywords: ['CRM'], cursor }, ['hackernews', 'reddit']);
+  assert.deepEqual(resumed, { hackernews: null, reddit: null });
+
+  await service.search({ keywords: ['CRM'], cursors: { reddit: cursor } }, ['hackernews', 'reddit']);
+  assert.deepEqual(resumed, { hackernews: null, reddit: { page: 2 } });
+});